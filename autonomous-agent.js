@@ -23,12 +23,35 @@
 const express = require('express');
 const cors = require('cors');
 const { execSync } = require('child_process');
+const path = require('path');
 // Puppeteer removed - using other scraping methods
 const axios = require('axios');
+const { NotionClient } = require('./lib/notion-client');
+const { LeadStore } = require('./lib/lead-store');
+const { JobQueue } = require('./lib/job-queue');
+const { SiteCrawler } = require('./lib/site-crawler');
+const { extractStructuredData, toPracticeFacts } = require('./lib/structured-data');
+const { findPhoneNumbers, parsePhoneNumber, countryFromHostname, countryFromLanguage, COUNTRIES } = require('./lib/phone-parser');
+const { parseAddress, formatAddress, normalizeCountry } = require('./lib/address-parser');
+const { Taxonomy } = require('./lib/taxonomy');
+const { detectLanguage, htmlLanguage } = require('./lib/language-detector');
+const { LeadScorer, formatBreakdown } = require('./lib/lead-scorer');
+const { provenance, completeProvenance, fieldConfidence, SOURCE_CONFIDENCE } = require('./lib/provenance');
+const { titleCandidates, copyrightCandidates, rankPracticeNames, cleanName } = require('./lib/practice-name');
+const { extractPractitioners, formatPractitioners } = require('./lib/practitioner-extractor');
+const { normalizeOpeningHours, hoursFlags, formatOpeningHours } = require('./lib/opening-hours');
+const { detectSignals, formatSignals } = require('./lib/site-signals');
+const { extractPrices, summarizePrices, formatPrices } = require('./lib/price-list');
+const { extractCoverage, listIncludes } = require('./lib/payment-coverage');
+const { extractReviews, formatReviewSources } = require('./lib/review-signals');
+const { TelegramBot } = require('./lib/telegram-bot');
+const { TelegramAccess } = require('./lib/telegram-access');
+const { ApiKeyStore } = require('./lib/api-keys');
+const { ExaClient, ExaCacheMissError } = require('./lib/exa-client');
 // RailwayMCPClient will be dynamically imported when needed
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : true }));
 app.use(express.json());
 
 // Configuration from environment
@@ -37,26 +60,96 @@ const config = {
     github_token: process.env.GITHUB_TOKEN,
     railway_token: process.env.RAILWAY_API_TOKEN,
     exa_api_key: process.env.EXA_API_KEY,
+    exa_api_base_url: process.env.EXA_API_BASE_URL || 'https://api.exa.ai',
+    exa_cache_enabled: process.env.EXA_CACHE !== 'false',
+    exa_cache_ttl_hours: parseFloat(process.env.EXA_CACHE_TTL_HOURS) || 24,
+    exa_replay: process.env.EXA_REPLAY === 'true',
     elevenlabs_api_key: process.env.ELEVENLABS_API_KEY,
     elevenlabs_agent_id: process.env.ELEVENLABS_AGENT_ID,
+    notion_api_key: process.env.NOTION_API_KEY,
     notion_database_id: process.env.NOTION_DATABASE_ID || '22441ac0-dfef-81a6-9954-cdce1dfcba1d',
+    notion_api_base_url: process.env.NOTION_API_BASE_URL || 'https://api.notion.com/v1',
     smithery_api_key: process.env.SMITHERY_API_KEY || '2f9f056b-67dc-47e1-b6c4-79c41bf85d07',
     smithery_profile: process.env.SMITHERY_PROFILE || 'zesty-clam-4hb4aa',
-    telegram_bot_token: process.env.TELEGRAM_BOT_TOKEN
+    telegram_bot_token: process.env.TELEGRAM_BOT_TOKEN,
+    telegram_api_base_url: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+    telegram_webhook_secret: process.env.TELEGRAM_WEBHOOK_SECRET,
+    telegram_admin_ids: process.env.TELEGRAM_ADMIN_IDS,
+    telegram_viewer_ids: process.env.TELEGRAM_VIEWER_IDS,
+    api_admin_key: process.env.API_ADMIN_KEY,
+    api_rate_limit_per_minute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE) || 60,
+    data_dir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    max_stored_runs: parseInt(process.env.MAX_STORED_RUNS) || 1000,
+    batch_concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3,
+    batch_max_concurrency: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 10,
+    batch_delay_ms: parseInt(process.env.BATCH_DELAY_MS) || 0,
+    max_active_jobs: parseInt(process.env.MAX_ACTIVE_JOBS) || 1,
+    exa_pages_per_practice: parseInt(process.env.EXA_PAGES_PER_PRACTICE) || 3,
+    crawler_enabled: process.env.CRAWLER_ENABLED !== 'false',
+    crawler_max_pages: parseInt(process.env.CRAWLER_MAX_PAGES) || 6,
+    crawler_timeout_ms: parseInt(process.env.CRAWLER_TIMEOUT_MS) || 20000,
+    crawler_page_timeout_ms: parseInt(process.env.CRAWLER_PAGE_TIMEOUT_MS) || 8000,
+    structured_data_fetch: process.env.STRUCTURED_DATA_FETCH !== 'false',
+    taxonomy_file: process.env.TAXONOMY_FILE || path.join(__dirname, 'config', 'taxonomy.json'),
+    scoring_file: process.env.SCORING_FILE || path.join(__dirname, 'config', 'scoring.json')
 };
 
 class CompleteHealthcareAutomationAgent {
     constructor() {
-        this.deploymentResults = [];
+        this.store = new LeadStore({ dataDir: config.data_dir, maxRuns: config.max_stored_runs });
+        this.jobs = new JobQueue({
+            maxActiveJobs: config.max_active_jobs,
+            runner: (urls, options) => this.processBatchHealthcarePractices(urls, options)
+        });
         this.currentStep = 'idle';
         this.browser = null;
+        this.notion = new NotionClient({
+            apiKey: config.notion_api_key,
+            databaseId: config.notion_database_id,
+            baseUrl: config.notion_api_base_url
+        });
+        this.crawler = new SiteCrawler({
+            maxPages: config.crawler_max_pages,
+            timeoutMs: config.crawler_timeout_ms,
+            pageTimeoutMs: config.crawler_page_timeout_ms
+        });
+        this.taxonomy = new Taxonomy({ filePath: config.taxonomy_file });
+        this.scorer = new LeadScorer({ filePath: config.scoring_file });
+        this.exa = new ExaClient({
+            apiKey: config.exa_api_key,
+            baseUrl: config.exa_api_base_url,
+            cacheDir: path.join(config.data_dir, 'exa-cache'),
+            cacheEnabled: config.exa_cache_enabled,
+            ttlMs: config.exa_cache_ttl_hours * 60 * 60 * 1000,
+            replay: config.exa_replay
+        });
+        this.apiKeys = new ApiKeyStore({
+            dataDir: config.data_dir,
+            adminKey: config.api_admin_key,
+            defaultRateLimit: config.api_rate_limit_per_minute
+        });
+        this.telegramAccess = new TelegramAccess({
+            dataDir: config.data_dir,
+            adminIds: config.telegram_admin_ids,
+            viewerIds: config.telegram_viewer_ids
+        });
+        this.telegram = new TelegramBot({
+            token: config.telegram_bot_token,
+            baseUrl: config.telegram_api_base_url,
+            secretToken: config.telegram_webhook_secret,
+            access: this.telegramAccess,
+            agent: this
+        });
+        this.notionSchemaReport = null;
+        this.domainLocks = new Map();
         // ElevenLabs functionality removed for simplified 3-step workflow
     }
 
     // ===== REMOVED: ElevenLabs voice agent functionality not needed for 3-step workflow =====
 
     // ===== STEP 1: ENHANCED EXA SEARCH & DATA EXTRACTION =====
-    async scrapeHealthcarePractice(url) {
+    // options.refresh: bypass the Exa response cache for this practice
+    async scrapeHealthcarePractice(url, options = {}) {
         console.log(`🔍 STEP 1: Enhanced healthcare practice discovery: ${url}`);
         this.currentStep = 'exa-search-discovery';
         
@@ -68,27 +161,66 @@ class CompleteHealthcareAutomationAgent {
             
             // Phase 2: Exa-powered content search and analysis
             console.log(`   🔍 Phase 2: Exa content analysis for: ${companyName}`);
-            const exaData = await this.searchWithExa(url, companyName);
+            const exaData = await this.searchWithExa(url, companyName, options);
             
             // Phase 3: Combine and structure data
+            const fieldSources = { ...(exaData.field_sources || {}) };
+            if (!exaData.company) fieldSources.company = provenance('url-heuristic');
+            if (!exaData.location) fieldSources.location = provenance('url-heuristic');
+            
             const practiceData = {
                 company: exaData.company || companyName,
                 phone: exaData.phone || '',
+                phone_type: exaData.phone_type || '',
+                phone_country: exaData.phone_country || null,
+                alternate_phones: exaData.alternate_phones || [],
                 email: exaData.email || '', 
                 location: exaData.location || this.extractLocationFromUrl(hostname),
                 services: exaData.services || [],
                 treatments: exaData.treatments || [], // NEW: treatments field
                 specializations: exaData.specializations || [], // NEW: specializations
+                practitioners: exaData.practitioners || [],
+                prices: exaData.prices || [],
+                insurers: exaData.insurers || [],
+                payment_options: exaData.payment_options || [],
+                financing_available: exaData.financing_available ?? null,
+                funding: exaData.funding || [],
+                payment_model: exaData.payment_model || null,
+                languages_spoken: exaData.languages_spoken || [],
+                rating: exaData.rating ?? null,
+                review_count: exaData.review_count ?? null,
+                review_sources: exaData.review_sources || [],
+                language: exaData.language || 'en',
+                treatment_categories: exaData.treatment_categories || [],
+                address: exaData.address || null,
+                address_street: exaData.address?.street || '',
+                address_city: exaData.address?.city || '',
+                address_region: exaData.address?.region || '',
+                address_postcode: exaData.address?.postcode || '',
+                address_country: exaData.address?.country || '',
+                geo: exaData.geo || null,
+                opening_hours: exaData.opening_hours || null,
+                ...hoursFlags(exaData.opening_hours),
+                signals: exaData.signals || null,
+                structured_data_types: exaData.structured_data_types || [],
+                name_candidates: exaData.name_candidates || [],
                 url: url,
                 domain: hostname,
                 scraped_at: new Date().toISOString(),
                 practice_type: exaData.practice_type || 'healthcare',
-                lead_score: this.calculateLeadScore(exaData),
-                exa_enhanced: true
+                exa_enhanced: exaData.content_source === 'exa',
+                content_source: exaData.content_source,
+                content_analyzed: exaData.content_analyzed || 0,
+                source_pages: exaData.source_pages || [],
+                contributing_pages: exaData.contributing_pages || []
             };
 
-            // Generate practice ID for repository/service names  
-            practiceData.practiceId = this.generatePracticeId(practiceData.company);
+            // Stable practice ID derived from the domain (used for duplicate detection)
+            practiceData.domain = this.normalizeDomain(hostname);
+            practiceData.practiceId = this.generatePracticeId(hostname);
+            // Source, page and confidence per field; defaults are flagged as placeholders
+            Object.assign(practiceData, completeProvenance(practiceData, fieldSources));
+            this.applyLeadScore(practiceData);
             
             console.log(`   ✅ Enhanced data extracted for: ${practiceData.company}`);
             console.log(`   🏥 Services found: ${practiceData.services.slice(0, 3).join(', ')}${practiceData.services.length > 3 ? '...' : ''}`);
@@ -100,57 +232,75 @@ class CompleteHealthcareAutomationAgent {
 
         } catch (error) {
             console.error(`   ❌ Enhanced discovery failed: ${error.message}`);
+            // A replay cache miss fails the practice instead of storing a URL-only guess
+            if (error instanceof ExaCacheMissError) throw error;
             console.log(`   🔄 Falling back to basic extraction...`);
             
-            // Enhanced fallback with basic structure
+            // Only what the URL tells us; nothing invented
             const hostname = new URL(url).hostname;
-            const fallbackId = url.replace(/https?:\/\//, '').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
-            
-            return {
+            const practiceData = {
                 company: this.extractCompanyFromUrl(hostname),
                 phone: '',
                 email: '',
                 location: this.extractLocationFromUrl(hostname),
-                services: ['General Healthcare'], // Basic fallback service
-                treatments: ['Consultation'], // Basic fallback treatment
-                specializations: ['Healthcare'],
+                services: [],
+                treatments: [],
+                specializations: [],
                 url: url,
-                domain: hostname,
-                practiceId: fallbackId,
+                domain: this.normalizeDomain(hostname),
+                practiceId: this.generatePracticeId(hostname),
                 scraped_at: new Date().toISOString(),
                 practice_type: 'healthcare-basic',
-                lead_score: 30, // Lower score for fallback
                 exa_enhanced: false,
+                content_source: 'fallback',
                 error: error.message
             };
+            
+            Object.assign(practiceData, completeProvenance(practiceData, {
+                company: provenance('url-heuristic'),
+                location: provenance('url-heuristic')
+            }));
+            return this.applyLeadScore(practiceData);
         }
     }
 
-    generatePracticeId(companyName) {
-        return companyName
-            .toLowerCase()
-            .replace(/[^a-zA-Z0-9\s]/g, '')
-            .replace(/\s+/g, '-')
-            .substring(0, 30)
-            + '-' + Date.now().toString().slice(-6);
+    // Same domain always yields the same ID, so re-processing a clinic never creates a new record
+    generatePracticeId(urlOrHostname) {
+        return this.normalizeDomain(urlOrHostname)
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+    }
+
+    normalizeDomain(urlOrHostname) {
+        if (!urlOrHostname) return '';
+
+        let hostname = String(urlOrHostname).trim().toLowerCase();
+        try {
+            hostname = new URL(/^https?:\/\//.test(hostname) ? hostname : `https://${hostname}`).hostname;
+        } catch {
+            hostname = hostname.replace(/^https?:\/\//, '').split(/[/?#:]/)[0];
+        }
+
+        return hostname.replace(/^www\./, '').replace(/\.$/, '');
     }
 
     // ===== EXA SEARCH INTEGRATION =====
-    async searchWithExa(url, companyName) {
-        if (!config.exa_api_key) {
+    async searchWithExa(url, companyName, options = {}) {
+        if (!this.exa.isAvailable()) {
             console.warn('   ⚠️ Exa API key not configured, using basic extraction');
-            return await this.basicContentAnalysis(url);
+            return await this.basicContentAnalysis(url, companyName);
         }
 
         try {
             console.log(`   🔍 Exa search for healthcare content...`);
             
             // Exa search for comprehensive healthcare practice information
-            const searchResponse = await axios.post('https://api.exa.ai/search', {
-                query: `${companyName} healthcare services treatments specializations contact information`,
+            const searchData = await this.exa.search({
+                query: `${companyName} healthcare services treatments specializations prices team contact information`,
                 type: 'neural',
                 useAutoprompt: true,
-                numResults: 3,
+                numResults: config.exa_pages_per_practice,
                 includeDomains: [new URL(url).hostname],
                 contents: {
                     text: {
@@ -158,135 +308,457 @@ class CompleteHealthcareAutomationAgent {
                         includeHtmlTags: false
                     }
                 }
-            }, {
-                headers: {
-                    'x-api-key': config.exa_api_key,
-                    'Content-Type': 'application/json'
-                }
-            });
+            }, { refresh: options.refresh });
 
-            if (!searchResponse.data?.results?.length) {
+            if (!searchData?.results?.length) {
                 console.log('   ⚠️ No Exa results found, using basic analysis');
-                return await this.basicContentAnalysis(url);
+                return await this.basicContentAnalysis(url, companyName);
             }
 
-            // Analyze the content to extract structured healthcare data
-            const content = searchResponse.data.results[0].text || '';
-            console.log(`   📄 Analyzing ${content.length} characters of content...`);
+            // Analyze every returned page: contact details often sit on a second (contact) page
+            const textPages = searchData.results
+                .filter(result => result.text)
+                .map(result => ({ url: result.url, title: result.title, text: result.text }));
+            console.log(`   📄 Analyzing ${textPages.reduce((sum, page) => sum + page.text.length, 0)} characters from ${textPages.length} Exa page(s)...`);
             
-            return await this.extractHealthcareData(content, url, companyName);
+            // Exa returns plain text only; fetch the homepage for its structured data (never in replay mode: it stays offline)
+            const pages = config.structured_data_fetch && !this.exa.replay ? await this.fetchHomepage(url) : [];
+            const exaData = await this.extractHealthcareData(textPages, url, companyName, pages, { textSource: 'exa' });
+            return {
+                ...exaData,
+                content_source: 'exa',
+                source_pages: searchData.results.map(result => result.url).filter(Boolean)
+            };
 
         } catch (error) {
             console.error(`   ❌ Exa search failed: ${error.message}`);
-            return await this.basicContentAnalysis(url);
+            // Replay mode must not reach the network: report the miss instead of crawling the live site
+            if (error instanceof ExaCacheMissError) throw error;
+            return await this.basicContentAnalysis(url, companyName);
         }
     }
 
-    async extractHealthcareData(content, url, companyName) {
-        // Extract services and treatments using pattern matching
-        const services = this.extractServices(content);
-        const treatments = this.extractTreatments(content);  
-        const specializations = this.extractSpecializations(content);
-        const contactInfo = this.extractContactInfo(content);
-        const location = this.extractLocationFromContent(content) || this.extractLocationFromUrl(new URL(url).hostname);
+    // textPages: [{ url, text }] from Exa results or crawled pages. Lists are extracted from
+    // all pages together; single fields (phone, email, address) are compared page by page.
+    async extractHealthcareData(textPages, url, companyName, pages = [], options = {}) {
+        const content = textPages.map(page => page.text || '').join('\n\n');
+        // Regex hits on page text are attributed to where the text came from (Exa or fetched HTML)
+        const textSource = options.textSource || 'html';
+        
+        // Detect the page language so Dutch/German/French terms map onto canonical English names
+        const htmlLang = htmlLanguage(pages[0]?.html);
+        const { language } = detectLanguage(content, { htmlLang });
+        
+        // Extract services and treatments as canonical taxonomy entries
+        const taxonomyMatches = this.matchTaxonomy(content, language);
+        const services = taxonomyMatches.services.map(match => match.name);
+        const treatments = taxonomyMatches.treatments.map(match => match.name);
+        const specializations = taxonomyMatches.specializations.map(match => match.name);
+        const hostname = new URL(url).hostname;
+        const countryHint = countryFromHostname(hostname);
+        const pageAddress = this.pickAddress(textPages, countryHint);
+        const contentAddress = pageAddress?.address || null;
+        const contentLocation = contentAddress ? contentAddress.formatted : this.extractLocationFromContent(content, countryHint);
+        
+        // Structured data (JSON-LD, microdata, OpenGraph) takes priority over regex guesses
+        const structured = this.extractStructuredFacts(pages);
+        const facts = structured.facts;
+        const address = this.mergeAddresses(facts.address, contentAddress);
+        const phoneCountry = this.inferPhoneCountry(hostname, address?.country || contentLocation, { language, htmlLang });
+        const contactInfo = this.extractContactInfo(textPages, { country: phoneCountry, hostname });
+        // A structured telephone that cannot be placed in a country is kept as written
+        let structuredPhone = facts.telephone ? parsePhoneNumber(facts.telephone, phoneCountry) : null;
+        if (facts.telephone && !structuredPhone && !phoneCountry) {
+            structuredPhone = { e164: null, number: String(facts.telephone).trim(), country: null, type: 'unknown' };
+        }
+        const fieldSources = {};
+        const choose = (field, candidates) => {
+            const winner = candidates.find(candidate => candidate.value);
+            if (!winner) return '';
+            fieldSources[field] = provenance(winner.source, winner);
+            return winner.value;
+        };
+        
+        const practiceName = this.extractPracticeName({ structured, htmlPages: pages, textPages, hostname, textSource });
+        const company = choose('company', [
+            practiceName,
+            { value: companyName, source: 'url-heuristic' }
+        ]);
+        const phone = choose('phone', [
+            { value: structuredPhone?.e164 || structuredPhone?.number, ...structured.sources.telephone },
+            { value: contactInfo.phone, source: textSource, page: contactInfo.phone_page, confidence: contactInfo.phone_confidence }
+        ]);
+        const fromStructured = structuredPhone && phone === (structuredPhone.e164 || structuredPhone.number);
+        const phoneType = fromStructured ? structuredPhone.type : contactInfo.phone_type;
+        const phoneCountryFound = fromStructured ? structuredPhone.country : contactInfo.phone_country;
+        const alternatePhones = contactInfo.alternate_phones
+            .concat(contactInfo.phone && contactInfo.phone !== phone
+                ? [contactInfo.phone_e164 ? { e164: contactInfo.phone_e164, type: contactInfo.phone_type } : { e164: null, type: contactInfo.phone_type, raw: contactInfo.phone }]
+                : [])
+            .filter(alternate => (alternate.e164 || alternate.raw) !== phone);
+        const email = choose('email', [
+            { value: facts.email, ...structured.sources.email },
+            { value: contactInfo.email, source: textSource, page: contactInfo.email_page, confidence: contactInfo.email_confidence }
+        ]);
+        const location = choose('location', [
+            { value: facts.address ? address.formatted : null, ...structured.sources.address },
+            { value: contentLocation, source: textSource, page: pageAddress?.page, confidence: pageAddress?.confidence },
+            { value: this.extractLocationFromUrl(hostname), source: 'url-heuristic' }
+        ]);
+        if (facts.geo) fieldSources.geo = provenance(structured.sources.geo.source, structured.sources.geo);
+        
+        // Weekly opening hours: openingHoursSpecification first, then hours listed in the page text
+        const openingHours = normalizeOpeningHours({
+            structured: facts.opening_hours,
+            structuredSource: structured.sources.opening_hours,
+            textPages,
+            country: address?.country || countryHint,
+            region: address?.region
+        });
+        if (openingHours) {
+            fieldSources.opening_hours = openingHours.source
+                ? provenance(openingHours.source, openingHours)
+                : provenance(textSource, { page: openingHours.page, confidence: 0.7 });
+            console.log(`   🕒 Opening hours: ${formatOpeningHours(openingHours)}${openingHours.timezone ? ` (${openingHours.timezone})` : ''}`);
+        }
+        if (address) {
+            fieldSources.address = facts.address
+                ? provenance(structured.sources.address.source, structured.sources.address)
+                : provenance(textSource, pageAddress);
+        }
+        
+        // Determine practice type from the matched taxonomy entries, keywords as fallback
+        const practiceType = this.determinePracticeType(content, taxonomyMatches);
+        
+        // Lists come from taxonomy matches; record which pages mention them
+        ['services', 'treatments', 'specializations'].forEach(kind => {
+            if (taxonomyMatches[kind].length === 0) return;
+            const listPages = textPages
+                .filter(page => this.taxonomy.match(page.text, kind, 1, { language }).length > 0)
+                .map(page => page.url)
+                .filter(Boolean);
+            fieldSources[kind] = provenance(textSource, { pages: listPages, confidence: 0.8 });
+        });
+        fieldSources.practice_type = provenance(textSource, { confidence: practiceType === 'general-healthcare' ? 0.2 : 0.7 });
+        
+        // Named clinicians and staff with their titles, roles and specialties
+        const practitioners = extractPractitioners({
+            textPages,
+            structuredNodes: structured.nodes,
+            matchSpecialties: text => this.taxonomy.match(text, 'specializations', 3, { language }).map(match => match.name)
+        });
+        if (practitioners.length > 0) {
+            const fromStructured = practitioners.some(person => person.source === 'json-ld');
+            fieldSources.practitioners = provenance(fromStructured ? 'json-ld' : textSource, {
+                pages: Array.from(new Set(practitioners.map(person => person.page).filter(Boolean))),
+                confidence: fromStructured ? undefined : 0.6
+            });
+            console.log(`   👩‍⚕️ Practitioners: ${formatPractitioners(practitioners)}`);
+        }
         
-        // Determine practice type based on content
-        const practiceType = this.determinePracticeType(content, services, treatments);
+        // Price lists, each price linked to the treatment it is listed with
+        const prices = extractPrices(textPages, {
+            country: address?.country || countryHint,
+            matchTreatment: text => this.taxonomy.match(text, 'treatments', 1, { language })[0]?.name || null
+        });
+        if (prices.length > 0) {
+            fieldSources.prices = provenance(textSource, { pages: Array.from(new Set(prices.map(price => price.page).filter(Boolean))), confidence: 0.7 });
+            console.log(`   💶 Prices: ${formatPrices(prices.slice(0, 3))}${prices.length > 3 ? ` (+${prices.length - 3} more)` : ''}`);
+        }
+        
+        // Insurers, payment/financing options, NHS vs private and languages the team speaks
+        const coverage = extractCoverage(content);
+        ['insurers', 'payment_options', 'languages_spoken'].forEach(field => {
+            if (coverage[field].length === 0) return;
+            const fieldPages = textPages
+                .filter(page => extractCoverage(page.text)[field].length > 0)
+                .map(page => page.url)
+                .filter(Boolean);
+            fieldSources[field] = provenance(textSource, { pages: fieldPages, confidence: 0.7 });
+        });
+        if (coverage.payment_model) {
+            console.log(`   💳 Payment model: ${coverage.payment_model}${coverage.insurers.length ? ` (${coverage.insurers.join(', ')})` : ''}`);
+        }
+        
+        // Rating and review count from AggregateRating, rating text, review widgets and testimonials
+        const reviews = extractReviews({ structuredNodes: structured.nodes, textPages, htmlPages: pages });
+        if (reviews.rating !== null) {
+            const ratingSource = reviews.review_sources.find(source => source.rating === reviews.rating && source.page === reviews.rating_page);
+            fieldSources.rating = ['json-ld', 'microdata'].includes(ratingSource?.source)
+                ? provenance(ratingSource.source, { page: reviews.rating_page })
+                : provenance(textSource, { page: reviews.rating_page, confidence: 0.6 });
+        }
+        if (reviews.review_sources.length > 0) {
+            console.log(`   ⭐ Reviews: ${reviews.rating ?? 'no rating'}${reviews.review_count ? ` from ${reviews.review_count} reviews` : ''} (${formatReviewSources(reviews.review_sources)})`);
+        }
+        
+        // Booking/chat widgets, forms, CMS: only fetched HTML has the markup for these
+        const signals = detectSignals(pages);
+        if (signals) console.log(`   📡 Website signals: ${formatSignals(signals)}`);
+        
+        // Pages that supplied a field value or at least one service/treatment
+        const contributingPages = new Set(Object.values(fieldSources)
+            .flatMap(source => [source.page, ...(source.pages || [])])
+            .filter(Boolean));
         
         return {
-            company: companyName,
-            phone: contactInfo.phone,
-            email: contactInfo.email,
+            company: company,
+            phone: phone,
+            phone_type: phone ? phoneType : '',
+            // null when the number is kept as written because no country could be inferred
+            phone_country: phone ? phoneCountryFound : null,
+            alternate_phones: alternatePhones,
+            email: email,
             location: location,
+            address: address,
+            geo: facts.geo || null,
+            opening_hours: openingHours ? { timezone: openingHours.timezone, weekly: openingHours.weekly } : null,
             services: services,
             treatments: treatments,
             specializations: specializations,
+            treatment_categories: this.taxonomy.categoriesFor([...taxonomyMatches.treatments, ...taxonomyMatches.services]),
             practice_type: practiceType,
+            practitioners: practitioners,
+            prices: prices,
+            ...coverage,
+            rating: reviews.rating,
+            review_count: reviews.review_count,
+            review_sources: reviews.review_sources,
+            signals: signals,
+            language: language,
+            field_sources: fieldSources,
+            structured_data_types: structured.types,
+            name_candidates: practiceName.candidates,
+            contributing_pages: Array.from(contributingPages),
             content_analyzed: content.length
         };
     }
 
-    extractServices(content) {
-        const services = new Set();
+    // Structured-data address wins; text-parsed parts fill its gaps when both describe the same place
+    mergeAddresses(structuredAddress, parsedAddress) {
+        if (!structuredAddress) return parsedAddress || null;
         
-        // Healthcare service patterns
-        const servicePatterns = [
-            /(?:we offer|our services|services include|we provide)[\s\S]*?(?:\n\n|\.|!)/gi,
-            /(?:cosmetic|aesthetic|medical|dental|surgical|therapy|treatment|consultation)[\w\s]*(?:services?|procedures?|treatments?)/gi,
-            /(?:botox|filler|laser|surgery|consultation|examination|procedure|treatment|therapy)[\w\s]{0,20}/gi
-        ];
+        const address = { ...structuredAddress };
+        const country = String(address.country || '').trim();
+        address.country = normalizeCountry(country) || (/^[A-Z]{2}$/i.test(country) ? country.toUpperCase() : country || undefined);
         
-        servicePatterns.forEach(pattern => {
-            const matches = content.match(pattern) || [];
-            matches.forEach(match => {
-                // Clean and add service
-                const service = match.trim().replace(/[^\w\s-]/g, '').substring(0, 50);
-                if (service.length > 3) services.add(service);
+        const samePostcode = (a, b) => a && b && a.replace(/\s/g, '').toUpperCase() === b.replace(/\s/g, '').toUpperCase();
+        const sameCity = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+        if (parsedAddress && (samePostcode(address.postcode, parsedAddress.postcode) || sameCity(address.city, parsedAddress.city))) {
+            ['street', 'city', 'region', 'postcode', 'country'].forEach(part => {
+                if (!address[part] && parsedAddress[part]) address[part] = parsedAddress[part];
             });
-        });
+        }
         
-        return Array.from(services).slice(0, 10); // Limit to 10 services
+        Object.keys(address).forEach(part => address[part] === undefined && delete address[part]);
+        if (address.street || address.city || address.postcode) address.formatted = formatAddress(address);
+        return address;
     }
 
-    extractTreatments(content) {
-        const treatments = new Set();
+    extractStructuredFacts(pages = []) {
+        const structuredPages = pages
+            .filter(page => page.html)
+            .map(page => ({ url: page.url, data: extractStructuredData(page.html) }));
+        const { facts, sources } = toPracticeFacts(structuredPages);
+        const types = Array.from(new Set(structuredPages.flatMap(page => page.data.types)));
         
-        // Treatment-specific patterns  
-        const treatmentPatterns = [
-            /(?:botox|dermal fillers?|laser therapy|chemical peels?|microneedling|coolsculpting)/gi,
-            /(?:facelift|rhinoplasty|breast augmentation|liposuction|tummy tuck)/gi,
-            /(?:dental implants?|teeth whitening|orthodontics|root canal|crown)/gi,
-            /(?:physical therapy|massage|acupuncture|chiropractic|physiotherapy)/gi,
-            /(?:consultation|examination|assessment|screening|diagnosis)/gi
-        ];
+        if (Object.keys(facts).length > 0) {
+            console.log(`   🧩 Structured data (${types.join(', ') || 'OpenGraph'}): ${Object.keys(facts).join(', ')}`);
+        }
         
-        treatmentPatterns.forEach(pattern => {
-            const matches = content.match(pattern) || [];
-            matches.forEach(match => {
-                const treatment = match.trim().toLowerCase();
-                if (treatment.length > 3) treatments.add(treatment);
-            });
-        });
+        const siteNames = structuredPages
+            .map(page => ({ name: page.data.open_graph?.['og:site_name'], page: page.url }))
+            .filter(siteName => siteName.name);
+        
+        // Every node, for lookups beyond the practice itself (e.g. Person nodes for practitioners)
+        const nodes = structuredPages.flatMap(page => [
+            ...page.data.json_ld.map(node => ({ node, page: page.url, source: 'json-ld' })),
+            ...page.data.microdata.map(node => ({ node, page: page.url, source: 'microdata' }))
+        ]);
         
-        return Array.from(treatments).slice(0, 15); // Limit to 15 treatments
+        return { facts, sources, types, siteNames, nodes };
     }
 
-    extractSpecializations(content) {
-        const specializations = new Set();
+    // Practice name from what the site says about itself; the hostname is only a last resort
+    extractPracticeName({ structured, htmlPages = [], textPages = [], hostname, textSource }) {
+        const candidates = [];
         
-        const specializationPatterns = [
-            /(?:speciali[sz]es? in|speciali[sz]ation|expert in|focus on)[\s\S]*?(?:\n|\.|,)/gi,
-            /(?:cosmetic|aesthetic|medical|dental|surgical|orthopedic|dermatology|cardiology|neurology)[\w\s]*(?:surgery|medicine|care|practice)/gi
-        ];
+        // Structured names get the same cleanup as titles: "Smile Dental B.V." → "Smile Dental"
+        const structuredName = cleanName(structured.facts.name);
+        if (structuredName) {
+            candidates.push({ name: structuredName, source: structured.sources.name.source, page: structured.sources.name.page });
+        }
+        structured.siteNames.forEach(({ name, page }) => {
+            if (cleanName(name)) candidates.push({ name: cleanName(name), source: 'opengraph', page });
+        });
+        htmlPages.forEach(page => candidates.push(...titleCandidates(page.title, 'title', page.url)));
+        if (textSource === 'exa') {
+            textPages.forEach(page => candidates.push(...titleCandidates(page.title, 'exa-title', page.url)));
+        }
+        
+        const seen = new Set();
+        [...htmlPages, ...textPages].forEach(page => {
+            if (seen.has(page.url)) return;
+            seen.add(page.url);
+            candidates.push(...copyrightCandidates(page.text, page.url));
+        });
         
-        specializationPatterns.forEach(pattern => {
-            const matches = content.match(pattern) || [];
-            matches.forEach(match => {
-                const spec = match.trim().replace(/[^\w\s-]/g, '').substring(0, 40);
-                if (spec.length > 5) specializations.add(spec);
+        const ranked = rankPracticeNames(candidates, hostname);
+        const best = ranked[0];
+        if (!best) return { value: null, candidates: [] };
+        
+        // Titles and copyright lines are page text: attribute them to Exa or the fetched HTML
+        const fromExa = textSource === 'exa' && !htmlPages.some(page => page.url === best.page);
+        const source = ['json-ld', 'microdata', 'opengraph'].includes(best.source) ? best.source : (fromExa ? 'exa' : 'html');
+        return {
+            value: best.name,
+            source,
+            page: best.page,
+            method: best.source !== source ? best.source : undefined,
+            confidence: Math.min(best.score, 0.95),
+            candidates: ranked.slice(0, 3).map(({ name, sources, score }) => ({ name, sources, score }))
+        };
+    }
+
+    async fetchHomepage(url) {
+        try {
+            const crawl = await this.crawler.crawl(url, { maxPages: 1 });
+            return crawl.pages;
+        } catch (error) {
+            console.warn(`   ⚠️ Homepage fetch for structured data failed: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Canonical treatments, services and specializations from config/taxonomy.json
+    matchTaxonomy(content, language) {
+        return {
+            services: this.taxonomy.match(content, 'services', 10, { language }),
+            treatments: this.taxonomy.match(content, 'treatments', 15, { language }),
+            specializations: this.taxonomy.match(content, 'specializations', 8, { language })
+        };
+    }
+
+    // Phone and email candidates from every page; a value found on several pages, on a
+    // contact page or (for email) on the practice's own domain wins
+    extractContactInfo(pages, context = {}) {
+        const phones = new Map();
+        const emails = new Map();
+        const siteDomain = context.hostname ? this.normalizeDomain(context.hostname) : '';
+        
+        pages.forEach(page => {
+            const text = page.text || '';
+            const bonus = this.isContactPage(page.url) ? 2 : 0;
+            
+            const found = findPhoneNumbers(text, { defaultCountry: context.country });
+            [found.primary, ...found.alternates].filter(Boolean).forEach(phone => {
+                // Numbers without a country have no E.164 form and are compared as written
+                const number = phone.e164 || phone.raw;
+                const entry = phones.get(number) || { number, e164: phone.e164, country: phone.country, type: phone.type, page: page.url, score: phone.e164 ? 0 : -1, pages: 0 };
+                entry.score += (phone === found.primary ? 3 : 1) + bonus;
+                entry.pages++;
+                if (phone.type === 'fax') entry.type = 'fax';
+                phones.set(number, entry);
+            });
+            
+            const pageEmails = new Set((text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g) || [])
+                .map(email => email.toLowerCase())
+                .filter(email => !/\.(png|jpe?g|gif|svg|webp)$/.test(email)));
+            pageEmails.forEach(email => {
+                const entry = emails.get(email) || { email, page: page.url, score: siteDomain && email.endsWith(`@${siteDomain}`) ? 3 : 0, pages: 0 };
+                entry.score += 1 + bonus;
+                entry.pages++;
+                emails.set(email, entry);
             });
         });
         
-        return Array.from(specializations).slice(0, 8);
+        const rankedPhones = Array.from(phones.values()).sort((a, b) => b.score - a.score);
+        const primary = rankedPhones.find(phone => phone.type !== 'fax') || null;
+        const bestEmail = Array.from(emails.values()).sort((a, b) => b.score - a.score)[0] || null;
+        // Seen on several pages or on a contact page: more likely the practice's own details
+        const confidence = (entry) => entry && (entry.pages > 1 || this.isContactPage(entry.page)) ? 0.8 : 0.6;
+        
+        return {
+            phone: primary?.number || '',
+            phone_e164: primary?.e164 || null,
+            phone_country: primary?.country || null,
+            phone_type: primary?.type || '',
+            phone_page: primary?.page,
+            phone_confidence: confidence(primary),
+            alternate_phones: rankedPhones.filter(phone => phone !== primary)
+                .map(({ number, e164, type }) => (e164 ? { e164, type } : { e164: null, type, raw: number })),
+            email: bestEmail?.email || '',
+            email_page: bestEmail?.page,
+            email_confidence: confidence(bestEmail)
+        };
     }
 
-    extractContactInfo(content) {
-        // Phone number extraction
-        const phoneMatch = content.match(/(?:\+?[\d\s\-\(\)]{10,})/g);
-        const phone = phoneMatch ? phoneMatch[0].replace(/[^\d+]/g, '') : '';
+    // Most complete address; ties go to the one repeated across pages or found on a contact page
+    pickAddress(pages, countryHint) {
+        const candidates = new Map();
         
-        // Email extraction
-        const emailMatch = content.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
-        const email = emailMatch ? emailMatch[0] : '';
+        pages.forEach(page => {
+            const address = this.extractAddressFromContent(page.text || '', countryHint);
+            if (!address) return;
+            
+            const key = address.formatted.toLowerCase();
+            const entry = candidates.get(key) || {
+                address,
+                page: page.url,
+                score: ['street', 'city', 'postcode'].filter(part => address[part]).length * 2
+            };
+            entry.score += 1 + (this.isContactPage(page.url) ? 1 : 0);
+            candidates.set(key, entry);
+        });
         
-        return { phone, email };
+        const best = Array.from(candidates.values()).sort((a, b) => b.score - a.score)[0];
+        if (!best) return null;
+        
+        const complete = ['street', 'city', 'postcode'].every(part => best.address[part]);
+        return { address: best.address, page: best.page, confidence: complete ? 0.8 : 0.5 };
+    }
+
+    isContactPage(pageUrl) {
+        try {
+            return /contact|kontakt|find-us|location|route|bereikbaarheid|nous-trouver|anfahrt/i.test(new URL(pageUrl).pathname);
+        } catch {
+            return false;
+        }
     }
 
-    extractLocationFromContent(content) {
+    // Country for national-format phone numbers: TLD first, then the extracted location, then the page language
+    inferPhoneCountry(hostname, location, { language, htmlLang } = {}) {
+        const fromTld = countryFromHostname(hostname);
+        if (fromTld) return fromTld;
+        return (location && this.countryFromLocation(location)) || countryFromLanguage(language, htmlLang);
+    }
+    
+    countryFromLocation(location) {
+        const countryCode = String(location).trim().toUpperCase();
+        if (COUNTRIES[countryCode]) return countryCode;
+        if (countryCode === 'UK') return 'GB';
+        
+        const locationDomains = this.getLocationDomains(String(location));
+        if (locationDomains) return countryFromHostname(`location${locationDomains[0]}`);
+        
+        // "City, ST 12345" is a US address
+        if (/\b[A-Z]{2}\s*\d{5}(?:-\d{4})?\b/.test(location)) return 'US';
+        return null;
+    }
+
+    // Postal address in UK, NL, DE, FR, CA, AU or US format (structured parts)
+    extractAddressFromContent(content, countryHint) {
+        return parseAddress(content, { countryHint });
+    }
+
+    extractLocationFromContent(content, countryHint) {
+        const address = this.extractAddressFromContent(content, countryHint);
+        if (address) return address.formatted;
+        
         // Location patterns (addresses, cities)
         const locationPatterns = [
             /\d+[\w\s]+(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|boulevard|blvd)[\w\s,]*\d{5}/gi,
-            /(?:located in|based in|visit us at|address:?)[\s]*([^.\n]{10,60})/gi,
+            /(?:located in|based in|visit us at|address:?|gevestigd in|bezoekadres:?|adres:?|anschrift:?|adresse:?|situé à|située à)[\s]*([^.\n]{10,60})/gi,
             /([A-Z][a-z]+,\s*[A-Z]{2}\s*\d{5})/g // City, State ZIP
         ];
         
@@ -299,46 +771,124 @@ class CompleteHealthcareAutomationAgent {
         return null;
     }
 
-    determinePracticeType(content, services, treatments) {
+    determinePracticeType(content, taxonomyMatches) {
+        const implied = this.taxonomy.inferPracticeType([
+            ...taxonomyMatches.treatments,
+            ...taxonomyMatches.services,
+            ...taxonomyMatches.specializations
+        ]);
+        if (implied) return implied;
+        
         const contentLower = content.toLowerCase();
         
-        if (contentLower.includes('cosmetic') || contentLower.includes('aesthetic')) return 'cosmetic';
-        if (contentLower.includes('dental') || contentLower.includes('dentist')) return 'dental';
-        if (contentLower.includes('surgery') || contentLower.includes('surgical')) return 'surgical';
-        if (contentLower.includes('therapy') || contentLower.includes('rehabilitation')) return 'therapy';
-        if (contentLower.includes('dermatology') || contentLower.includes('skin')) return 'dermatology';
+        // Keywords in English, Dutch, German and French
+        if (/cosmetic|aesthetic|cosmetisch|esthetisch|ästhetisch|kosmetisch|esthétique|cosmétique/.test(contentLower)) return 'cosmetic';
+        if (/dental|dentist|tandarts|tandheelkund|zahnarzt|zahnärzt|zahnmedizin|dentaire|dentiste/.test(contentLower)) return 'dental';
+        if (/surgery|surgical|chirurg/.test(contentLower)) return 'surgical';
+        if (/therapy|rehabilitation|fysiotherap|physiotherap|revalidatie|kinésithérap/.test(contentLower)) return 'therapy';
+        if (/dermatolog|skin|huidarts|hautarzt|peau/.test(contentLower)) return 'dermatology';
         
         return 'general-healthcare';
     }
 
-    calculateLeadScore(exaData) {
-        let score = 50; // Base score
+    // Rules and weights live in config/scoring.json; see lib/lead-scorer.js
+    calculateLeadScore(practiceData) {
+        return this.scorer.score(practiceData);
+    }
+
+    applyLeadScore(practiceData) {
+        const scoring = this.calculateLeadScore(practiceData);
+        practiceData.lead_score = scoring.score;
+        practiceData.score_breakdown = scoring.breakdown;
+        practiceData.score_version = scoring.version;
+        practiceData.scored_at = scoring.scored_at;
+        return practiceData;
+    }
+
+    // Re-apply the current scoring rules to stored leads (after config/scoring.json changed)
+    async rescoreLeads(options = {}) {
+        const domains = options.domains?.length ? options.domains.map(domain => this.normalizeDomain(domain)) : null;
+        const leads = this.store.listLeads().filter(lead => !domains || domains.includes(lead.domain));
+        const results = [];
+        let notionUpdated = 0;
+        let notionFailed = 0;
         
-        if (exaData.services?.length > 0) score += Math.min(exaData.services.length * 5, 25);
-        if (exaData.treatments?.length > 0) score += Math.min(exaData.treatments.length * 3, 20);
-        if (exaData.phone) score += 10;
-        if (exaData.email) score += 10;
-        if (exaData.location) score += 5;
-        if (exaData.specializations?.length > 0) score += 5;
-        if (exaData.content_analyzed > 1000) score += 5;
+        for (const lead of leads) {
+            const previousScore = lead.lead_score;
+            const practiceData = this.applyLeadScore({ ...lead.practice_data });
+            const changed = practiceData.lead_score !== previousScore;
+            const result = { domain: lead.domain, company: lead.company, previous_score: previousScore, lead_score: practiceData.lead_score, changed };
+            
+            this.store.updateLead(lead.domain, { lead_score: practiceData.lead_score, practice_data: practiceData });
+            
+            if (changed && options.syncNotion && lead.notion?.synced && lead.notion.lead_id && this.notion.isConfigured()) {
+                try {
+                    await this.notion.updatePage(lead.notion.lead_id, {
+                        lead_score: practiceData.lead_score,
+                        score_breakdown: formatBreakdown(practiceData.score_breakdown).substring(0, 2000),
+                        last_updated: new Date().toISOString()
+                    });
+                    result.notion = 'updated';
+                    notionUpdated++;
+                } catch (error) {
+                    console.error(`   ❌ Notion score update failed for ${lead.domain}: ${error.message}`);
+                    result.notion = `failed: ${error.message}`;
+                    notionFailed++;
+                }
+            }
+            
+            results.push(result);
+        }
         
-        return Math.min(score, 100);
+        console.log(`📊 Re-scored ${results.length} lead(s), ${results.filter(r => r.changed).length} changed`);
+        return {
+            rescored: results.length,
+            changed: results.filter(r => r.changed).length,
+            notion_updated: notionUpdated,
+            notion_failed: notionFailed,
+            leads: results
+        };
     }
 
-    async basicContentAnalysis(url) {
+    async basicContentAnalysis(url, companyName) {
         console.log('   📄 Using basic content analysis...');
-        // Fallback when Exa is not available
+        // Fallback when Exa is not available: crawl the practice website directly
         const hostname = new URL(url).hostname;
         
+        if (this.exa.replay) {
+            console.log('   💾 Exa replay mode: not crawling the live website');
+        } else if (config.crawler_enabled) {
+            try {
+                const crawl = await this.crawler.crawl(url);
+                
+                if (crawl.pages.length > 0) {
+                    const content = crawl.pages.map(page => page.text).join('\n\n');
+                    console.log(`   📄 Analyzing ${content.length} characters from ${crawl.pages.length} crawled page(s)...`);
+                    
+                    const crawledData = await this.extractHealthcareData(crawl.pages, url, companyName || this.extractCompanyFromUrl(hostname), crawl.pages, { textSource: 'html' });
+                    return {
+                        ...crawledData,
+                        content_source: 'crawler',
+                        source_pages: crawl.pages.map(page => page.url)
+                    };
+                }
+                
+                console.warn(`   ⚠️ Crawler fetched no pages (${crawl.errors.map(e => e.error).join('; ') || 'unknown reason'})`);
+            } catch (error) {
+                console.error(`   ❌ Website crawl failed: ${error.message}`);
+            }
+        }
+        
+        // No content at all: leave the fields empty rather than inventing services
         return {
-            company: this.extractCompanyFromUrl(hostname),
+            company: '',
             phone: '',
             email: '',
-            location: this.extractLocationFromUrl(hostname),
-            services: ['Healthcare Services'],
-            treatments: ['Consultation'],
-            specializations: ['General Healthcare'],
-            practice_type: 'general-healthcare'
+            location: '',
+            services: [],
+            treatments: [],
+            specializations: [],
+            content_source: 'placeholder'
         };
     }
 
@@ -351,8 +901,8 @@ class CompleteHealthcareAutomationAgent {
         const parts = name.split(/[.-]/);
         const meaningful = parts.filter(part => part.length > 2);
         
-        // Capitalize and join
-        return meaningful.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ') + ' Healthcare';
+        // Capitalize and join (last resort only: real names come from extractPracticeName)
+        return meaningful.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
     }
 
     extractLocationFromUrl(hostname) {
@@ -366,14 +916,14 @@ class CompleteHealthcareAutomationAgent {
             }
         }
         
-        return 'Practice Location';
+        return '';
     }
 
     // ===== LEAD DISCOVERY WITH EXA =====
     async discoverHealthcareLeads(query, options = {}) {
         console.log(`🔍 Exa Lead Discovery: "${query}"`);
         
-        if (!config.exa_api_key) {
+        if (!this.exa.isAvailable()) {
             console.warn('⚠️ Exa API key not configured, using demo results');
             return this.createDemoLeads(query, options);
         }
@@ -384,7 +934,7 @@ class CompleteHealthcareAutomationAgent {
             console.log(`   📝 Search query: "${searchQuery}"`);
             
             // Search with Exa
-            const searchResponse = await axios.post('https://api.exa.ai/search', {
+            const searchData = await this.exa.search({
                 query: searchQuery,
                 type: 'neural',
                 useAutoprompt: true,
@@ -396,20 +946,15 @@ class CompleteHealthcareAutomationAgent {
                         includeHtmlTags: false
                     }
                 }
-            }, {
-                headers: {
-                    'x-api-key': config.exa_api_key,
-                    'Content-Type': 'application/json'
-                }
-            });
+            }, { refresh: options.refresh });
 
-            if (!searchResponse.data?.results?.length) {
+            if (!searchData?.results?.length) {
                 console.log('   ⚠️ No Exa results found');
                 return [];
             }
 
             // Process results into lead format
-            const leads = searchResponse.data.results.map(result => ({
+            const leads = searchData.results.map(result => ({
                 url: result.url,
                 title: result.title,
                 snippet: result.text?.substring(0, 200) + '...',
@@ -423,6 +968,8 @@ class CompleteHealthcareAutomationAgent {
 
         } catch (error) {
             console.error(`   ❌ Exa lead discovery failed: ${error.message}`);
+            // Replaying cached data: demo leads would look like real results
+            if (error instanceof ExaCacheMissError) return [];
             return this.createDemoLeads(query, options);
         }
     }
@@ -507,38 +1054,50 @@ class CompleteHealthcareAutomationAgent {
         console.log(`📝 STEP 2: Storing lead in Notion database`);
         this.currentStep = 'notion-storage';
         
+        let notionResult;
         try {
             // Validate and sanitize data according to Notion schema requirements
             const validatedData = this.validateNotionData(practiceData);
             
-            // Check if lead already exists (duplicate prevention)
-            console.log('   🔍 Checking for duplicate leads...');
-            
-            // Try actual Notion MCP storage
-            const notionResult = await this.attemptNotionStorage(validatedData);
+            // Upsert by domain (duplicate prevention)
+            console.log(`   🔍 Checking for duplicate leads (${validatedData.domain || 'no domain'})...`);
+            notionResult = await this.attemptNotionStorage(validatedData, practiceData.field_sources);
             
             if (notionResult.success) {
-                console.log(`   ✅ Lead stored in Notion successfully`);
-                return notionResult;
+                console.log(`   ✅ Lead ${notionResult.action} in Notion successfully`);
             } else {
-                console.log(`   ⚠️ Notion storage failed, using fallback record`);
-                return this.createFallbackNotionRecord(validatedData);
+                console.log(`   ⚠️ Notion storage failed, keeping lead in local store`);
+                notionResult = this.createFallbackNotionRecord(practiceData, notionResult.error);
             }
 
         } catch (error) {
             console.error(`   ❌ Notion storage error: ${error.message}`);
-            console.log(`   🔄 Creating fallback record to continue workflow`);
-            return this.createFallbackNotionRecord(practiceData);
+            console.log(`   🔄 Keeping lead in local store to continue workflow`);
+            notionResult = this.createFallbackNotionRecord(practiceData, error.message);
+        }
+
+        this.saveLeadLocally(practiceData, notionResult);
+        return notionResult;
+    }
+
+    // Local store is the source of truth; Notion sync state is tracked per lead
+    saveLeadLocally(practiceData, notionResult) {
+        try {
+            this.store.saveLead(practiceData, notionResult);
+        } catch (error) {
+            console.error(`   ❌ Local lead store write failed: ${error.message}`);
         }
     }
 
     validateNotionData(practiceData) {
         // Ensure all required fields meet Notion schema constraints
+        // Keeps accented and non-Latin letters ("Hauptstraße", "München"); only control characters go
         const sanitize = (str) => {
             if (!str) return '';
             return String(str)
+                .normalize('NFC')
                 .replace(/[\n\r\t]/g, ' ')
-                .replace(/[^\x20-\x7E]/g, '')
+                .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
                 .trim()
                 .substring(0, 2000);
         };
@@ -565,87 +1124,238 @@ class CompleteHealthcareAutomationAgent {
             }
         };
 
-        return {
-            company: sanitize(practiceData.company) || 'Healthcare Practice',
+        const record = {
+            company: sanitize(practiceData.company) || this.normalizeDomain(practiceData.domain || practiceData.url),
             phone: validatePhone(practiceData.phone),
             email: validateEmail(practiceData.email),
-            location: sanitize(practiceData.location) || 'Healthcare Location',
+            location: sanitize(practiceData.location),
+            street: sanitize(practiceData.address_street),
+            city: sanitize(practiceData.address_city),
+            region: sanitize(practiceData.address_region),
+            postcode: sanitize(practiceData.address_postcode),
+            country: sanitize(practiceData.address_country),
             website: validateUrl(practiceData.url),
             practice_id: sanitize(practiceData.practiceId),
             status: 'Lead Captured',
-            practice_type: sanitize(practiceData.practice_type) || 'healthcare',
+            practice_type: sanitize(practiceData.practice_type),
             
             // ===== ENHANCED: NEW TREATMENT & SERVICE FIELDS =====
             services: Array.isArray(practiceData.services) ? 
-                practiceData.services.map(s => sanitize(s)).join(', ').substring(0, 1000) : 
-                'Healthcare Services',
+                practiceData.services.map(s => sanitize(s)).join(', ').substring(0, 1000) : '',
             treatments: Array.isArray(practiceData.treatments) ? 
-                practiceData.treatments.map(t => sanitize(t)).join(', ').substring(0, 1000) :
-                'Consultation',
+                practiceData.treatments.map(t => sanitize(t)).join(', ').substring(0, 1000) : '',
             specializations: Array.isArray(practiceData.specializations) ?
-                practiceData.specializations.map(s => sanitize(s)).join(', ').substring(0, 500) :
-                'General Healthcare',
+                practiceData.specializations.map(s => sanitize(s)).join(', ').substring(0, 500) : '',
+            insurers: (practiceData.insurers || []).map(name => sanitize(name)).filter(Boolean),
+            payment_options: (practiceData.payment_options || []).map(name => sanitize(name)),
+            payment_model: sanitize(practiceData.payment_model) || undefined,
+            languages_spoken: (practiceData.languages_spoken || []).map(name => sanitize(name)),
+            rating: Number.isFinite(practiceData.rating) ? practiceData.rating : undefined,
+            review_count: Number.isFinite(practiceData.review_count) ? practiceData.review_count : undefined,
+            review_sources: sanitize(formatReviewSources(practiceData.review_sources || [])) || undefined,
+            prices: sanitize(formatPrices(practiceData.prices || [])).substring(0, 2000),
+            practitioners: sanitize(formatPractitioners(practiceData.practitioners || [])).substring(0, 2000),
             
             // ===== ENHANCED: LEAD SCORING & ANALYTICS =====
-            lead_score: Math.min(Math.max(parseInt(practiceData.lead_score) || 50, 0), 100),
+            lead_score: Number.isFinite(Number(practiceData.lead_score)) ? Math.min(Math.max(Math.round(practiceData.lead_score), 0), 100) : 0,
+            score_breakdown: formatBreakdown(practiceData.score_breakdown).substring(0, 2000),
+            
+            // ===== WEBSITE SIGNALS (left out when no HTML was checked) =====
+            booking_provider: practiceData.signals ? sanitize(practiceData.signals.booking_providers.join(', ')) || 'None' : undefined,
+            cms: practiceData.signals?.cms ? sanitize(practiceData.signals.cms) : undefined,
+            website_signals: practiceData.signals ? sanitize(formatSignals(practiceData.signals)) : undefined,
             exa_enhanced: practiceData.exa_enhanced || false,
-            domain: sanitize(practiceData.domain) || '',
+            domain: this.normalizeDomain(sanitize(practiceData.domain) || practiceData.url),
             
             // ===== TIMESTAMPS =====
             scraped_at: practiceData.scraped_at || new Date().toISOString(),
             last_updated: new Date().toISOString()
         };
+        
+        // Placeholder values (source "fallback") are left out so Notion never shows them as real data
+        const notionFields = { address: ['street', 'city', 'region', 'postcode', 'country'] };
+        (practiceData.placeholder_fields || []).forEach(field => {
+            (notionFields[field] || [field]).forEach(key => {
+                if (key in record && key !== 'company') record[key] = undefined;
+            });
+        });
+        
+        return record;
     }
 
-    async attemptNotionStorage(validatedData) {
+    async attemptNotionStorage(validatedData, fieldSources = {}) {
+        if (!this.notion.isConfigured()) {
+            return { success: false, error: 'Notion API key or database ID not configured' };
+        }
+
         try {
-            // Mock Notion API call with proper error handling
-            // In real implementation, this would use Notion MCP client
-            const mockNotionCall = new Promise((resolve, reject) => {
-                // Simulate network delay
-                setTimeout(() => {
-                    // Simulate 70% success rate for realistic testing
-                    if (Math.random() > 0.3) {
-                        resolve({ 
-                            success: true, 
-                            leadId: `notion_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-                            record: validatedData
-                        });
-                    } else {
-                        reject(new Error('Notion API rate limit exceeded'));
-                    }
-                }, 300);
+            return await this.withDomainLock(validatedData.domain, () => this.upsertNotionLead(validatedData, fieldSources));
+        } catch (error) {
+            console.error(`   ❌ Notion API call failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async upsertNotionLead(validatedData, fieldSources = {}) {
+        const existingPage = validatedData.domain ? await this.notion.findPageByDomain(validatedData.domain) : null;
+
+        if (!existingPage) {
+            const page = await this.notion.createPage(validatedData);
+            return { success: true, action: 'created', leadId: page.id, notion_url: page.url, record: validatedData };
+        }
+
+        const existingData = this.notion.parseProperties(existingPage);
+        const { record, changedFields } = this.mergeLeadRecords(existingData, validatedData, {
+            existingConfidence: this.storedConfidence(validatedData.domain, existingData),
+            incomingConfidence: fieldConfidence(fieldSources)
+        });
+
+        if (changedFields.length === 0) {
+            console.log(`   ♻️ Duplicate lead found (${existingPage.id}), nothing new to merge`);
+            return { success: true, action: 'unchanged', leadId: existingPage.id, notion_url: existingPage.url, record };
+        }
+
+        console.log(`   🔀 Duplicate lead found (${existingPage.id}), merging: ${changedFields.join(', ')}`);
+        const page = await this.notion.updatePage(existingPage.id, record);
+        return { success: true, action: 'updated', leadId: existingPage.id, notion_url: page.url || existingPage.url, record, changed_fields: changedFields };
+    }
+
+    // Merge a freshly extracted lead into an existing record, field by field over every writable Notion property:
+    // - multi-selects are unioned
+    // - contact and address fields are only filled when the existing record has none, or replaced when this run
+    //   read them from a more trusted source ("Smile Dental" from JSON-LD beats "Smiledental" guessed from the URL)
+    // - status and scraped_at keep their first value; last_updated alone is never a reason to update
+    // - everything else (prices, rating, signals, score, ...) is re-read each run: this run's value wins,
+    //   and the old one is kept when this run found nothing
+    // Values are compared as the Notion property payloads, so "4.5" and 4.5 or "a, b" and "a b" are equal.
+    mergeLeadRecords(existing, incoming, { existingConfidence = {}, incomingConfidence = {} } = {}) {
+        // Older records may hold raw terms ("fillers"); map them onto canonical taxonomy names
+        const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(item => String(item).trim())
+            .filter(Boolean)
+            .map(item => this.taxonomy.normalize(item) || item);
+
+        const mergeLists = (current, added) => {
+            const merged = toList(current);
+            const seen = new Set(merged.map(item => item.toLowerCase()));
+            toList(added).forEach(item => {
+                if (!seen.has(item.toLowerCase())) {
+                    seen.add(item.toLowerCase());
+                    merged.push(item);
+                }
             });
+            return merged;
+        };
+
+        const isEmpty = (value) => value === undefined || value === null || value === '';
+        // Unknown confidence on the stored side means "keep it"
+        const moreTrusted = (field) => (incomingConfidence[field] ?? 0) > (existingConfidence[field] ?? 1);
+        const sameValue = (type, a, b) => JSON.stringify(this.notion.toPropertyValue(type, a)) === JSON.stringify(this.notion.toPropertyValue(type, b));
+
+        const fillOnly = ['company', 'phone', 'email', 'location', 'street', 'city', 'region', 'postcode', 'country', 'website', 'practice_type'];
+        const keepFirst = ['status', 'scraped_at'];
+        const untracked = ['last_updated'];
+
+        const record = { ...incoming };
+        const changedFields = [];
+
+        Object.entries(this.notion.writableProperties()).forEach(([field, { type }]) => {
+            if (untracked.includes(field)) return;
+
+            if (type === 'multi_select') {
+                const current = toList(existing[field]);
+                const merged = mergeLists(current, incoming[field]);
+                record[field] = merged.join(', ');
+                if (merged.length !== current.length) changedFields.push(field);
+            } else if (keepFirst.includes(field)) {
+                record[field] = isEmpty(existing[field]) ? incoming[field] : existing[field];
+            } else if (fillOnly.includes(field) && !isEmpty(existing[field]) && !moreTrusted(field)) {
+                record[field] = existing[field];
+            } else if (isEmpty(incoming[field])) {
+                record[field] = existing[field];
+            } else if (!sameValue(type, incoming[field], existing[field])) {
+                changedFields.push(field);
+            }
+        });
 
-            return await mockNotionCall;
+        return { record, changedFields };
+    }
+
+    // Confidence of the values Notion holds, from the last run in the local store. A stored name that equals
+    // the URL guess is only a guess, even when the store has no provenance for it (older records).
+    storedConfidence(domain, existingData) {
+        const confidence = fieldConfidence(this.store.getLead(domain)?.practice_data?.field_sources);
+        if (confidence.company === undefined && existingData.company && existingData.company === this.extractCompanyFromUrl(domain)) {
+            confidence.company = SOURCE_CONFIDENCE['url-heuristic'];
+        }
+        return confidence;
+    }
+
+    // Serialize work per domain so concurrent runs for one clinic can't both create a page
+    async withDomainLock(domain, task) {
+        if (!domain) return await task();
+
+        const previous = this.domainLocks.get(domain) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        const settled = current.catch(() => {});
+        this.domainLocks.set(domain, settled);
+
+        try {
+            return await current;
+        } finally {
+            if (this.domainLocks.get(domain) === settled) this.domainLocks.delete(domain);
+        }
+    }
+
+    async verifyNotionSchema() {
+        if (!this.notion.isConfigured()) {
+            console.warn('⚠️ Notion API key not configured, skipping schema check');
+            return null;
+        }
+
+        try {
+            const report = await this.notion.verifySchema();
+            this.notionSchemaReport = report;
+
+            if (report.valid) {
+                console.log(`✅ Notion schema verified: all ${Object.keys(this.notion.properties).length} lead properties present`);
+            } else {
+                report.missing.forEach(p => console.warn(`   ⚠️ Notion property missing: "${p.property}" (expected ${p.expected_type})`));
+                report.mismatched.forEach(p => console.warn(`   ⚠️ Notion property "${p.property}" is ${p.actual_type}, expected ${p.expected_type}`));
+                console.warn(`   ⚠️ Page writes leave these ${report.missing.length + report.mismatched.length} properties out until the database has them`);
+            }
+
+            return report;
         } catch (error) {
-            return { success: false, error: error.message };
+            console.error(`❌ Notion schema check failed: ${error.message}`);
+            this.notionSchemaReport = { valid: false, error: error.message, checked_at: new Date().toISOString() };
+            return this.notionSchemaReport;
         }
     }
 
-    createFallbackNotionRecord(practiceData) {
+    createFallbackNotionRecord(practiceData, reason) {
         // Create a local record that matches expected Notion structure
+        const practiceId = practiceData.practiceId || this.generatePracticeId(practiceData.url || practiceData.domain);
         const fallbackRecord = {
-            company: practiceData.company || 'Healthcare Practice',
-            doctor: practiceData.doctor || 'Dr. Smith', 
+            company: practiceData.company || '',
             phone: practiceData.phone || '',
             email: practiceData.email || '',
-            location: practiceData.location || 'Healthcare Location',
+            location: practiceData.location || '',
             website: practiceData.url || '',
-            practice_id: practiceData.practiceId || `practice_${Date.now()}`,
+            practice_id: practiceId,
             status: 'Fallback Record',
-            services: Array.isArray(practiceData.services) ? 
-                practiceData.services.join(', ') : 'Healthcare Services',
+            services: Array.isArray(practiceData.services) ? practiceData.services.join(', ') : '',
             created_at: new Date().toISOString(),
-            fallback_reason: 'Notion API unavailable - continuing workflow'
+            fallback_reason: reason || 'Notion API unavailable - continuing workflow'
         };
 
-        console.log(`   ⚡ Created fallback record to prevent workflow interruption`);
+        console.log(`   ⚡ Lead kept in local store (pending Notion sync) to prevent workflow interruption`);
         
         return {
             success: true,
-            leadId: `fallback_${Date.now()}_${Math.random().toString(36).substring(7)}`,
+            leadId: `local_${practiceId}`,
             record: fallbackRecord,
+            action: 'fallback',
             is_fallback: true
         };
     }
@@ -655,7 +1365,7 @@ class CompleteHealthcareAutomationAgent {
     // ===== REMOVED: Repository creation and Railway deployment no longer needed for 3-step workflow =====
 
     // ===== SIMPLIFIED 3-STEP WORKFLOW: EXA SEARCH + NOTION STORAGE + TELEGRAM RESPONSE =====
-    async processHealthcarePractice(url) {
+    async processHealthcarePractice(url, options = {}) {
         console.log(`\n🏥 STARTING 3-STEP HEALTHCARE LEAD DISCOVERY`);
         console.log(`🎯 Target URL: ${url}`);
         console.log(`⏰ Started at: ${new Date().toLocaleString()}`);
@@ -668,21 +1378,21 @@ class CompleteHealthcareAutomationAgent {
         try {
             // ===== STEP 1: EXA SEARCH & DATA EXTRACTION =====
             console.log(`\n🔍 STEP 1: EXA Search & Data Extraction`);
-            practiceData = await this.scrapeHealthcarePractice(url);
+            practiceData = await this.scrapeHealthcarePractice(url, { refresh: options.refresh });
             
             if (!practiceData || !practiceData.company) {
                 throw new Error('No valid practice data extracted');
             }
             
             console.log(`   ✅ Data extracted: ${practiceData.company}`);
-            console.log(`   🏥 Services: ${Array.isArray(practiceData.services) ? practiceData.services.slice(0,3).join(', ') : 'Healthcare Services'}`);
-            console.log(`   💊 Treatments: ${Array.isArray(practiceData.treatments) ? practiceData.treatments.slice(0,3).join(', ') : 'Consultation'}`);
+            console.log(`   🏥 Services: ${practiceData.services?.slice(0,3).join(', ') || 'none found'}`);
+            console.log(`   💊 Treatments: ${practiceData.treatments?.slice(0,3).join(', ') || 'none found'}`);
             
             // ===== STEP 2: NOTION DATABASE STORAGE =====
             console.log(`\n📊 STEP 2: Notion Database Storage`);
             notionResult = await this.storeLeadInNotion(practiceData);
             
-            console.log(`   ✅ Stored in Notion: ${notionResult.leadId}`);
+            console.log(`   ✅ Stored in Notion: ${notionResult.leadId} (${notionResult.action})`);
             console.log(`   📋 Record type: ${notionResult.is_fallback ? 'Fallback' : 'Standard'}`);
             
             // ===== STEP 3: RESULTS & COMPLETION =====
@@ -690,7 +1400,7 @@ class CompleteHealthcareAutomationAgent {
             console.log(`\n✅ STEP 3: Workflow Complete!`);
             console.log(`   🏥 Practice: ${practiceData.company}`);
             console.log(`   📍 Location: ${practiceData.location}`);
-            console.log(`   📊 Lead Score: ${practiceData.lead_score || 50}/100`);
+            console.log(`   📊 Lead Score: ${practiceData.lead_score ?? 0}/100`);
             console.log(`   ⏱️  Total time: ${totalTime}s`);
             
             const result = {
@@ -702,22 +1412,22 @@ class CompleteHealthcareAutomationAgent {
                     practice_id: practiceData.practiceId,
                     services: practiceData.services,
                     treatments: practiceData.treatments,
-                    lead_score: practiceData.lead_score
+                    lead_score: practiceData.lead_score,
+                    field_sources: practiceData.field_sources,
+                    placeholder_fields: practiceData.placeholder_fields
                 },
                 notion: {
                     stored: notionResult.success,
+                    action: notionResult.action,
                     lead_id: notionResult.leadId,
+                    changed_fields: notionResult.changed_fields,
                     is_fallback: notionResult.is_fallback
                 },
-                timing: {
-                    total_seconds: parseFloat(totalTime),
-                    started_at: new Date(startTime).toISOString(),
-                    completed_at: new Date().toISOString()
-                }
+                timing: this.buildTiming(startTime)
             };
 
-            // Store result for dashboard
-            this.deploymentResults.push(result);
+            // Persist run for dashboard and analytics
+            this.recordRun(url, result, practiceData);
             this.currentStep = 'complete';
 
             return result;
@@ -733,93 +1443,119 @@ class CompleteHealthcareAutomationAgent {
                     company: practiceData.company || 'Unknown',
                     practice_id: practiceData.practiceId || 'unknown'
                 } : null,
-                timing: {
-                    total_seconds: ((Date.now() - startTime) / 1000).toFixed(1),
-                    started_at: new Date(startTime).toISOString(),
-                    completed_at: new Date().toISOString()
-                }
+                timing: this.buildTiming(startTime)
             };
 
-            this.deploymentResults.push(result);
+            this.recordRun(url, result, practiceData);
             this.currentStep = 'failed';
             
             return result;
         }
     }
 
-    createMinimalFallbackData(url) {
-        const hostname = new URL(url).hostname.replace('www.', '');
-        const timestamp = Date.now();
-        
+    // Runs keep the result summary only; the full practice data lives on the stored lead
+    recordRun(url, result, practiceData) {
+        try {
+            return this.store.recordRun({ url, ...result, domain: practiceData?.domain });
+        } catch (error) {
+            console.error(`   ❌ Local run store write failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    buildTiming(startTime) {
         return {
-            company: `${hostname.split('.')[0].charAt(0).toUpperCase() + hostname.split('.')[0].slice(1)} Healthcare`,
-            doctor: 'Dr. Healthcare',
-            phone: '',
-            email: '',
-            location: 'Healthcare Location',
-            services: ['General Healthcare'],
-            url: url,
-            practiceId: `fallback-${hostname.replace(/[^a-zA-Z0-9]/g, '')}-${timestamp.toString().slice(-6)}`,
-            scraped_at: new Date().toISOString(),
-            practice_type: 'healthcare',
-            lead_score: 30,
-            fallback_reason: 'Scraping failed - using URL-based fallback data'
+            total_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(1)),
+            started_at: new Date(startTime).toISOString(),
+            completed_at: new Date().toISOString()
         };
     }
-    
+
     // ===== BATCH PROCESSING & RECOVERY METHODS =====
-    async processBatchHealthcarePractices(urls) {
-        console.log(`📦 BATCH PROCESSING: ${urls.length} healthcare practices`);
+    // Single execution engine for every batch (HTTP jobs and Telegram): a pool of
+    // `concurrency` workers pulls URLs until the list is drained or the job is cancelled
+    async processBatchHealthcarePractices(urls, options = {}) {
+        const concurrency = this.resolveConcurrency(options.concurrency);
+        console.log(`📦 BATCH PROCESSING: ${urls.length} healthcare practices (concurrency ${concurrency})`);
         
-        const results = [];
-        const concurrencyLimit = 3; // Process 3 at a time to avoid overwhelming services
+        const results = new Array(urls.length);
+        let nextIndex = 0;
         
-        for (let i = 0; i < urls.length; i += concurrencyLimit) {
-            const batch = urls.slice(i, i + concurrencyLimit);
-            console.log(`🔄 Processing batch ${Math.floor(i/concurrencyLimit) + 1}/${Math.ceil(urls.length/concurrencyLimit)}`);
-            
-            const batchPromises = batch.map(async (url, index) => {
+        const worker = async () => {
+            while (nextIndex < urls.length) {
+                const index = nextIndex++;
+                const url = urls[index];
+                
+                if (options.isCancelled?.()) {
+                    results[index] = { url, success: false, cancelled: true, error: 'Cancelled' };
+                    options.onItemComplete?.(index, results[index]);
+                    continue;
+                }
+                
+                options.onItemStart?.(index, url);
                 try {
-                    const result = await this.processHealthcarePractice(url);
-                    return { url, success: true, result };
+                    const result = await this.processHealthcarePractice(url, { refresh: options.refresh });
+                    results[index] = {
+                        url,
+                        success: result.success,
+                        company: result.practice?.company,
+                        lead_score: result.practice?.lead_score,
+                        action: result.notion?.action,
+                        notion_id: result.notion?.lead_id,
+                        error: result.error,
+                        result
+                    };
                 } catch (error) {
-                    console.error(`❌ Batch item ${i + index + 1} failed: ${error.message}`);
-                    return { url, success: false, error: error.message };
+                    console.error(`❌ Batch item ${index + 1} failed: ${error.message}`);
+                    results[index] = { url, success: false, error: error.message };
+                }
+                options.onItemComplete?.(index, results[index]);
+                
+                // Optional pause between items to avoid rate limiting
+                if (config.batch_delay_ms > 0 && nextIndex < urls.length) {
+                    await new Promise(resolve => setTimeout(resolve, config.batch_delay_ms));
                 }
-            });
-            
-            const batchResults = await Promise.all(batchPromises);
-            results.push(...batchResults);
-            
-            // Brief pause between batches to avoid rate limiting
-            if (i + concurrencyLimit < urls.length) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
             }
-        }
+        };
         
+        await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
         return results;
     }
+
+    resolveConcurrency(requested) {
+        const value = parseInt(requested) || config.batch_concurrency;
+        return Math.min(Math.max(value, 1), config.batch_max_concurrency);
+    }
+
+    // options: { refresh } for the Exa cache, plus optional { onProgress, onFinish } hooks (e.g. Telegram progress)
+    submitBatchJob(type, urls, requestedConcurrency, options = {}) {
+        return this.jobs.submit(type, urls, { concurrency: this.resolveConcurrency(requestedConcurrency), ...options });
+    }
+
+    sendJobAccepted(res, job) {
+        res.status(202).json({
+            success: true,
+            workflow_type: '3-step-simplified',
+            job_id: job.id,
+            status: job.status,
+            total: job.progress.total,
+            concurrency: job.concurrency,
+            status_url: `/jobs/${job.id}`
+        });
+    }
     
     async retryNotionStorage(practiceId) {
         console.log(`🔄 RETRY: Notion storage for practice ${practiceId}`);
         
         try {
-            // Generate minimal fallback data for retry
-            const fallbackData = {
-                practiceId: practiceId,
-                company: `Healthcare Practice ${practiceId}`,
-                domain: `${practiceId}.example.com`,
-                location: 'Recovery Location',
-                services: ['Recovery Services'],
-                url: `https://${practiceId}.example.com`,
-                scraped_at: new Date().toISOString(),
-                practice_type: 'healthcare-recovery',
-                lead_score: 50,
-                retry_attempt: true
-            };
+            // Replay the lead from the local store instead of inventing data
+            const storedLead = this.store.getLead(practiceId);
+            if (!storedLead) {
+                return { success: false, error: `No stored lead found for ${practiceId}` };
+            }
             
-            const notionResult = await this.attemptNotionStorage(fallbackData);
-            return { success: notionResult.success, data: notionResult };
+            const notionResult = await this.storeLeadInNotion(storedLead.practice_data);
+            return { success: notionResult.success && !notionResult.is_fallback, data: notionResult };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -842,37 +1578,47 @@ class CompleteHealthcareAutomationAgent {
         }
     }
 
-    // ===== TELEGRAM INTEGRATION =====
-    async sendTelegramMessage(chatId, text) {
-        if (!config.telegram_bot_token) {
-            console.warn('⚠️ Telegram bot token not configured');
-            return;
-        }
-
-        try {
-            const response = await axios.post(
-                `https://api.telegram.org/bot${config.telegram_bot_token}/sendMessage`,
-                {
-                    chat_id: chatId,
-                    text: text,
-                    parse_mode: 'HTML'
-                }
-            );
-
-            console.log(`📤 Telegram message sent to ${chatId}`);
-            return response.data;
-
-        } catch (error) {
-            console.error(`❌ Failed to send Telegram message: ${error.message}`);
-            throw error;
-        }
+    // ===== INTEGRATION HEALTH =====
+    getConfigHealth() {
+        return {
+            Notion: this.notion.isConfigured(),
+            Exa: this.exa.isAvailable(),
+            Telegram: this.telegram.isConfigured()
+        };
     }
 
     // ===== API ENDPOINTS =====
     setupRoutes() {
+        // API key with the given scope required (lib/api-keys.js); /health and the Telegram webhook have their own checks
+        const auth = scope => this.apiKeys.require(scope);
+
+        // ===== API KEY MANAGEMENT =====
+        app.get('/api-keys', auth('admin'), (req, res) => {
+            res.json({ keys: this.apiKeys.list() });
+        });
+
+        app.post('/api-keys', auth('admin'), (req, res) => {
+            try {
+                const key = this.apiKeys.create(req.body || {});
+                res.status(201).json({ ...key, note: 'Store this key now, it is not shown again' });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.delete('/api-keys/:id', auth('admin'), (req, res) => {
+            try {
+                const key = this.apiKeys.revoke(req.params.id);
+                if (!key) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+                res.json({ success: true, key });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
         // Main automation endpoint - SIMPLIFIED 3-step processing
-        app.post('/automate', async (req, res) => {
-            const { url, urls } = req.body;
+        app.post('/automate', auth('process'), async (req, res) => {
+            const { url, urls, concurrency, refresh } = req.body;
             
             if (!url && !urls) {
                 return res.status(400).json({ error: 'URL or URLs array required' });
@@ -880,28 +1626,12 @@ class CompleteHealthcareAutomationAgent {
 
             try {
                 if (urls && Array.isArray(urls)) {
-                    // Batch processing - simplified
-                    const results = [];
-                    for (const singleUrl of urls) {
-                        try {
-                            const result = await this.processHealthcarePractice(singleUrl);
-                            results.push({ url: singleUrl, success: true, result });
-                        } catch (error) {
-                            results.push({ url: singleUrl, success: false, error: error.message });
-                        }
-                    }
-                    
-                    res.json({
-                        success: true,
-                        workflow_type: '3-step-simplified',
-                        batch_results: results,
-                        total_processed: results.length,
-                        successful: results.filter(r => r.success).length,
-                        failed: results.filter(r => !r.success).length
-                    });
+                    // Batch processing runs as a background job
+                    const job = this.submitBatchJob('automate', urls, concurrency, { refresh: !!refresh });
+                    this.sendJobAccepted(res, job);
                 } else {
                     // Single URL processing - 3 steps only
-                    const result = await this.processHealthcarePractice(url);
+                    const result = await this.processHealthcarePractice(url, { refresh: !!refresh });
                     res.json(result);
                 }
             } catch (error) {
@@ -916,8 +1646,8 @@ class CompleteHealthcareAutomationAgent {
         });
         
         // ===== NEW: HEALTHCARE LEAD DISCOVERY ENDPOINT =====
-        app.post('/discover-leads', async (req, res) => {
-            const { query, location, practice_type, limit } = req.body;
+        app.post('/discover-leads', auth('discover'), async (req, res) => {
+            const { query, location, practice_type, limit, refresh } = req.body;
             
             if (!query) {
                 return res.status(400).json({ error: 'Search query required' });
@@ -930,7 +1660,8 @@ class CompleteHealthcareAutomationAgent {
                 const leads = await this.discoverHealthcareLeads(query, {
                     location: location || '',
                     practice_type: practice_type || 'healthcare',
-                    limit: limit || 10
+                    limit: limit || 10,
+                    refresh: !!refresh
                 });
                 
                 console.log(`✅ Found ${leads.length} potential leads`);
@@ -955,8 +1686,8 @@ class CompleteHealthcareAutomationAgent {
         });
 
         // ===== NEW: PROCESS DISCOVERED LEADS TO NOTION =====  
-        app.post('/process-leads', async (req, res) => {
-            const { leads } = req.body;
+        app.post('/process-leads', auth('process'), async (req, res) => {
+            const { leads, concurrency, refresh } = req.body;
             
             if (!leads || !Array.isArray(leads)) {
                 return res.status(400).json({ error: 'Leads array required' });
@@ -965,51 +1696,8 @@ class CompleteHealthcareAutomationAgent {
             try {
                 console.log(`📊 PROCESSING ${leads.length} leads to Notion...`);
                 
-                const results = [];
-                for (const leadUrl of leads) {
-                    try {
-                        // Enhanced scraping with Exa
-                        const practiceData = await this.scrapeHealthcarePractice(leadUrl);
-                        
-                        // Store in Notion with treatments/services
-                        const notionResult = await this.storeLeadInNotion(practiceData);
-                        
-                        results.push({
-                            url: leadUrl,
-                            success: notionResult.success,
-                            company: practiceData.company,
-                            treatments: practiceData.treatments?.slice(0, 3) || [],
-                            services: practiceData.services?.slice(0, 3) || [],
-                            lead_score: practiceData.lead_score,
-                            notion_id: notionResult.leadId
-                        });
-                        
-                        console.log(`   ✅ Processed: ${practiceData.company} (Score: ${practiceData.lead_score})`);
-                        
-                    } catch (error) {
-                        results.push({
-                            url: leadUrl,
-                            success: false,
-                            error: error.message
-                        });
-                        console.log(`   ❌ Failed: ${leadUrl}`);
-                    }
-                    
-                    // Rate limiting between leads
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-                
-                const successful = results.filter(r => r.success);
-                console.log(`🎯 LEAD PROCESSING COMPLETE: ${successful.length}/${results.length} successful`);
-                
-                res.json({
-                    success: true,
-                    total_processed: results.length,
-                    successful: successful.length,
-                    failed: results.length - successful.length,
-                    results: results,
-                    timestamp: new Date().toISOString()
-                });
+                const job = this.submitBatchJob('process-leads', leads, concurrency, { refresh: !!refresh });
+                this.sendJobAccepted(res, job);
                 
             } catch (error) {
                 console.error('Lead processing error:', error);
@@ -1020,8 +1708,33 @@ class CompleteHealthcareAutomationAgent {
             }
         });
 
+        // ===== BATCH JOB TRACKING =====
+        app.get('/jobs', auth('read'), (req, res) => {
+            res.json({ jobs: this.jobs.list() });
+        });
+
+        app.get('/jobs/:id', auth('read'), (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            
+            if (!job) {
+                return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+            }
+            
+            res.json(job);
+        });
+
+        app.delete('/jobs/:id', auth('process'), (req, res) => {
+            const job = this.jobs.cancel(req.params.id);
+            
+            if (!job) {
+                return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+            }
+            
+            res.json({ success: true, job_id: job.id, status: job.status, progress: job.progress });
+        });
+
         // Emergency recovery endpoint
-        app.post('/recover', async (req, res) => {
+        app.post('/recover', auth('process'), async (req, res) => {
             const { practice_id, retry_phase } = req.body;
             
             console.log(`🚨 EMERGENCY RECOVERY: ${practice_id}, retry phase: ${retry_phase}`);
@@ -1058,10 +1771,8 @@ class CompleteHealthcareAutomationAgent {
         });
 
         // Enhanced status and health monitoring
-        app.get('/status', (req, res) => {
-            const totalResults = this.deploymentResults.length;
-            const successfulResults = this.deploymentResults.filter(r => r.success).length;
-            const successRate = totalResults > 0 ? (successfulResults / totalResults * 100).toFixed(2) : 0;
+        app.get('/status', auth('read'), (req, res) => {
+            const stats = this.store.getStats();
             
             res.json({
                 agent_status: 'fault-tolerant-ready',
@@ -1069,10 +1780,17 @@ class CompleteHealthcareAutomationAgent {
                 uptime_seconds: process.uptime(),
                 fault_tolerance_enabled: true,
                 workflow_stats: {
-                    total_deployments: totalResults,
-                    successful_deployments: successfulResults,
-                    failed_deployments: totalResults - successfulResults,
-                    success_rate_percent: successRate
+                    total_deployments: stats.total_runs,
+                    successful_deployments: stats.successful_runs,
+                    failed_deployments: stats.failed_runs,
+                    success_rate_percent: stats.success_rate_percent
+                },
+                exa_cache: this.exa.summary(),
+                lead_store: {
+                    total_leads: stats.total_leads,
+                    notion_synced: stats.notion_synced_leads,
+                    notion_pending: stats.notion_pending_leads,
+                    file: this.store.filePath
                 },
                 phase_capabilities: {
                     scraping: 'fault-tolerant with fallback data',
@@ -1080,12 +1798,18 @@ class CompleteHealthcareAutomationAgent {
                     deployment: 'multi-strategy with emergency mocks',
                     workflow_continuation: 'enabled - continues past individual failures'
                 },
-                recent_results: this.deploymentResults.slice(-10),
+                recent_results: this.store.getRuns({ limit: 10 }).map(({ practice_data: _practiceData, ...run }) => run),
+                run_history: {
+                    stored: stats.stored_runs,
+                    max_stored: this.store.maxRuns,
+                    all_time: stats.total_runs,
+                    browse: '/deployments?limit=50&offset=0'
+                },
                 config_health: {
                     github_configured: !!config.github_token,
                     railway_configured: !!config.railway_token,
-                    notion_configured: !!config.notion_database_id,
-                    exa_configured: !!config.exa_api_key,
+                    notion_configured: this.notion.isConfigured(),
+                    exa_configured: this.exa.isAvailable(),
                     elevenlabs_configured: !!config.elevenlabs_api_key,
                     elevenlabs_agent_status: this.elevenlabsAgent ? 
                         (this.elevenlabsAgent.credits_preserved ? 'template-mode (credits preserved)' : 'active') : 
@@ -1096,38 +1820,95 @@ class CompleteHealthcareAutomationAgent {
         });
 
         // Enhanced deployment tracking with analytics
-        app.get('/deployments', (req, res) => {
-            const { limit = 50, status } = req.query;
-            
-            let filteredResults = this.deploymentResults;
-            if (status === 'success') {
-                filteredResults = this.deploymentResults.filter(r => r.success);
-            } else if (status === 'failed') {
-                filteredResults = this.deploymentResults.filter(r => !r.success);
-            }
+        app.get('/deployments', auth('read'), (req, res) => {
+            const { status } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
             
-            const limitedResults = filteredResults.slice(-parseInt(limit));
+            const stats = this.store.getStats();
+            const total = this.store.countRuns({ status });
+            const limitedResults = this.store.getRuns({ status, limit, offset });
             
             res.json({
                 deployments: limitedResults,
+                pagination: {
+                    total,
+                    offset,
+                    limit,
+                    next_offset: offset + limit < total ? offset + limit : null
+                },
                 analytics: {
-                    total_all_time: this.deploymentResults.length,
-                    successful_all_time: this.deploymentResults.filter(r => r.success).length,
-                    failed_all_time: this.deploymentResults.filter(r => !r.success).length,
-                    success_rate: this.deploymentResults.length > 0 ? 
-                        (this.deploymentResults.filter(r => r.success).length / this.deploymentResults.length * 100).toFixed(2) : 0,
+                    total_all_time: stats.total_runs,
+                    successful_all_time: stats.successful_runs,
+                    failed_all_time: stats.failed_runs,
+                    success_rate: stats.success_rate_percent,
                     recent_24h: this.getRecentDeploymentStats(24),
                     method_breakdown: this.getMethodBreakdown()
                 },
                 filters_applied: {
                     status: status || 'all',
-                    limit: parseInt(limit)
+                    limit
                 }
             });
         });
         
+        // Stored leads (local source of truth, survives restarts)
+        app.get('/leads', auth('read'), (req, res) => {
+            const { limit = 50, offset = 0, notion } = req.query;
+            
+            let leads = this.store.listLeads()
+                .sort((a, b) => new Date(b.last_processed_at) - new Date(a.last_processed_at));
+            if (notion === 'synced') leads = leads.filter(l => l.notion?.synced);
+            if (notion === 'pending') leads = leads.filter(l => !l.notion?.synced);
+            
+            // Coverage filters: ?insurer=Bupa&payment=Klarna&language=Polish&payment_model=private-pay&financing=true
+            const { insurer, payment, language, payment_model: paymentModel, financing } = req.query;
+            if (insurer) leads = leads.filter(l => listIncludes(l.practice_data?.insurers, insurer));
+            if (payment) leads = leads.filter(l => listIncludes(l.practice_data?.payment_options, payment));
+            if (language) leads = leads.filter(l => listIncludes(l.practice_data?.languages_spoken, language));
+            if (paymentModel) leads = leads.filter(l => l.practice_data?.payment_model === paymentModel);
+            if (financing) leads = leads.filter(l => String(l.practice_data?.financing_available) === String(financing));
+            
+            res.json({
+                total: leads.length,
+                offset: parseInt(offset),
+                limit: parseInt(limit),
+                leads: leads.slice(parseInt(offset), parseInt(offset) + parseInt(limit))
+            });
+        });
+
+        app.get('/leads/:id', auth('read'), (req, res) => {
+            const lead = this.store.getLead(this.normalizeDomain(req.params.id)) || this.store.getLead(req.params.id);
+            
+            if (!lead) {
+                return res.status(404).json({ error: `Lead not found: ${req.params.id}` });
+            }
+            
+            res.json({
+                lead,
+                runs: this.store.getRuns().filter(r => (r.domain || r.practice_data?.domain) === lead.domain || r.practice?.practice_id === lead.practice_id)
+            });
+        });
+        
+        // Price statistics: average price per treatment per region across stored leads
+        app.get('/prices', auth('read'), (req, res) => {
+            const { treatment, country, group_by = 'region' } = req.query;
+            if (!['region', 'city', 'country'].includes(group_by)) {
+                return res.status(400).json({ error: 'group_by must be region, city or country' });
+            }
+            
+            const leads = this.store.listLeads();
+            res.json({
+                treatment: treatment || null,
+                country: country || null,
+                group_by,
+                leads_with_prices: leads.filter(lead => lead.practice_data?.prices?.length > 0).length,
+                stats: summarizePrices(leads, { treatment, country, groupBy: group_by })
+            });
+        });
+
         // Workflow diagnostics endpoint
-        app.get('/diagnostics', (req, res) => {
+        app.get('/diagnostics', auth('read'), (req, res) => {
             res.json({
                 workflow_health: {
                     current_step: this.currentStep,
@@ -1141,79 +1922,82 @@ class CompleteHealthcareAutomationAgent {
                 },
                 performance_metrics: {
                     average_processing_time: this.calculateAverageProcessingTime(),
-                    total_processed: this.deploymentResults.length,
+                    total_processed: this.store.getStats().total_runs,
                     error_patterns: this.analyzeErrorPatterns()
                 }
             });
         });
 
-        // Telegram webhook endpoint - SIMPLIFIED TO 3 STEPS ONLY
-        app.post('/telegram-webhook', async (req, res) => {
+        // Scoring rules (config/scoring.json) and re-scoring of stored leads
+        app.get('/scoring', auth('read'), (req, res) => {
+            res.json({ ...this.scorer.summary(), definitions: this.scorer.rules });
+        });
+
+        app.post('/score', auth('process'), async (req, res) => {
+            const { domains, reload = true, sync_notion = true } = req.body || {};
+            
+            if (reload) {
+                try {
+                    this.scorer.reload();
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: `Scoring rules reload failed: ${error.message}`, scoring: this.scorer.summary() });
+                }
+            }
+            
             try {
-                const message = req.body?.message;
-                const chatId = message?.chat?.id;
-                const messageText = message?.text;
+                const result = await this.rescoreLeads({ domains: Array.isArray(domains) ? domains : null, syncNotion: sync_notion });
+                res.json({ success: true, scoring: this.scorer.summary(), ...result });
+            } catch (error) {
+                res.status(500).json({ success: false, error: `Re-scoring failed: ${error.message}` });
+            }
+        });
 
-                console.log(`📱 Telegram message from ${chatId}: ${messageText}`);
+        // Treatment/service taxonomy (config/taxonomy.json)
+        app.get('/taxonomy', auth('read'), (req, res) => {
+            res.json({
+                ...this.taxonomy.summary(),
+                categories: this.taxonomy.categories,
+                entries: Object.fromEntries(Object.entries(this.taxonomy.entries).map(([kind, entries]) => [
+                    kind,
+                    entries.map(({ name, category, practice_types, translations }) => ({ name, category, practice_types, terms: translations }))
+                ]))
+            });
+        });
 
-                if (!message || !chatId || !messageText) {
-                    return res.status(400).json({ error: 'Invalid Telegram message format' });
-                }
+        // Re-read the taxonomy file without a restart; the previous taxonomy stays active if the file is invalid
+        app.post('/taxonomy/reload', auth('admin'), (req, res) => {
+            try {
+                res.json({ success: true, taxonomy: this.taxonomy.reload() });
+            } catch (error) {
+                console.error(`❌ Taxonomy reload failed: ${error.message}`);
+                res.status(400).json({ success: false, error: `Taxonomy reload failed: ${error.message}`, taxonomy: this.taxonomy.summary() });
+            }
+        });
 
-                // Extract healthcare practice URL from the message
-                const urlMatch = messageText.match(/https?:\/\/[^\s]+/);
-                
-                if (urlMatch) {
-                    const url = urlMatch[0];
-                    
-                    // Send processing started message - SIMPLIFIED VERSION
-                    await this.sendTelegramMessage(chatId, `🏥 Healthcare Lead Discovery Agent\n\nProcessing: ${url}\n\n🔍 Starting 3-step workflow...`);
-                    
-                    // Process in background - ONLY 3 STEPS
-                    setImmediate(async () => {
-                        try {
-                            // STEP 1: EXA Search & Data Extraction
-                            await this.sendTelegramMessage(chatId, `📍 Step 1/3: EXA search & data extraction...`);
-                            const practiceData = await this.scrapeHealthcarePractice(url);
-                            
-                            // STEP 2: Notion Storage
-                            await this.sendTelegramMessage(chatId, `📊 Step 2/3: Storing lead in Notion database...`);
-                            const notionResult = await this.storeLeadInNotion(practiceData);
-                            
-                            // STEP 3: Response with Results
-                            await this.sendTelegramMessage(chatId, `✅ Step 3/3: Complete!\n\n` +
-                                `🏥 Practice: ${practiceData.company}\n` +
-                                `📍 Location: ${practiceData.location}\n` +
-                                `💊 Treatments: ${Array.isArray(practiceData.treatments) ? practiceData.treatments.slice(0,3).join(', ') : 'Consultation'}\n` +
-                                `🔧 Services: ${Array.isArray(practiceData.services) ? practiceData.services.slice(0,3).join(', ') : 'Healthcare Services'}\n` +
-                                `📊 Lead Score: ${practiceData.lead_score || 50}/100\n` +
-                                `💾 Notion ID: ${notionResult.leadId}\n\n` +
-                                `✅ Lead stored successfully!`);
-                            
-                        } catch (error) {
-                            await this.sendTelegramMessage(chatId, `❌ Processing failed: ${error.message}`);
-                        }
-                    });
-                    
-                } else {
-                    // No URL found, send help message - SIMPLIFIED VERSION
-                    await this.sendTelegramMessage(chatId, 
-                        `🏥 Healthcare Lead Discovery Agent\n\n` +
-                        `Send me a healthcare practice URL:\n` +
-                        `Example: https://healthclinic.com\n\n` +
-                        `I will:\n` +
-                        `1. 🔍 Search with EXA AI\n` +
-                        `2. 📊 Store in Notion database\n` +
-                        `3. 📱 Send you the results\n\n` +
-                        `Simple 3-step workflow!`);
-                }
+        // Telegram webhook: commands, practice URLs / URL files and inline button presses (see lib/telegram-bot.js)
+        app.post('/telegram-webhook', (req, res) => {
+            if (!this.telegram.webhookEnabled()) {
+                this.telegramAccess.logRejection({ reason: 'webhook disabled (TELEGRAM_WEBHOOK_SECRET not set)', ip: req.ip, action: 'webhook' });
+                return res.status(503).json({ error: 'Telegram webhook disabled: set TELEGRAM_WEBHOOK_SECRET and register it as secret_token' });
+            }
+            if (!this.telegram.verifyWebhook(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+                this.telegramAccess.logRejection({ reason: 'invalid webhook secret', ip: req.ip, action: 'webhook' });
+                return res.status(401).json({ error: 'Invalid webhook secret token' });
+            }
 
-                res.json({ status: 'ok' });
+            const update = req.body || {};
+            const message = update.message;
 
-            } catch (error) {
-                console.error('❌ Telegram webhook error:', error);
-                res.status(500).json({ error: 'Internal server error' });
+            if (!update.callback_query && (!message?.chat?.id || (!message.text && !message.document))) {
+                return res.status(400).json({ error: 'Invalid Telegram update format' });
             }
+
+            // Acknowledge right away: Telegram re-delivers updates that are not answered quickly
+            res.json({ status: 'ok' });
+
+            this.telegram.handleUpdate(update).catch(error => {
+                console.error('❌ Telegram webhook error:', error.message);
+            });
         });
 
         // Health check
@@ -1237,9 +2021,14 @@ class CompleteHealthcareAutomationAgent {
                     'POST /automate': 'Run 3-step healthcare lead discovery',
                     'POST /telegram-webhook': 'Telegram bot webhook endpoint',
                     'POST /discover-leads': 'Search for healthcare leads with EXA',
-                    'POST /process-leads': 'Process discovered leads to Notion',
+                    'POST /process-leads': 'Process discovered leads to Notion (returns a job ID)',
+                    'GET /jobs/:id': 'Batch job progress, per-URL results and errors',
+                    'DELETE /jobs/:id': 'Cancel a batch job',
                     'GET /status': 'Get current agent status',
-                    'GET /health': 'Health check'
+                    'GET /leads': 'List stored leads (?notion=pending|synced)',
+                    'GET /leads/:id': 'Stored lead by domain or practice ID',
+                    'GET|POST /api-keys, DELETE /api-keys/:id': 'Manage API keys (admin scope)',
+                    'GET /health': 'Health check (public; everything else needs an API key)'
                 },
                 workflow: [
                     '1. 🔍 EXA AI search & data extraction',
@@ -1262,6 +2051,12 @@ class CompleteHealthcareAutomationAgent {
 
     // ===== SERVER STARTUP =====
     start() {
+        this.store.load();
+        this.telegramAccess.load();
+        if (!this.telegram.webhookEnabled()) console.warn('⚠️ TELEGRAM_WEBHOOK_SECRET not set: POST /telegram-webhook refuses every update until it is');
+        this.apiKeys.load();
+        this.taxonomy.load();
+        this.scorer.load();
         this.setupRoutes();
         
         app.listen(config.port, () => {
@@ -1270,14 +2065,19 @@ class CompleteHealthcareAutomationAgent {
             console.log(`📋 Workflow: EXA Search → Notion Storage → Telegram Response`);
             console.log(`🔧 Configuration:`);
             console.log(`   EXA API: ${config.exa_api_key ? '✅ Available' : '❌ Missing'}`);
+            console.log(`   EXA Cache: ${this.exa.summary().mode}${config.exa_replay ? ' (replay only, no API calls)' : ` (TTL ${config.exa_cache_ttl_hours}h)`}`);
             console.log(`   Notion DB: ${config.notion_database_id}`);
+            console.log(`   Notion API: ${config.notion_api_key ? `✅ Available (${config.notion_api_base_url})` : '❌ Missing'}`);
             console.log(`   Telegram Bot: ${config.telegram_bot_token ? '✅ Available' : '❌ Missing'}`);
+            console.log(`   Telegram Webhook Secret: ${config.telegram_webhook_secret ? '✅ Set' : '❌ Not set (webhook disabled)'}`);
             console.log(`\n📖 Usage:`);
             console.log(`   POST /automate { "url": "https://healthcare-practice.com" }`);
             console.log(`   POST /discover-leads { "query": "cosmetic surgery london" }`);
             console.log(`   GET  /status (view current status)`);
             console.log(`\n🎯 Ready for 3-step healthcare lead discovery!`);
             console.log(`✅ SIMPLIFIED: No GitHub repos, No Railway deployment, No ElevenLabs`);
+
+            this.verifyNotionSchema();
         });
         
     }
@@ -1285,8 +2085,8 @@ class CompleteHealthcareAutomationAgent {
     // ===== UTILITY METHODS FOR ANALYTICS =====
     getRecentDeploymentStats(hours) {
         const cutoffTime = Date.now() - (hours * 60 * 60 * 1000);
-        const recentDeployments = this.deploymentResults.filter(r => 
-            new Date(r.completed_at).getTime() > cutoffTime
+        const recentDeployments = this.store.getRuns().filter(r => 
+            new Date(r.timing?.completed_at || r.recorded_at).getTime() > cutoffTime
         );
         
         return {
@@ -1298,8 +2098,8 @@ class CompleteHealthcareAutomationAgent {
     
     getMethodBreakdown() {
         const methods = {};
-        this.deploymentResults.forEach(r => {
-            const method = r.method || 'unknown';
+        this.store.getRuns().forEach(r => {
+            const method = r.method || r.workflow_type || 'unknown';
             methods[method] = (methods[method] || 0) + 1;
         });
         return methods;
@@ -1320,28 +2120,29 @@ class CompleteHealthcareAutomationAgent {
     }
     
     testNotionConnectivity() {
+        const report = this.notionSchemaReport;
+        let status = this.notion.isConfigured() ? 'ready' : 'not_configured';
+        if (report && !report.valid) status = report.error ? 'unreachable' : 'schema_mismatch';
+
         return {
-            configured: !!(config.notion_api_key && config.notion_database_id),
-            status: (config.notion_api_key && config.notion_database_id) ? 'ready' : 'not_configured'
+            configured: this.notion.isConfigured(),
+            status,
+            schema: report
         };
     }
     
     calculateAverageProcessingTime() {
-        if (this.deploymentResults.length === 0) return 0;
+        const runs = this.store.getRuns().filter(r => r.timing?.total_seconds !== undefined);
+        if (runs.length === 0) return 0;
         
-        const totalTime = this.deploymentResults.reduce((sum, result) => {
-            if (result.processing_time_ms) {
-                return sum + result.processing_time_ms;
-            }
-            return sum;
-        }, 0);
+        const totalTime = runs.reduce((sum, result) => sum + parseFloat(result.timing.total_seconds) * 1000, 0);
         
-        return Math.round(totalTime / this.deploymentResults.length);
+        return Math.round(totalTime / runs.length);
     }
     
     analyzeErrorPatterns() {
         const errorPatterns = {};
-        const failedDeployments = this.deploymentResults.filter(r => !r.success);
+        const failedDeployments = this.store.getRuns({ status: 'failed' });
         
         failedDeployments.forEach(deployment => {
             if (deployment.error) {
@@ -1366,6 +2167,10 @@ class CompleteHealthcareAutomationAgent {
     }
 }
 
-// Initialize and start the agent
-const agent = new CompleteHealthcareAutomationAgent();
-agent.start();
\ No newline at end of file
+// Initialize and start the agent when run directly; tests require the class
+if (require.main === module) {
+    const agent = new CompleteHealthcareAutomationAgent();
+    agent.start();
+}
+
+module.exports = { CompleteHealthcareAutomationAgent, app };
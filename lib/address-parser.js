@@ -0,0 +1,162 @@
+/**
+ * 📍 POSTAL ADDRESS PARSER
+ *
+ * Finds practice addresses in page text for the markets we prospect in:
+ * - UK postcodes (NW1 6XE), Dutch postcodes (1015 CJ), German PLZ with Straße/str.,
+ *   French code postal, Canadian postcodes (M5H 2M9), Australian state + postcode, US ZIP
+ * Returns structured parts (street, city, region, postcode, country) plus a formatted line.
+ */
+
+const EN_STREET_TYPES = 'Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Place|Pl|Square|Sq|Terrace|Tce|Way|Close|Crescent|Cres|Court|Ct|Gardens|Hill|Row|Mews|Parade|Pde|Walk|Grove|Highway|Hwy|Parkway|Pkwy|Circle|Cir';
+const EN_STREET = new RegExp(`(?:(?:Unit|Suite|Flat|Level|Shop|Ste)\\.?\\s*\\d+[A-Za-z]?[,/]?\\s+)?\\d+[A-Za-z]?(?:-\\d+)?\\s+(?:[A-Z][\\w'.-]*\\s+){0,4}(?:${EN_STREET_TYPES})\\b\\.?(?:\\s+(?:North|South|East|West|N|S|E|W)\\b)?`, 'g');
+const NL_STREET = /(?:[A-Z][\w'.-]*\s+){0,3}[A-Z]?[\w'.-]*(?:straat|weg|laan|plein|gracht|kade|singel|dijk|pad|hof|markt|dreef|steeg|park)\s+\d+\s*(?:[a-zA-Z]\b|-?\d+\b)?/gi;
+const DE_STREET = /(?:[A-ZÄÖÜ][\wäöüß.-]*\s+){0,2}(?:[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|str\.|weg|platz|allee|damm|ring|gasse|ufer|chaussee|markt)|[A-ZÄÖÜ][\wäöüß-]*\s+(?:Straße|Strasse|Str\.|Weg|Platz|Allee|Damm|Ring|Gasse|Ufer))\s*\d+\s*[a-z]?(?:\s*-\s*\d+)?/g;
+const FR_STREET = /\d+\s*(?:bis|ter)?,?\s+(?:rue|avenue|av\.|boulevard|bd|place|chemin|allée|quai|impasse|route|cours)\b[^,\n\d]{2,60}/gi;
+
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY';
+const CITY = "[A-ZÀ-ÖØ-Þ'][\\wÀ-ÿ'-]*(?:[ -](?:[A-ZÀ-ÖØ-Þ][\\wÀ-ÿ'-]*|am|an|der|den|aan|de|sur|en|upon|on))*";
+
+// Postcode patterns per country. "cityAfter" formats put the city after the postcode.
+const FORMATS = [
+    { country: 'GB', pattern: /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[ABD-HJLNP-UW-Z]{2})\b/g, postcode: m => `${m[1]} ${m[2]}`, streets: [EN_STREET] },
+    { country: 'CA', pattern: /\b(?:(AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT),?\s+)?([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)\b/g, postcode: m => `${m[2]} ${m[3]}`, region: m => m[1], streets: [EN_STREET] },
+    { country: 'AU', pattern: /\b(NSW|VIC|QLD|WA|SA|TAS|ACT|NT),?\s+(\d{4})\b/g, postcode: m => m[2], region: m => m[1], streets: [EN_STREET] },
+    { country: 'US', pattern: new RegExp(`\\b(${US_STATES}),?\\s+(\\d{5}(?:-\\d{4})?)\\b`, 'g'), postcode: m => m[2], region: m => m[1], streets: [EN_STREET] },
+    { country: 'NL', pattern: new RegExp(`\\b([1-9]\\d{3})\\s?(?!SA|SD|SS)([A-Z]{2})\\b,?\\s+(${CITY})`, 'g'), postcode: m => `${m[1]} ${m[2]}`, cityAfter: m => m[3], streets: [NL_STREET] },
+    { country: 'DE', pattern: new RegExp(`\\b(?:D-)?(\\d{5})\\s+(${CITY})`, 'g'), postcode: m => m[1], cityAfter: m => m[2], streets: [DE_STREET], requireStreet: true },
+    { country: 'FR', pattern: new RegExp(`\\b(\\d{5})\\s+(${CITY})`, 'g'), postcode: m => m[1], cityAfter: m => m[2], streets: [FR_STREET], requireStreet: true }
+];
+
+const COUNTRY_NAMES = {
+    GB: ['united kingdom', 'uk', 'great britain', 'england', 'scotland', 'wales', 'northern ireland', 'gb'],
+    NL: ['netherlands', 'the netherlands', 'nederland', 'holland', 'nl'],
+    DE: ['germany', 'deutschland', 'de'],
+    FR: ['france', 'fr'],
+    CA: ['canada', 'ca'],
+    AU: ['australia', 'au'],
+    US: ['united states', 'united states of america', 'usa', 'us'],
+    BE: ['belgium', 'belgië', 'belgique', 'be'],
+    IE: ['ireland', 'éire', 'ie']
+};
+
+// ===== PARSING =====
+function findAddresses(text = '') {
+    // Treat line breaks like commas so multi-line address blocks read as one address
+    const flat = String(text).replace(/\s*\n+\s*/g, ', ').replace(/\s{2,}/g, ' ');
+    const addresses = [];
+
+    FORMATS.forEach(format => {
+        format.pattern.lastIndex = 0;
+        let match;
+
+        while ((match = format.pattern.exec(flat)) !== null) {
+            const address = buildAddress(format, match, flat);
+            if (address) addresses.push(address);
+        }
+    });
+
+    return addresses;
+}
+
+function buildAddress(format, match, flat) {
+    const window = flat.substring(Math.max(0, match.index - 160), match.index);
+    const street = findStreet(format.streets, window);
+
+    if (format.requireStreet && !street) return null;
+
+    let city;
+    if (format.cityAfter) {
+        city = cleanCity(format.cityAfter(match));
+    } else {
+        // City is whatever sits between the street (or last separator) and the postcode
+        const afterStreet = street ? window.substring(window.lastIndexOf(street.text) + street.text.length) : window;
+        const parts = afterStreet.split(/[,|•·]/).map(part => part.trim()).filter(Boolean);
+        city = cleanCity(parts[parts.length - 1]);
+    }
+
+    if (!street && !city) return null;
+
+    const address = {
+        street: street?.text,
+        city,
+        region: format.region ? format.region(match) : undefined,
+        postcode: format.postcode(match),
+        country: format.country
+    };
+    Object.keys(address).forEach(key => address[key] === undefined && delete address[key]);
+    address.formatted = formatAddress(address);
+    address.completeness = ['street', 'city', 'postcode'].filter(key => address[key]).length + (address.region ? 0.5 : 0);
+    return address;
+}
+
+function findStreet(patterns, window) {
+    let best = null;
+
+    patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(window)) !== null) {
+            if (!best || match.index >= best.index) best = { text: match[0].trim().replace(/[,.]$/, ''), index: match.index };
+        }
+    });
+
+    // Only accept a street that sits close to the postcode
+    return best && window.length - best.index < 120 ? best : null;
+}
+
+function cleanCity(value) {
+    if (!value) return undefined;
+    const city = value.replace(/\s+/g, ' ').replace(/^[\s,.-]+|[\s,.-]+$/g, '').trim();
+    if (!city || city.length > 40 || /\d/.test(city)) return undefined;
+    if (!/^[A-ZÀ-ÖØ-Þ']/.test(city)) return undefined;
+    if (city.split(' ').length > 4) return undefined;
+    return city;
+}
+
+function formatAddress(address) {
+    const { street, city, region, postcode, country } = address;
+    let locality;
+
+    if (['NL', 'DE', 'FR', 'BE'].includes(country)) {
+        locality = [postcode, city].filter(Boolean).join(' ');
+    } else if (['US', 'CA'].includes(country)) {
+        locality = [city, [region, postcode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    } else if (country === 'AU') {
+        locality = [city, region, postcode].filter(Boolean).join(' ');
+    } else {
+        locality = [city, postcode].filter(Boolean).join(' ');
+    }
+
+    return [street, locality].filter(Boolean).join(', ');
+}
+
+// Best single address: most complete first, then the hinted country
+function parseAddress(text, options = {}) {
+    const addresses = findAddresses(text);
+    if (addresses.length === 0) return null;
+
+    const hint = normalizeCountry(options.countryHint);
+    addresses.sort((a, b) => {
+        const score = (address) => address.completeness + (hint && address.country === hint ? 1.5 : 0);
+        return score(b) - score(a);
+    });
+
+    const { completeness, ...best } = addresses[0];
+    return best;
+}
+
+function normalizeCountry(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    for (const [code, names] of Object.entries(COUNTRY_NAMES)) {
+        if (names.includes(text)) return code;
+    }
+    return null;
+}
+
+module.exports = {
+    parseAddress,
+    findAddresses,
+    formatAddress,
+    normalizeCountry
+};
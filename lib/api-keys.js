@@ -0,0 +1,230 @@
+/**
+ * 🔑 API KEYS
+ *
+ * Authentication for the HTTP endpoints, managed at runtime (no redeploy):
+ * - Keys carry scopes: discover, process, read, admin (admin implies every other scope)
+ * - Only a SHA-256 hash of each key is stored (DATA_DIR/api-keys.json); the key itself is shown once on creation
+ * - Per-key rate limit (requests per minute, fixed window)
+ * - Every authenticated request is appended to DATA_DIR/api-usage.jsonl and counted per key
+ * API_ADMIN_KEY from the environment is a bootstrap admin key that can't be revoked through the API.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = ['discover', 'process', 'read', 'admin'];
+const ENV_KEY_ID = 'env-admin';
+
+class ApiKeyStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filePath = path.join(this.dataDir, 'api-keys.json');
+        this.usagePath = path.join(this.dataDir, 'api-usage.jsonl');
+        this.adminKey = options.adminKey;
+        this.defaultRateLimit = options.defaultRateLimit || 60;
+        this.keys = new Map();
+        this.usage = new Map();
+        this.windows = new Map();
+    }
+
+    // ===== LOADING =====
+    load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.keys = new Map();
+        this.usage = new Map();
+
+        if (fs.existsSync(this.filePath)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                (saved.keys || []).forEach(key => this.keys.set(key.id, key));
+            } catch (error) {
+                console.warn(`⚠️ API keys: ignoring unreadable ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        // Replay usage counters; corrupt lines are skipped like in the lead store
+        if (fs.existsSync(this.usagePath)) {
+            fs.readFileSync(this.usagePath, 'utf8').split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    this.count(JSON.parse(line));
+                } catch {
+                    // corrupt line
+                }
+            });
+        }
+
+        const active = Array.from(this.keys.values()).filter(key => !key.revoked_at).length;
+        console.log(`🔑 API keys loaded: ${active} active${this.adminKey ? ' + API_ADMIN_KEY' : ''}`);
+        if (active === 0 && !this.adminKey) console.warn('⚠️ No API keys configured: set API_ADMIN_KEY to use the protected endpoints');
+        return this;
+    }
+
+    save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // ===== MANAGEMENT =====
+    create({ name, scopes, rate_limit_per_minute: rateLimit } = {}) {
+        if (!name || typeof name !== 'string') throw new Error('name is required');
+        const requested = Array.isArray(scopes) ? scopes : [];
+        const unknown = requested.filter(scope => !SCOPES.includes(scope));
+        if (requested.length === 0 || unknown.length > 0) {
+            throw new Error(`scopes must be a non-empty list of: ${SCOPES.join(', ')}${unknown.length ? ` (unknown: ${unknown.join(', ')})` : ''}`);
+        }
+        if (rateLimit !== undefined && !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+            throw new Error('rate_limit_per_minute must be a positive integer');
+        }
+
+        const secret = `hla_${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name,
+            prefix: secret.slice(0, 10),
+            hash: hashKey(secret),
+            scopes: Array.from(new Set(requested)),
+            rate_limit_per_minute: rateLimit || this.defaultRateLimit,
+            created_at: new Date().toISOString(),
+            revoked_at: null
+        };
+
+        this.keys.set(key.id, key);
+        this.save();
+        console.log(`🔑 API key created: ${key.id} (${name}; ${key.scopes.join(', ')})`);
+        return { ...this.describe(key), key: secret };
+    }
+
+    revoke(id) {
+        if (id === ENV_KEY_ID) throw new Error('API_ADMIN_KEY is set in the environment and can\'t be revoked through the API');
+        const key = this.keys.get(id);
+        if (!key) return null;
+
+        if (!key.revoked_at) {
+            key.revoked_at = new Date().toISOString();
+            this.save();
+            console.log(`🔑 API key revoked: ${id} (${key.name})`);
+        }
+        return this.describe(key);
+    }
+
+    list() {
+        const keys = Array.from(this.keys.values()).map(key => this.describe(key));
+        if (!this.adminKey) return keys;
+        return [{ id: ENV_KEY_ID, name: 'API_ADMIN_KEY', scopes: ['admin'], rate_limit_per_minute: null, source: 'env', usage: this.usage.get(ENV_KEY_ID) || { requests: 0, by_route: {}, last_used_at: null } }, ...keys];
+    }
+
+    describe(key) {
+        const { hash, ...rest } = key;
+        return { ...rest, usage: this.usage.get(key.id) || { requests: 0, by_route: {}, last_used_at: null } };
+    }
+
+    // ===== AUTHENTICATION =====
+    // Returns the matching active key, or null
+    authenticate(secret) {
+        if (!secret) return null;
+        if (this.adminKey && safeEqual(secret, this.adminKey)) {
+            return { id: ENV_KEY_ID, name: 'API_ADMIN_KEY', scopes: ['admin'], rate_limit_per_minute: null };
+        }
+
+        const hash = hashKey(secret);
+        return Array.from(this.keys.values()).find(key => !key.revoked_at && safeEqual(key.hash, hash)) || null;
+    }
+
+    hasScope(key, scope) {
+        return key.scopes.includes('admin') || key.scopes.includes(scope);
+    }
+
+    // Fixed one-minute window per key; the env admin key is not limited
+    checkRateLimit(key, now = Date.now()) {
+        const limit = key.rate_limit_per_minute;
+        if (!limit) return { allowed: true };
+
+        const windowStart = now - (now % 60000);
+        const window = this.windows.get(key.id);
+        const current = window && window.start === windowStart ? window : { start: windowStart, count: 0 };
+        current.count++;
+        this.windows.set(key.id, current);
+
+        return {
+            allowed: current.count <= limit,
+            limit,
+            remaining: Math.max(limit - current.count, 0),
+            retry_after_seconds: Math.ceil((windowStart + 60000 - now) / 1000)
+        };
+    }
+
+    // ===== USAGE =====
+    recordUsage(entry) {
+        const record = { at: new Date().toISOString(), ...entry };
+        this.count(record);
+        try {
+            fs.appendFileSync(this.usagePath, JSON.stringify(record) + '\n');
+        } catch (error) {
+            console.error(`❌ API usage log write failed: ${error.message}`);
+        }
+    }
+
+    count(record) {
+        const usage = this.usage.get(record.key_id) || { requests: 0, by_route: {}, last_used_at: null };
+        usage.requests++;
+        usage.by_route[record.route] = (usage.by_route[record.route] || 0) + 1;
+        usage.last_used_at = record.at;
+        this.usage.set(record.key_id, usage);
+    }
+
+    // ===== MIDDLEWARE =====
+    // Express middleware: `Authorization: Bearer <key>` or `X-API-Key: <key>` with the given scope
+    require(scope) {
+        return (req, res, next) => {
+            const header = req.get('Authorization') || '';
+            const secret = header.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || req.get('X-API-Key');
+            const key = this.authenticate(secret);
+            const route = `${req.method} ${req.route?.path || req.path}`;
+
+            if (!key) {
+                console.warn(`🚫 API ${route}: ${secret ? 'invalid or revoked key' : 'missing API key'} from ${req.ip}`);
+                return res.status(401).json({ error: secret ? 'Invalid or revoked API key' : 'API key required (Authorization: Bearer <key> or X-API-Key)' });
+            }
+            if (!this.hasScope(key, scope)) {
+                console.warn(`🚫 API ${route}: key ${key.id} lacks scope "${scope}"`);
+                return res.status(403).json({ error: `API key lacks the "${scope}" scope`, key_id: key.id, scopes: key.scopes });
+            }
+
+            const rate = this.checkRateLimit(key);
+            if (rate.limit) {
+                res.set('X-RateLimit-Limit', String(rate.limit));
+                res.set('X-RateLimit-Remaining', String(rate.remaining));
+            }
+            if (!rate.allowed) {
+                res.set('Retry-After', String(rate.retry_after_seconds));
+                return res.status(429).json({ error: `Rate limit exceeded (${rate.limit} requests per minute)`, retry_after_seconds: rate.retry_after_seconds });
+            }
+
+            req.apiKey = key;
+            const startedAt = Date.now();
+            res.on('finish', () => this.recordUsage({
+                key_id: key.id,
+                route,
+                status: res.statusCode,
+                duration_ms: Date.now() - startedAt
+            }));
+            next();
+        };
+    }
+}
+
+// ===== HELPERS =====
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = { ApiKeyStore, SCOPES };
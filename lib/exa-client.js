@@ -0,0 +1,149 @@
+/**
+ * 🔍 EXA SEARCH CLIENT WITH RESPONSE CACHE
+ *
+ * Wraps POST /search so repeated runs don't spend Exa credits:
+ * - Responses are cached on disk (one JSON file per request under DATA_DIR/exa-cache)
+ * - The cache key is a hash of the normalized request body (sorted keys, trimmed lower-case query,
+ *   sorted domains), so the same search with different whitespace or key order is a hit
+ * - Entries older than the TTL are refetched; `refresh: true` skips the cache for one call
+ * - Replay mode only serves cached responses, even expired ones, and never calls the API.
+ *   That lets extraction changes be rerun over earlier data offline.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class ExaCacheMissError extends Error {
+    constructor(key) {
+        super(`Exa response not cached (replay mode): ${key.slice(0, 12)}`);
+        this.name = 'ExaCacheMissError';
+    }
+}
+
+class ExaClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.baseUrl = (options.baseUrl || 'https://api.exa.ai').replace(/\/+$/, '');
+        this.cacheDir = options.cacheDir || path.join(process.cwd(), 'data', 'exa-cache');
+        this.cacheEnabled = options.cacheEnabled !== false;
+        this.ttlMs = options.ttlMs ?? 24 * 60 * 60 * 1000;
+        this.replay = !!options.replay;
+        this.stats = { hits: 0, misses: 0, expired: 0, refreshes: 0, replay_misses: 0, writes: 0 };
+    }
+
+    // Replay mode works without an API key
+    isAvailable() {
+        return !!this.apiKey || this.replay;
+    }
+
+    // ===== SEARCH =====
+    async search(body, { refresh = false } = {}) {
+        const key = cacheKey(body);
+        const useCache = this.cacheEnabled || this.replay;
+        const cached = useCache ? this.read(key) : null;
+
+        if (this.replay) {
+            if (!cached) {
+                this.stats.replay_misses++;
+                throw new ExaCacheMissError(key);
+            }
+            this.stats.hits++;
+            console.log(`   💾 Exa cache replay: ${key.slice(0, 12)} (stored ${cached.stored_at})`);
+            return cached.response;
+        }
+
+        if (cached && !refresh) {
+            if (Date.now() - new Date(cached.stored_at).getTime() < this.ttlMs) {
+                this.stats.hits++;
+                console.log(`   💾 Exa cache hit: ${key.slice(0, 12)} (stored ${cached.stored_at})`);
+                return cached.response;
+            }
+            this.stats.expired++;
+        }
+        if (refresh) this.stats.refreshes++;
+        this.stats.misses++;
+
+        const response = await axios.post(`${this.baseUrl}/search`, body, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (this.cacheEnabled) this.write(key, body, response.data);
+        return response.data;
+    }
+
+    // ===== DISK CACHE =====
+    read(key) {
+        const filePath = path.join(this.cacheDir, `${key}.json`);
+        if (!fs.existsSync(filePath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`   ⚠️ Exa cache: ignoring unreadable ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    write(key, body, response) {
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            const filePath = path.join(this.cacheDir, `${key}.json`);
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ key, stored_at: new Date().toISOString(), request: normalizeBody(body), response }));
+            fs.renameSync(tmpPath, filePath);
+            this.stats.writes++;
+        } catch (error) {
+            console.error(`   ❌ Exa cache write failed: ${error.message}`);
+        }
+    }
+
+    summary() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.replay_misses;
+        let entries = 0;
+        try {
+            entries = fs.existsSync(this.cacheDir) ? fs.readdirSync(this.cacheDir).filter(name => name.endsWith('.json')).length : 0;
+        } catch {
+            entries = null;
+        }
+
+        return {
+            mode: this.replay ? 'replay' : (this.cacheEnabled ? 'cache' : 'off'),
+            ttl_hours: Math.round(this.ttlMs / 3600000 * 100) / 100,
+            ...this.stats,
+            hit_rate_percent: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 10 : null,
+            entries,
+            directory: this.cacheDir
+        };
+    }
+}
+
+// ===== NORMALIZATION =====
+function normalizeBody(value, keyName) {
+    if (Array.isArray(value)) {
+        const items = value.map(item => normalizeBody(item));
+        // Domain filters are sets: order doesn't change the search
+        return /domains$/i.test(keyName || '') ? items.map(item => String(item).toLowerCase()).sort() : items;
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => [key, normalizeBody(value[key], key)]));
+    }
+    if (typeof value === 'string' && keyName === 'query') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+    return value;
+}
+
+function cacheKey(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(normalizeBody(body))).digest('hex');
+}
+
+module.exports = {
+    ExaClient,
+    ExaCacheMissError,
+    cacheKey
+};
@@ -0,0 +1,30 @@
+/**
+ * 🔤 HTML ENTITIES
+ *
+ * Decodes numeric (&#233; &#xE9;) and common named entities in one pass.
+ * Entities that don't name a valid code point (above U+10FFFF or a lone surrogate) are left as-is,
+ * so one malformed entity can't throw and take the whole page down with it.
+ */
+
+const NAMED = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    euro: '€', pound: '£', copy: '©', reg: '®', ndash: '–', mdash: '—',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…'
+};
+
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi;
+
+function decodeEntities(text) {
+    return String(text).replace(ENTITY, (entity, decimal, hex, name) => {
+        if (name) return NAMED[name.toLowerCase()] ?? entity;
+
+        const code = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+        return isValidCodePoint(code) ? String.fromCodePoint(code) : entity;
+    });
+}
+
+function isValidCodePoint(code) {
+    return Number.isInteger(code) && code >= 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+}
+
+module.exports = { decodeEntities };
@@ -0,0 +1,169 @@
+/**
+ * 📦 BATCH JOB QUEUE
+ *
+ * Runs URL batches in the background so HTTP requests return a job ID right away.
+ * - Jobs are queued FIFO; `maxActiveJobs` jobs run at the same time
+ * - The runner does the actual work and reports per-URL progress through hooks
+ * - Cancelling stops pending URLs; URLs already in flight are allowed to finish
+ * - Optional `onProgress(job)` / `onFinish(job)` options receive a snapshot after every item / at the end
+ */
+
+class JobQueue {
+    constructor(options = {}) {
+        this.runner = options.runner;
+        this.maxActiveJobs = options.maxActiveJobs || 1;
+        this.maxRetainedJobs = options.maxRetainedJobs || 100;
+        this.jobs = new Map();
+        this.pending = [];
+        this.active = 0;
+    }
+
+    // ===== SUBMISSION =====
+    submit(type, urls, options = {}) {
+        const id = `job_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        const job = {
+            id,
+            type,
+            status: 'queued',
+            options,
+            items: urls.map(url => ({ url, status: 'pending' })),
+            cancel_requested: false,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null
+        };
+
+        this.jobs.set(id, job);
+        this.pending.push(job);
+        this.prune();
+        setImmediate(() => this.pump());
+
+        console.log(`📦 Job ${id} queued: ${urls.length} URLs (${type})`);
+        return this.snapshot(job);
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (['completed', 'cancelled', 'failed'].includes(job.status)) return this.snapshot(job);
+
+        job.cancel_requested = true;
+        job.items.filter(item => item.status === 'pending').forEach(item => {
+            item.status = 'cancelled';
+        });
+
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(queued => queued !== job);
+            this.finish(job, 'cancelled');
+        } else {
+            job.status = 'cancelling';
+        }
+
+        console.log(`🛑 Job ${id} cancellation requested`);
+        return this.snapshot(job);
+    }
+
+    // ===== EXECUTION =====
+    pump() {
+        while (this.active < this.maxActiveJobs && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.active++;
+            this.run(job).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        console.log(`🚀 Job ${job.id} started`);
+
+        try {
+            await this.runner(job.items.map(item => item.url), {
+                ...job.options,
+                isCancelled: () => job.cancel_requested,
+                onItemStart: (index) => {
+                    job.items[index].status = 'running';
+                    job.items[index].started_at = new Date().toISOString();
+                    job.options.onProgress?.(this.snapshot(job));
+                },
+                onItemComplete: (index, outcome) => {
+                    const item = job.items[index];
+                    if (outcome.cancelled) {
+                        item.status = 'cancelled';
+                    } else {
+                        Object.assign(item, outcome, {
+                            status: outcome.success ? 'succeeded' : 'failed',
+                            finished_at: new Date().toISOString()
+                        });
+                    }
+                    job.options.onProgress?.(this.snapshot(job));
+                }
+            });
+
+            this.finish(job, job.cancel_requested ? 'cancelled' : 'completed');
+        } catch (error) {
+            console.error(`❌ Job ${job.id} failed: ${error.message}`);
+            job.error = error.message;
+            this.finish(job, 'failed');
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finished_at = new Date().toISOString();
+        const progress = this.progress(job);
+        console.log(`🏁 Job ${job.id} ${status}: ${progress.succeeded}/${progress.total} succeeded`);
+        job.options.onFinish?.(this.snapshot(job));
+    }
+
+    // ===== READS =====
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    list() {
+        return Array.from(this.jobs.values()).reverse().map(job => {
+            const { items, ...summary } = this.snapshot(job);
+            return summary;
+        });
+    }
+
+    progress(job) {
+        const count = (status) => job.items.filter(item => item.status === status).length;
+        const total = job.items.length;
+        const done = count('succeeded') + count('failed') + count('cancelled');
+
+        return {
+            total,
+            pending: count('pending'),
+            running: count('running'),
+            succeeded: count('succeeded'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            percent: total > 0 ? Math.round(done / total * 100) : 100
+        };
+    }
+
+    snapshot(job) {
+        const { options, cancel_requested, ...rest } = job;
+        return {
+            ...rest,
+            concurrency: options.concurrency,
+            progress: this.progress(job),
+            errors: job.items.filter(item => item.error).map(item => ({ url: item.url, error: item.error }))
+        };
+    }
+
+    // Keep memory bounded: forget the oldest finished jobs
+    prune() {
+        const finished = Array.from(this.jobs.values()).filter(job => job.finished_at);
+        const excess = this.jobs.size - this.maxRetainedJobs;
+        finished.slice(0, Math.max(excess, 0)).forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = { JobQueue };
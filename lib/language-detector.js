@@ -0,0 +1,75 @@
+/**
+ * 🌐 CONTENT LANGUAGE DETECTION
+ *
+ * Guesses whether practice website text is English, Dutch, German or French.
+ * - Counts common function words per language (cheap, no dependencies)
+ * - The <html lang="..."> attribute is used as a tie-breaker, not as the answer:
+ *   plenty of Dutch sites ship a theme that still says lang="en"
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'nl', 'de', 'fr'];
+
+const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'with', 'for', 'our', 'your', 'you', 'we', 'are', 'is', 'in', 'on', 'at', 'from', 'this', 'that', 'or', 'appointment', 'book'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'onze', 'uw', 'wij', 'zijn', 'is', 'op', 'bij', 'naar', 'ook', 'niet', 'afspraak', 'maken', 'praktijk'],
+    de: ['der', 'die', 'das', 'und', 'mit', 'für', 'unsere', 'ihre', 'wir', 'sind', 'ist', 'auf', 'bei', 'zu', 'den', 'dem', 'nicht', 'auch', 'termin', 'praxis'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'du', 'pour', 'avec', 'nos', 'vos', 'nous', 'sont', 'est', 'dans', 'sur', 'une', 'au', 'aux', 'rendez-vous', 'cabinet']
+};
+
+// Words that appear in several lists ("de", "is", "die") only count for the languages that own them
+const WORD_LANGUAGES = new Map();
+Object.entries(STOPWORDS).forEach(([language, words]) => {
+    words.forEach(word => {
+        WORD_LANGUAGES.set(word, [...(WORD_LANGUAGES.get(word) || []), language]);
+    });
+});
+
+function detectLanguage(text = '', options = {}) {
+    const words = String(text).toLowerCase().match(/[\p{L}-]+/gu) || [];
+    const sample = words.slice(0, 5000);
+    const scores = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+
+    sample.forEach(word => {
+        const languages = WORD_LANGUAGES.get(word);
+        if (!languages) return;
+        languages.forEach(language => {
+            scores[language] += 1 / languages.length;
+        });
+    });
+
+    const htmlLang = normalizeLanguage(options.htmlLang);
+    if (htmlLang) scores[htmlLang] += 0.5;
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, bestScore] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    // Too little text to tell: trust the page markup, otherwise assume English
+    if (bestScore < 3) {
+        return { language: htmlLang || 'en', confidence: 0, scores };
+    }
+
+    return {
+        language: best,
+        confidence: Math.round(bestScore / total * 100) / 100,
+        scores
+    };
+}
+
+// "nl-NL", "de_DE", "fr" → "nl", "de", "fr"; unsupported languages → null
+function normalizeLanguage(value) {
+    const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+function htmlLanguage(html = '') {
+    const match = String(html).match(/<html\b[^>]*\blang\s*=\s*["']?([\w-]+)/i);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    detectLanguage,
+    normalizeLanguage,
+    htmlLanguage,
+    SUPPORTED_LANGUAGES
+};
@@ -0,0 +1,183 @@
+/**
+ * 📊 LEAD SCORING ENGINE
+ *
+ * Rule-based, explainable lead scores with weights from a JSON file (default config/scoring.json).
+ * - Rule types: lookup (field value → points), tiers (best matching list), fields (points per filled field),
+ *   count (points per list item, capped) and threshold (first step whose minimum is reached)
+ * - Fields may be nested paths ("signals.online_booking")
+ * - Every lead gets a breakdown with the points, the maximum and the reason for each rule
+ * - reload() swaps in the new rules only if they parse and validate; otherwise the old ones stay
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'scoring.json');
+const RULE_TYPES = ['lookup', 'tiers', 'fields', 'count', 'threshold'];
+
+class LeadScorer {
+    constructor(options = {}) {
+        this.filePath = options.filePath || DEFAULT_FILE;
+        this.version = null;
+        this.maxScore = 100;
+        this.rules = [];
+        this.loadedAt = null;
+        this.loadError = null;
+    }
+
+    // ===== LOADING =====
+    load() {
+        try {
+            return this.reload();
+        } catch (error) {
+            this.loadError = error.message;
+            console.error(`❌ Scoring rules not loaded from ${this.filePath}: ${error.message}`);
+            return this.summary();
+        }
+    }
+
+    reload() {
+        const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const rules = this.validate(raw);
+
+        this.version = raw.version ?? null;
+        this.maxScore = raw.max_score || 100;
+        this.rules = rules;
+        this.loadedAt = new Date().toISOString();
+        this.loadError = null;
+
+        console.log(`📊 Scoring rules loaded: ${rules.length} rules (version ${this.version ?? 'n/a'})`);
+        return this.summary();
+    }
+
+    validate(raw) {
+        if (!raw || !Array.isArray(raw.rules)) throw new Error('Scoring file must contain a "rules" array');
+
+        const ids = new Set();
+        raw.rules.forEach((rule, index) => {
+            if (!rule.id) throw new Error(`rules[${index}] is missing "id"`);
+            if (ids.has(rule.id)) throw new Error(`Duplicate rule id "${rule.id}"`);
+            if (!RULE_TYPES.includes(rule.type)) throw new Error(`Rule "${rule.id}" has unknown type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`);
+            if (['lookup', 'tiers', 'threshold'].includes(rule.type) && !rule.field) throw new Error(`Rule "${rule.id}" is missing "field"`);
+            if (rule.type === 'lookup' && typeof rule.points !== 'object') throw new Error(`Rule "${rule.id}" needs a "points" map`);
+            if (rule.type === 'tiers' && !Array.isArray(rule.tiers)) throw new Error(`Rule "${rule.id}" needs a "tiers" array`);
+            if (rule.type === 'fields' && typeof rule.fields !== 'object') throw new Error(`Rule "${rule.id}" needs a "fields" map`);
+            if (rule.type === 'count' && !Array.isArray(rule.fields)) throw new Error(`Rule "${rule.id}" needs a "fields" array`);
+            if (rule.type === 'threshold' && !Array.isArray(rule.steps)) throw new Error(`Rule "${rule.id}" needs a "steps" array`);
+            ids.add(rule.id);
+        });
+
+        return raw.rules;
+    }
+
+    summary() {
+        return {
+            file: this.filePath,
+            version: this.version,
+            loaded_at: this.loadedAt,
+            error: this.loadError,
+            max_score: this.maxScore,
+            rules: this.rules.map(rule => ({ id: rule.id, label: rule.label || rule.id, type: rule.type, max: this.ruleMax(rule) }))
+        };
+    }
+
+    // ===== SCORING =====
+    score(lead = {}) {
+        const breakdown = this.rules.map(rule => {
+            const { points, reason } = this.applyRule(rule, lead);
+            return { rule: rule.id, label: rule.label || rule.id, points, max: this.ruleMax(rule), reason };
+        });
+
+        const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+        return {
+            score: Math.min(Math.max(Math.round(total), 0), this.maxScore),
+            max_score: this.maxScore,
+            version: this.version,
+            breakdown,
+            scored_at: new Date().toISOString()
+        };
+    }
+
+    applyRule(rule, lead) {
+        switch (rule.type) {
+        case 'lookup': {
+            const value = fieldValue(lead, rule.field);
+            // Booleans are looked up as "true"/"false"; null and undefined mean unknown
+            const key = Object.keys(rule.points).find(candidate => candidate.toLowerCase() === String(value ?? '').toLowerCase());
+            if (key) return { points: rule.points[key], reason: `${rule.field} is ${key}` };
+            return { points: rule.default || 0, reason: value !== undefined && value !== null && value !== '' ? `${rule.field} "${value}" is not listed` : `no ${rule.field}` };
+        }
+        case 'tiers': {
+            const values = toList(fieldValue(lead, rule.field)).map(value => value.toLowerCase());
+            for (const tier of rule.tiers) {
+                const hit = (tier.values || []).find(candidate => values.includes(String(candidate).toLowerCase()));
+                if (hit) return { points: tier.points, reason: `${tier.name} tier: ${hit}` };
+            }
+            return { points: 0, reason: values.length > 0 ? `no ${rule.field} in a listed tier` : `no ${rule.field}` };
+        }
+        case 'fields': {
+            const present = Object.keys(rule.fields).filter(field => hasValue(fieldValue(lead, field)));
+            const missing = Object.keys(rule.fields).filter(field => !present.includes(field));
+            const points = present.reduce((sum, field) => sum + rule.fields[field], 0);
+            const reason = [present.length > 0 && `has ${present.join(', ')}`, missing.length > 0 && `missing ${missing.join(', ')}`]
+                .filter(Boolean)
+                .join('; ');
+            return { points, reason };
+        }
+        case 'count': {
+            const count = rule.fields.reduce((sum, field) => sum + toList(fieldValue(lead, field)).length, 0);
+            const points = Math.min(count * (rule.points_per_item ?? 1), rule.max ?? Infinity);
+            return { points, reason: `${count} item(s) across ${rule.fields.join(', ')}` };
+        }
+        case 'threshold': {
+            const raw = fieldValue(lead, rule.field);
+            // A missing value is not a low one: "no rating found", not "rating 0 below 4"
+            if (raw === undefined || raw === null || raw === '') return { points: 0, reason: `no ${rule.field} found` };
+            const value = Number(raw) || 0;
+            const step = rule.steps
+                .slice()
+                .sort((a, b) => b.min - a.min)
+                .find(candidate => value >= candidate.min);
+            return step
+                ? { points: step.points, reason: `${rule.field} ${value} ≥ ${step.min}` }
+                : { points: 0, reason: `${rule.field} ${value} below ${Math.min(...rule.steps.map(s => s.min))}` };
+        }
+        default:
+            return { points: 0, reason: `unknown rule type ${rule.type}` };
+        }
+    }
+
+    ruleMax(rule) {
+        switch (rule.type) {
+        case 'lookup': return Math.max(rule.default || 0, ...Object.values(rule.points));
+        case 'tiers': return Math.max(0, ...rule.tiers.map(tier => tier.points));
+        case 'fields': return Object.values(rule.fields).reduce((sum, points) => sum + points, 0);
+        case 'count': return rule.max ?? null;
+        case 'threshold': return Math.max(0, ...rule.steps.map(step => step.points));
+        default: return 0;
+        }
+    }
+}
+
+// "signals.online_booking" reads nested values
+function fieldValue(lead, field) {
+    return String(field).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), lead);
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function hasValue(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// One line per rule for places that only hold text (Notion, Telegram)
+function formatBreakdown(breakdown = []) {
+    return breakdown
+        .map(item => `${item.label}: ${item.points}/${item.max ?? '-'} (${item.reason})`)
+        .join('\n');
+}
+
+module.exports = { LeadScorer, formatBreakdown };
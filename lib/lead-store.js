@@ -0,0 +1,196 @@
+/**
+ * 💾 LOCAL LEAD & RUN STORE
+ *
+ * Append-only JSON-lines file that survives restarts.
+ * - Every processed practice is recorded as a "run" (data, storage outcome, timing)
+ * - The latest state per domain is kept as a "lead" (local source of truth when Notion is down)
+ * - The file is replayed into memory on startup; corrupt lines are skipped
+ * - Only the latest `maxRuns` runs are kept; older ones are folded into all-time totals
+ * - Superseded lead lines and dropped runs are compacted away on load and once `compactThreshold` of them pile up
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LeadStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filePath = path.join(this.dataDir, options.fileName || 'leads.jsonl');
+        this.runs = [];
+        this.leads = new Map();
+        this.loaded = false;
+        this.compactThreshold = options.compactThreshold ?? 500;
+        this.maxRuns = options.maxRuns ?? 1000;
+        // Runs that fell out of the kept history, so the all-time stats stay right
+        this.archivedRuns = { total: 0, successful: 0 };
+        // Lines in the file that compaction drops: lead lines a later line replaced and runs past maxRuns
+        this.staleLines = 0;
+    }
+
+    // ===== LOADING =====
+    load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.runs = [];
+        this.leads = new Map();
+        this.archivedRuns = { total: 0, successful: 0 };
+        this.staleLines = 0;
+        let skipped = 0;
+
+        if (fs.existsSync(this.filePath)) {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+            lines.forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    this.apply(JSON.parse(line));
+                } catch {
+                    skipped++;
+                }
+            });
+
+            if (skipped > 0) console.warn(`⚠️ Lead store: skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+        }
+
+        this.loaded = true;
+        console.log(`💾 Lead store loaded: ${this.leads.size} leads, ${this.runs.length} runs (${this.filePath})`);
+        if (this.staleLines > 0 || skipped > 0) this.compact();
+        return this;
+    }
+
+    apply(entry) {
+        if (entry.type === 'run') {
+            this.runs.push(entry.run);
+            this.trimRuns();
+        } else if (entry.type === 'run_totals') {
+            this.archivedRuns = { total: entry.totals.total || 0, successful: entry.totals.successful || 0 };
+        } else if (entry.type === 'lead') {
+            if (this.leads.has(entry.lead.domain)) this.staleLines++;
+            this.leads.set(entry.lead.domain, entry.lead);
+        }
+    }
+
+    append(entry) {
+        if (!this.loaded) this.load();
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.apply(entry);
+        if (this.staleLines >= this.compactThreshold) this.compact();
+    }
+
+    trimRuns() {
+        while (this.runs.length > this.maxRuns) {
+            const run = this.runs.shift();
+            this.archivedRuns.total++;
+            if (run?.success) this.archivedRuns.successful++;
+            this.staleLines++;
+        }
+    }
+
+    // Rewrite the file with the kept runs and only the latest line per lead (write + rename, so a crash keeps the old file)
+    compact() {
+        const lines = [
+            ...(this.archivedRuns.total > 0 ? [JSON.stringify({ type: 'run_totals', totals: this.archivedRuns })] : []),
+            ...this.runs.map(run => JSON.stringify({ type: 'run', run })),
+            ...this.listLeads().map(lead => JSON.stringify({ type: 'lead', lead }))
+        ];
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpPath, this.filePath);
+
+        console.log(`💾 Lead store compacted: dropped ${this.staleLines} superseded lead or old run line(s)`);
+        this.staleLines = 0;
+    }
+
+    // ===== WRITES =====
+    recordRun(run) {
+        const entry = {
+            id: run.id || `run_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            recorded_at: new Date().toISOString(),
+            ...run
+        };
+        this.append({ type: 'run', run: entry });
+        return entry;
+    }
+
+    saveLead(practiceData, notionResult = {}) {
+        const domain = practiceData.domain;
+        if (!domain) return null;
+
+        const existing = this.leads.get(domain);
+        const now = new Date().toISOString();
+        const lead = {
+            domain,
+            practice_id: practiceData.practiceId,
+            url: practiceData.url,
+            company: practiceData.company,
+            lead_score: practiceData.lead_score,
+            practice_data: practiceData,
+            notion: {
+                synced: !!notionResult.success && !notionResult.is_fallback,
+                action: notionResult.action,
+                lead_id: notionResult.is_fallback ? existing?.notion?.lead_id : notionResult.leadId,
+                error: notionResult.error || notionResult.record?.fallback_reason,
+                updated_at: now
+            },
+            first_seen_at: existing?.first_seen_at || now,
+            last_processed_at: now,
+            times_processed: (existing?.times_processed || 0) + 1
+        };
+
+        this.append({ type: 'lead', lead });
+        return lead;
+    }
+
+    // Change stored lead fields without counting it as a new processing run
+    updateLead(domain, changes) {
+        const existing = this.leads.get(domain);
+        if (!existing) return null;
+
+        const lead = { ...existing, ...changes };
+        this.append({ type: 'lead', lead });
+        return lead;
+    }
+
+    // ===== READS =====
+    getLead(domainOrPracticeId) {
+        if (this.leads.has(domainOrPracticeId)) return this.leads.get(domainOrPracticeId);
+        return this.listLeads().find(lead => lead.practice_id === domainOrPracticeId) || null;
+    }
+
+    listLeads() {
+        return Array.from(this.leads.values());
+    }
+
+    // Oldest first; `offset` skips the newest runs, so offset 0 + limit 50 is the latest page
+    getRuns({ status, limit, offset = 0 } = {}) {
+        let runs = this.runs;
+        if (status === 'success') runs = runs.filter(r => r.success);
+        if (status === 'failed') runs = runs.filter(r => !r.success);
+        const end = Math.max(runs.length - offset, 0);
+        return runs.slice(limit ? Math.max(end - limit, 0) : 0, end);
+    }
+
+    countRuns({ status } = {}) {
+        if (status === 'success') return this.runs.filter(r => r.success).length;
+        if (status === 'failed') return this.runs.filter(r => !r.success).length;
+        return this.runs.length;
+    }
+
+    getStats() {
+        const total = this.archivedRuns.total + this.runs.length;
+        const successful = this.archivedRuns.successful + this.runs.filter(r => r.success).length;
+        const leads = this.listLeads();
+
+        return {
+            total_runs: total,
+            stored_runs: this.runs.length,
+            successful_runs: successful,
+            failed_runs: total - successful,
+            success_rate_percent: total > 0 ? (successful / total * 100).toFixed(2) : 0,
+            total_leads: leads.length,
+            notion_synced_leads: leads.filter(l => l.notion?.synced).length,
+            notion_pending_leads: leads.filter(l => !l.notion?.synced).length
+        };
+    }
+}
+
+module.exports = { LeadStore };
@@ -0,0 +1,268 @@
+/**
+ * 📊 NOTION PAGES CLIENT
+ *
+ * Thin wrapper around the Notion REST API used to store healthcare leads.
+ * - Maps validated lead data onto typed Notion properties
+ * - Verifies the target database schema before we start writing; once verified, properties the database
+ *   lacks (or has with another type) are left out of page writes instead of failing every write with a 400
+ * - Base URL is configurable so a local stand-in server can replace Notion
+ */
+
+const axios = require('axios');
+
+// Lead field → Notion property name and type
+const LEAD_PROPERTIES = {
+    company: { name: 'Company', type: 'title' },
+    phone: { name: 'Phone', type: 'phone_number' },
+    email: { name: 'Email', type: 'email' },
+    location: { name: 'Location', type: 'rich_text' },
+    street: { name: 'Street', type: 'rich_text' },
+    city: { name: 'City', type: 'rich_text' },
+    region: { name: 'Region', type: 'rich_text' },
+    postcode: { name: 'Postcode', type: 'rich_text' },
+    country: { name: 'Country', type: 'select' },
+    website: { name: 'Website', type: 'url' },
+    practice_id: { name: 'Practice ID', type: 'rich_text' },
+    status: { name: 'Status', type: 'select' },
+    practice_type: { name: 'Practice Type', type: 'select' },
+    services: { name: 'Services', type: 'multi_select' },
+    treatments: { name: 'Treatments', type: 'multi_select' },
+    specializations: { name: 'Specializations', type: 'multi_select' },
+    practitioners: { name: 'Practitioners', type: 'rich_text' },
+    prices: { name: 'Prices', type: 'rich_text' },
+    insurers: { name: 'Insurers', type: 'multi_select' },
+    payment_options: { name: 'Payment Options', type: 'multi_select' },
+    payment_model: { name: 'Payment Model', type: 'select' },
+    languages_spoken: { name: 'Languages Spoken', type: 'multi_select' },
+    rating: { name: 'Rating', type: 'number' },
+    review_count: { name: 'Review Count', type: 'number' },
+    review_sources: { name: 'Review Sources', type: 'rich_text' },
+    lead_score: { name: 'Lead Score', type: 'number' },
+    score_breakdown: { name: 'Score Breakdown', type: 'rich_text' },
+    booking_provider: { name: 'Booking Provider', type: 'select' },
+    cms: { name: 'CMS', type: 'select' },
+    website_signals: { name: 'Website Signals', type: 'rich_text' },
+    exa_enhanced: { name: 'Exa Enhanced', type: 'checkbox' },
+    domain: { name: 'Domain', type: 'rich_text' },
+    scraped_at: { name: 'Scraped At', type: 'date' },
+    last_updated: { name: 'Last Updated', type: 'date' }
+};
+
+// Without these a lead can't be named or found again for duplicate detection
+const REQUIRED_FIELDS = ['company', 'domain'];
+
+class NotionClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.databaseId = options.databaseId;
+        this.baseUrl = (options.baseUrl || 'https://api.notion.com/v1').replace(/\/+$/, '');
+        this.notionVersion = options.notionVersion || '2022-06-28';
+        this.maxRetries = options.maxRetries ?? 2;
+        this.properties = options.properties || LEAD_PROPERTIES;
+        // Lead fields the database can't take, from the last verifySchema()
+        this.unwritable = new Set();
+
+        this.http = axios.create({
+            baseURL: this.baseUrl,
+            timeout: options.timeout || 15000,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Notion-Version': this.notionVersion,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    isConfigured() {
+        return !!(this.apiKey && this.databaseId);
+    }
+
+    // ===== PAGES =====
+    async createPage(leadData) {
+        return await this.request('post', '/pages', {
+            parent: { database_id: this.databaseId },
+            properties: this.buildProperties(leadData)
+        });
+    }
+
+    async updatePage(pageId, leadData) {
+        return await this.request('patch', `/pages/${pageId}`, {
+            properties: this.buildProperties(leadData)
+        });
+    }
+
+    async queryDatabase(body = {}) {
+        return await this.request('post', `/databases/${this.databaseId}/query`, body);
+    }
+
+    async findPageByDomain(domain) {
+        const result = await this.queryDatabase({
+            filter: { property: this.properties.domain.name, rich_text: { equals: domain } },
+            page_size: 1
+        });
+        return result.results?.[0] || null;
+    }
+
+    // ===== SCHEMA VERIFICATION =====
+    async retrieveDatabase() {
+        return await this.request('get', `/databases/${this.databaseId}`);
+    }
+
+    async verifySchema() {
+        const database = await this.retrieveDatabase();
+        const actual = database.properties || {};
+        const missing = [];
+        const mismatched = [];
+
+        for (const [field, { name, type }] of Object.entries(this.properties)) {
+            if (!actual[name]) {
+                missing.push({ field, property: name, expected_type: type });
+            } else if (actual[name].type !== type) {
+                mismatched.push({ field, property: name, expected_type: type, actual_type: actual[name].type });
+            }
+        }
+
+        this.unwritable = new Set([...missing, ...mismatched].map(({ field }) => field));
+
+        return {
+            valid: missing.length === 0 && mismatched.length === 0,
+            database_id: this.databaseId,
+            missing,
+            mismatched,
+            checked_at: new Date().toISOString()
+        };
+    }
+
+    // ===== PROPERTY MAPPING =====
+    // Properties this client writes: all of them until verifySchema() found some missing or mistyped
+    writableProperties() {
+        return Object.fromEntries(Object.entries(this.properties).filter(([field]) => !this.unwritable.has(field)));
+    }
+
+    buildProperties(leadData) {
+        const blocking = REQUIRED_FIELDS.filter(field => this.unwritable.has(field));
+        if (blocking.length > 0) {
+            throw new Error(`Notion database is missing required properties: ${blocking.map(field => `"${this.properties[field].name}"`).join(', ')}`);
+        }
+
+        const skipped = Object.keys(leadData).filter(field => this.unwritable.has(field) && leadData[field] !== undefined);
+        if (skipped.length > 0) {
+            console.warn(`   ⚠️ Notion write skips properties the database lacks: ${skipped.map(field => this.properties[field].name).join(', ')}`);
+        }
+
+        const properties = {};
+        for (const [field, { name, type }] of Object.entries(this.writableProperties())) {
+            if (leadData[field] === undefined) continue;
+            properties[name] = this.toPropertyValue(type, leadData[field]);
+        }
+
+        return properties;
+    }
+
+    toPropertyValue(type, value) {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        switch (type) {
+            case 'title':
+                return { title: [{ text: { content: text.substring(0, 2000) } }] };
+            case 'rich_text':
+                return { rich_text: text ? [{ text: { content: text.substring(0, 2000) } }] : [] };
+            case 'phone_number':
+                return { phone_number: text || null };
+            case 'email':
+                return { email: text || null };
+            case 'url':
+                return { url: text || null };
+            case 'number': {
+                const number = Number(value);
+                return { number: text !== '' && Number.isFinite(number) ? number : null };
+            }
+            case 'checkbox':
+                return { checkbox: !!value };
+            case 'select':
+                return { select: text ? { name: this.toOptionName(text) } : null };
+            case 'multi_select':
+                return { multi_select: this.toOptionList(value).map(name => ({ name })) };
+            case 'date':
+                return { date: text ? { start: text } : null };
+            default:
+                throw new Error(`Unsupported Notion property type: ${type}`);
+        }
+    }
+
+    // Inverse of buildProperties: read a Notion page back into lead fields
+    parseProperties(page) {
+        const actual = page.properties || {};
+        const leadData = {};
+
+        for (const [field, { name, type }] of Object.entries(this.properties)) {
+            if (!actual[name]) continue;
+            leadData[field] = this.fromPropertyValue(type, actual[name]);
+        }
+
+        return leadData;
+    }
+
+    fromPropertyValue(type, property) {
+        const plainText = (parts) => (parts || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+
+        switch (type) {
+            case 'title':
+                return plainText(property.title);
+            case 'rich_text':
+                return plainText(property.rich_text);
+            case 'phone_number':
+            case 'email':
+            case 'url':
+                return property[type] || '';
+            case 'number':
+                return property.number;
+            case 'checkbox':
+                return !!property.checkbox;
+            case 'select':
+                return property.select?.name || '';
+            case 'multi_select':
+                return (property.multi_select || []).map(option => option.name);
+            case 'date':
+                return property.date?.start || '';
+            default:
+                return undefined;
+        }
+    }
+
+    // Notion option names cannot contain commas and are capped at 100 characters
+    toOptionName(value) {
+        return String(value).replace(/,/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 100);
+    }
+
+    toOptionList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(',');
+        const names = items.map(item => this.toOptionName(item)).filter(Boolean);
+        return Array.from(new Set(names)).slice(0, 100);
+    }
+
+    // ===== HTTP =====
+    async request(method, path, data, attempt = 0) {
+        try {
+            const response = await this.http.request({ method, url: path, data });
+            return response.data;
+        } catch (error) {
+            const status = error.response?.status;
+
+            if ((status === 429 || status >= 500) && attempt < this.maxRetries) {
+                const retryAfter = parseFloat(error.response.headers?.['retry-after']) || (attempt + 1);
+                console.warn(`   ⚠️ Notion API ${status}, retrying in ${retryAfter}s...`);
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                return await this.request(method, path, data, attempt + 1);
+            }
+
+            const message = error.response?.data?.message || error.message;
+            const notionError = new Error(status ? `Notion API ${status}: ${message}` : `Notion request failed: ${message}`);
+            notionError.status = status;
+            notionError.code = error.response?.data?.code;
+            throw notionError;
+        }
+    }
+}
+
+module.exports = { NotionClient, LEAD_PROPERTIES };
@@ -0,0 +1,332 @@
+/**
+ * 🕒 OPENING HOURS
+ *
+ * Normalizes opening hours into one weekly structure:
+ *   { timezone, weekly: { monday: [{ opens: '08:00', closes: '17:30' }], ..., sunday: [] } }
+ * - Structured data: schema.org openingHours strings ("Mo-Fr 09:00-17:00") and openingHoursSpecification
+ * - Page text in English, Dutch and German ("Mon–Fri 8am–5pm", "ma t/m vr 08.00 - 17.00 uur",
+ *   "Montag bis Freitag 8:00–18:00 Uhr", "Zaterdag: gesloten"), with days and times on one or two lines
+ * - Days a schedule doesn't mention count as closed
+ * Derived flags (open_weekends, open_evenings, weekly_open_hours) feed the lead score.
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Day words (en, nl, de, fr) → index into DAYS
+const DAY_WORDS = {
+    monday: 0, mon: 0, mo: 0, maandag: 0, ma: 0, montag: 0, lundi: 0,
+    tuesday: 1, tues: 1, tue: 1, tu: 1, dinsdag: 1, di: 1, dienstag: 1, mardi: 1,
+    wednesday: 2, wed: 2, we: 2, woensdag: 2, wo: 2, mittwoch: 2, mi: 2, mercredi: 2,
+    thursday: 3, thurs: 3, thur: 3, thu: 3, th: 3, donderdag: 3, do: 3, donnerstag: 3, jeudi: 3,
+    friday: 4, fri: 4, fr: 4, vrijdag: 4, vr: 4, freitag: 4, vendredi: 4,
+    saturday: 5, sat: 5, sa: 5, zaterdag: 5, za: 5, samstag: 5, sonnabend: 5, samedi: 5,
+    sunday: 6, sun: 6, su: 6, zondag: 6, zo: 6, sonntag: 6, so: 6, dimanche: 6
+};
+
+const dayPattern = words => `(${words.sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const DAY = dayPattern(Object.keys(DAY_WORDS));
+const DAY_RANGE = '\\s*(?:-|–|—|to|till|until|through|thru|t/m|tot en met|tot|bis|au)\\s*';
+const DAY_LIST = '\\s*(?:,|&|\\+|/|and|en|und|et)\\s*';
+// Two-letter days ("Do", "So", "We", "Ma") are also everyday words, so a schedule may only start with one
+// at the start of a line, after a separator or after the previous day's times ("Mo-Do 8-18 Uhr Fr 8-14 Uhr")
+const LONG_DAY = dayPattern(Object.keys(DAY_WORDS).filter(word => word.length > 2));
+const SHORT_DAY = dayPattern(Object.keys(DAY_WORDS).filter(word => word.length === 2));
+const DAY_START = `(?:(?<![\\p{L}])${LONG_DAY}|(?<=(?:^|[,;:|()•·/–—-]|\\d|\\b(?:uur|uhr))\\s*)${SHORT_DAY})`;
+const DAY_SPEC = new RegExp(`${DAY_START}(?:(?:${DAY_RANGE}|${DAY_LIST})${DAY})*(?![\\p{L}])`, 'giu');
+const DAY_WORD = new RegExp(`(?<![\\p{L}])${DAY}(?![\\p{L}])`, 'giu');
+const IS_DAY_RANGE = new RegExp(`^${DAY_RANGE}$`, 'i');
+const DAY_ONLY_LINE = new RegExp(`^(?:(?:on|op|am|le)\\s+)?${DAY}(?:(?:${DAY_RANGE}|${DAY_LIST})${DAY})*\\s*:?$`, 'iu');
+
+const TIME = '(\\d{1,2})(?:[:.h](\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)?';
+const TIME_RANGE = new RegExp(`${TIME}\\s*(?:uur|uhr|h)?\\s*(?:-|–|—|to|till|until|tot|bis|à)\\s*${TIME}\\s*(?:uur|uhr|h)?`, 'gi');
+const CLOSED = /^(closed|gesloten|geschlossen|fermé|ferme|by appointment only|op afspraak|nach vereinbarung)\b/i;
+const ALL_DAY = /^(open\s+)?(24\s*(hours|hrs|uur|stunden|h)|24\/7)\b/i;
+
+// Closing after this time counts as an evening opening
+const EVENING_FROM = 18 * 60;
+
+const COUNTRY_TIMEZONES = {
+    GB: 'Europe/London', IE: 'Europe/Dublin', NL: 'Europe/Amsterdam', BE: 'Europe/Brussels', LU: 'Europe/Luxembourg',
+    DE: 'Europe/Berlin', AT: 'Europe/Vienna', CH: 'Europe/Zurich', FR: 'Europe/Paris', ES: 'Europe/Madrid',
+    IT: 'Europe/Rome', DK: 'Europe/Copenhagen', SE: 'Europe/Stockholm', NO: 'Europe/Oslo', NZ: 'Pacific/Auckland'
+};
+
+// Countries spanning several zones: region code → zone, with the most populous zone as default
+const REGION_TIMEZONES = {
+    US: {
+        default: 'America/New_York',
+        'America/Chicago': ['AL', 'AR', 'IL', 'IA', 'KS', 'LA', 'MN', 'MS', 'MO', 'NE', 'ND', 'OK', 'SD', 'TN', 'TX', 'WI'],
+        'America/Denver': ['CO', 'MT', 'NM', 'UT', 'WY', 'ID'],
+        'America/Phoenix': ['AZ'],
+        'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+        'America/Anchorage': ['AK'],
+        'Pacific/Honolulu': ['HI']
+    },
+    CA: {
+        default: 'America/Toronto',
+        'America/Vancouver': ['BC'],
+        'America/Edmonton': ['AB'],
+        'America/Regina': ['SK'],
+        'America/Winnipeg': ['MB'],
+        'America/Halifax': ['NS', 'NB', 'PE'],
+        'America/St_Johns': ['NL']
+    },
+    AU: {
+        default: 'Australia/Sydney',
+        'Australia/Melbourne': ['VIC'],
+        'Australia/Brisbane': ['QLD'],
+        'Australia/Adelaide': ['SA'],
+        'Australia/Perth': ['WA'],
+        'Australia/Darwin': ['NT'],
+        'Australia/Hobart': ['TAS']
+    }
+};
+
+// ===== PARSING =====
+// Returns a weekly schedule, or null when the text holds no recognizable hours
+function parseOpeningHoursText(text) {
+    const weekly = emptyWeek();
+    let found = false;
+
+    hoursLines(text).forEach(line => {
+        daySegments(line).forEach(({ days, rest }) => {
+            const ranges = parseRanges(rest);
+            if (ranges === null) return;
+            days.forEach(day => {
+                // The first schedule on a page wins; later mentions are often phone hours or holidays
+                if (weekly[DAYS[day]].assigned) return;
+                weekly[DAYS[day]] = Object.assign(ranges, { assigned: true });
+                found = true;
+            });
+        });
+    });
+
+    return found ? stripAssigned(weekly) : null;
+}
+
+// Join a line holding only days ("Monday:") with the times on the line below
+function hoursLines(text) {
+    const lines = String(text || '').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const joined = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (DAY_ONLY_LINE.test(lines[i]) && lines[i + 1]) {
+            joined.push(`${lines[i]} ${lines[i + 1]}`);
+            i++;
+        } else {
+            joined.push(lines[i]);
+        }
+    }
+    return joined.filter(line => line.length <= 300);
+}
+
+// "Mon–Fri 9:00–17:00, Sat 10:00–14:00" → [{ days: [0..4], rest: '9:00–17:00, ' }, { days: [5], rest: '10:00–14:00' }]
+function daySegments(line) {
+    const specs = [];
+    let match;
+
+    DAY_SPEC.lastIndex = 0;
+    while ((match = DAY_SPEC.exec(line)) !== null) {
+        specs.push({ index: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+
+    return specs.map((spec, i) => ({
+        days: expandDays(spec.text),
+        rest: line.slice(spec.end, specs[i + 1] ? specs[i + 1].index : undefined).replace(/^[\s:.,-]+/, '')
+    }));
+}
+
+function expandDays(spec) {
+    const days = new Set();
+    const words = [];
+    let match;
+
+    DAY_WORD.lastIndex = 0;
+    while ((match = DAY_WORD.exec(spec)) !== null) {
+        words.push({ day: DAY_WORDS[match[1].toLowerCase()], index: match.index, end: match.index + match[0].length });
+    }
+
+    words.forEach((word, i) => {
+        const previous = words[i - 1];
+        // "Mon–Fri", "ma t/m vr": fill in every day between the two words
+        if (previous && IS_DAY_RANGE.test(spec.slice(previous.end, word.index))) {
+            for (let day = previous.day; day !== word.day; day = (day + 1) % 7) days.add(day);
+        }
+        days.add(word.day);
+    });
+
+    return Array.from(days);
+}
+
+// Time ranges right after the days; [] for "closed", null when the segment holds no hours at all
+function parseRanges(rest) {
+    const text = rest.trim();
+    if (CLOSED.test(text)) return [];
+    if (ALL_DAY.test(text)) return [{ opens: '00:00', closes: '24:00' }];
+
+    const ranges = [];
+    let match;
+    TIME_RANGE.lastIndex = 0;
+    while ((match = TIME_RANGE.exec(text)) !== null) {
+        // Only ranges at the start or joined by "and"/"," belong to these days
+        const before = text.slice(0, match.index).replace(/[\s,&;/]|and|en|und|et|uur|uhr/gi, '');
+        if (ranges.length === 0 && before.length > 0) break;
+        const range = toRange(match);
+        if (range) ranges.push(range);
+    }
+
+    return ranges.length > 0 ? ranges : null;
+}
+
+function toRange(match) {
+    const [, openHour, openMinute, openSuffix, closeHour, closeMinute, closeSuffix] = match;
+    // Bare numbers ("2-3") are not times: require minutes or am/pm on at least one side
+    if (!openMinute && !closeMinute && !openSuffix && !closeSuffix) return null;
+
+    const opens = toMinutes(openHour, openMinute, openSuffix || (closeSuffix && /a/i.test(closeSuffix) ? closeSuffix : null));
+    let closes = toMinutes(closeHour, closeMinute, closeSuffix);
+    if (opens === null || closes === null) return null;
+    // "9:00 - 5:00" without am/pm: the afternoon is meant
+    if (!closeSuffix && closes <= opens && closes + 12 * 60 > opens && closes < 12 * 60) closes += 12 * 60;
+
+    return { opens: formatTime(opens), closes: formatTime(closes) };
+}
+
+function toMinutes(hour, minute, suffix) {
+    let h = parseInt(hour, 10);
+    const m = minute ? parseInt(minute, 10) : 0;
+    if (suffix && /[ap]/i.test(suffix)) {
+        const pm = /p/i.test(suffix);
+        if (h === 12) h = pm ? 12 : 0;
+        else if (pm) h += 12;
+    }
+    if (h > 24 || m > 59 || (h === 24 && m > 0)) return null;
+    return h * 60 + m;
+}
+
+// ===== STRUCTURED DATA =====
+// facts.opening_hours from lib/structured-data: strings and { days, opens, closes } specifications
+function fromStructuredHours(entries = []) {
+    const weekly = emptyWeek();
+    let found = false;
+
+    entries.forEach(entry => {
+        if (typeof entry === 'string') {
+            const parsed = parseOpeningHoursText(entry);
+            if (!parsed) return;
+            DAYS.forEach(day => {
+                if (parsed[day].length > 0) {
+                    weekly[day] = weekly[day].concat(parsed[day]);
+                    found = true;
+                }
+            });
+            return;
+        }
+        if (!entry || !entry.opens || !entry.closes) return;
+        if (entry.valid_through && new Date(entry.valid_through) < new Date()) return;
+
+        const range = { opens: formatTime(toMinutes(...String(entry.opens).split(':'))), closes: formatTime(toMinutes(...String(entry.closes).split(':'))) };
+        if (!range.opens || !range.closes) return;
+        (entry.days || []).forEach(dayName => {
+            const day = DAY_WORDS[String(dayName).toLowerCase()];
+            if (day === undefined) return;
+            // opens == closes == 00:00 marks a closed day in schema.org
+            if (range.opens === range.closes) return;
+            weekly[DAYS[day]].push(range);
+            found = true;
+        });
+    });
+
+    return found ? weekly : null;
+}
+
+// ===== NORMALIZATION =====
+// Structured data wins; otherwise the page with the most days described
+function normalizeOpeningHours({ structured, structuredSource, textPages = [], country, region } = {}) {
+    const timezone = timezoneFor(country, region);
+    const fromStructured = fromStructuredHours(structured || []);
+    if (fromStructured) {
+        return { timezone, weekly: fromStructured, source: structuredSource?.source, page: structuredSource?.page };
+    }
+
+    let best = null;
+    textPages.forEach(page => {
+        const weekly = parseOpeningHoursText(page.text);
+        if (!weekly) return;
+        const days = DAYS.filter(day => weekly[day].length > 0).length;
+        if (!best || days > best.days) best = { weekly, page: page.url, days };
+    });
+
+    return best ? { timezone, weekly: best.weekly, page: best.page } : null;
+}
+
+function hoursFlags(hours) {
+    if (!hours?.weekly) return { open_weekends: null, open_evenings: null, weekly_open_hours: null };
+
+    const ranges = DAYS.flatMap(day => hours.weekly[day] || []);
+    const minutes = ranges.reduce((sum, range) => {
+        const opens = toMinutes(...range.opens.split(':'));
+        let closes = toMinutes(...range.closes.split(':'));
+        if (closes <= opens) closes += 24 * 60;
+        return sum + closes - opens;
+    }, 0);
+
+    return {
+        open_weekends: (hours.weekly.saturday?.length || 0) + (hours.weekly.sunday?.length || 0) > 0,
+        open_evenings: ranges.some(range => toMinutes(...range.closes.split(':')) > EVENING_FROM),
+        weekly_open_hours: Math.round(minutes / 30) / 2
+    };
+}
+
+function timezoneFor(country, region) {
+    const code = String(country || '').toUpperCase();
+    if (COUNTRY_TIMEZONES[code]) return COUNTRY_TIMEZONES[code];
+
+    const regions = REGION_TIMEZONES[code];
+    if (!regions) return null;
+    const regionCode = String(region || '').toUpperCase();
+    const zone = Object.keys(regions).find(key => key !== 'default' && regions[key].includes(regionCode));
+    return zone || regions.default;
+}
+
+// "Mon–Fri 08:00–17:30; Sat 10:00–14:00" for logs and text-only targets
+function formatOpeningHours(hours) {
+    if (!hours?.weekly) return '';
+
+    const label = day => day.slice(0, 1).toUpperCase() + day.slice(1, 3);
+    const key = day => (hours.weekly[day] || []).map(range => `${range.opens}–${range.closes}`).join(', ');
+    const groups = [];
+    DAYS.forEach(day => {
+        const last = groups[groups.length - 1];
+        if (last && last.key === key(day)) last.to = day;
+        else groups.push({ from: day, to: day, key: key(day) });
+    });
+
+    return groups
+        .filter(group => group.key)
+        .map(group => `${label(group.from)}${group.to !== group.from ? `–${label(group.to)}` : ''} ${group.key}`)
+        .join('; ');
+}
+
+// ===== HELPERS =====
+function emptyWeek() {
+    return Object.fromEntries(DAYS.map(day => [day, []]));
+}
+
+function stripAssigned(weekly) {
+    return Object.fromEntries(DAYS.map(day => [day, weekly[day].map(range => ({ opens: range.opens, closes: range.closes }))]));
+}
+
+function formatTime(minutes) {
+    if (minutes === null || minutes === undefined) return null;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    normalizeOpeningHours,
+    parseOpeningHoursText,
+    fromStructuredHours,
+    hoursFlags,
+    timezoneFor,
+    formatOpeningHours,
+    DAYS
+};
@@ -0,0 +1,192 @@
+/**
+ * 💳 INSURANCE, PAYMENT & LANGUAGES
+ *
+ * What a practice accepts and offers, for picking the right sales script:
+ * - insurers: named insurers and plans (Bupa, Denplan, Zilveren Kruis, AOK, Delta Dental, ...)
+ * - payment_options: payment methods and financing (Klarna, Tabeo, CareCredit, 0% finance, iDEAL, ...)
+ * - funding: NHS / private / insurance mentions, summarized as payment_model
+ *   (private-pay | insurance | public | mixed)
+ * - languages_spoken: languages the team speaks ("We speak Polish and Arabic", "Wij spreken Turks")
+ */
+
+// Name → pattern; short acronyms are case-sensitive so "CZ" or "TK" don't match ordinary words
+const INSURERS = {
+    'Bupa': /\bBupa\b/i,
+    'AXA Health': /\bAXA(?:\s+(?:Health|PPP))?\b/,
+    'Aviva': /\bAviva\b/i,
+    'Vitality': /\bVitality(?:\s*Health)?\b/,
+    'WPA': /\bWPA\b/,
+    'Simplyhealth': /\bSimply\s?health\b/i,
+    'Denplan': /\bDenplan\b/i,
+    'Cigna': /\bCigna\b/i,
+    'Allianz': /\bAllianz\b/i,
+    'Zilveren Kruis': /\bZilveren Kruis\b/i,
+    'CZ': /\bCZ\b/,
+    'VGZ': /\bVGZ\b/,
+    'Menzis': /\bMenzis\b/i,
+    'ONVZ': /\bONVZ\b/,
+    'DSW': /\bDSW\b/,
+    'a.s.r.': /\ba\.s\.r\.(?=\s|$)/i,
+    'Interpolis': /\bInterpolis\b/i,
+    'FBTO': /\bFBTO\b/,
+    'Univé': /\bUniv[ée](?![\p{L}])/u,
+    'Zorg en Zekerheid': /\bZorg en Zekerheid\b/i,
+    'AOK': /\bAOK\b/,
+    'Techniker Krankenkasse': /\bTechniker Krankenkasse\b|\bTK\b(?=[\s,.)])/,
+    'Barmer': /\bBarmer\b/i,
+    'DAK': /\bDAK(?:-Gesundheit)?\b/,
+    'IKK': /\bIKK\b/,
+    'BKK': /\bBKK\b/,
+    'Delta Dental': /\bDelta Dental\b/i,
+    'Aetna': /\bAetna\b/i,
+    'MetLife': /\bMet\s?Life\b/i,
+    'Guardian': /\bGuardian (?:Dental|Life|insurance)\b/i,
+    'UnitedHealthcare': /\bUnited\s?Health\s?care\b/i,
+    'Humana': /\bHumana\b/i,
+    'Blue Cross Blue Shield': /\bBlue Cross(?: Blue Shield)?\b|\bBCBS\b/i,
+    'Medicare': /\bMedicare\b/,
+    'Medicaid': /\bMedicaid\b/,
+    'Medibank': /\bMedibank\b/i,
+    'HCF': /\bHCF\b/,
+    'nib': /\bnib\b(?= (?:health|members|insurance))/i,
+    'Mutuelle': /\bmutuelles?\b/i
+};
+
+const PAYMENT_OPTIONS = {
+    'Klarna': { pattern: /\bKlarna\b/i, financing: true },
+    'Tabeo': { pattern: /\bTabeo\b/i, financing: true },
+    'Chrysalis Finance': { pattern: /\bChrysalis\b/i, financing: true },
+    'Medenta': { pattern: /\bMedenta\b/i, financing: true },
+    'CareCredit': { pattern: /\bCare\s?Credit\b/i, financing: true },
+    'Sunbit': { pattern: /\bSunbit\b/i, financing: true },
+    'Alphaeon Credit': { pattern: /\bAlphaeon\b/i, financing: true },
+    'Afterpay': { pattern: /\bAfterpay\b/i, financing: true },
+    'Clearpay': { pattern: /\bClearpay\b/i, financing: true },
+    'Finance plans': { pattern: /\b(?:0\s?%\s*(?:interest\s*)?finance|interest[- ]free (?:credit|finance)|finance (?:plans?|options?|available)|payment plans?|spread the cost|betalen in termijnen|gespreid betalen|ratenzahlung|teilzahlung|paiement en (?:plusieurs fois|\d+ fois))\b/i, financing: true },
+    'Credit/debit card': { pattern: /\b(?:credit|debit) cards?\b|\bVisa\b|\bMastercard\b|\bAmex\b|\bAmerican Express\b|\bpinbetaling\b|\bpinnen\b|\bEC-Karte\b|\bKartenzahlung\b|\bcarte bancaire\b/i },
+    'Cash': { pattern: /\bcash\b|\bcontant\b|\bbarzahlung\b|\bbar bezahlen\b|\besp[èe]ces(?![\p{L}])/iu },
+    'PayPal': { pattern: /\bPayPal\b/i },
+    'Apple Pay': { pattern: /\bApple Pay\b/i },
+    'iDEAL': { pattern: /\biDEAL\b/ },
+    'Bank transfer': { pattern: /\bbank transfer\b|\bbankoverschrijving\b|(?<![\p{L}])überweisung\b|\bvirement\b/iu }
+};
+
+const FUNDING = {
+    nhs: /\bNHS\b/,
+    private: /\bprivate(?:ly)? (?:patients?|treatment|practice|care|fees|only)\b|\bself[- ]pay\b|\bprivatpraxis\b|\bprivatpatienten\b|\bselbstzahler\b|\bprivé(?:praktijk|kliniek)\b|\bzelf betalen\b|\bnon conventionn[ée](?![\p{L}])/iu,
+    insurance: /\binsurance (?:accepted|welcome|patients)\b|\bwe accept (?:most |all )?(?:major )?insurance|\bin[- ]network\b|\bvergoed(?:ing)? (?:door|via) (?:de |uw )?zorgverzekeraar|\bbasisverzekering\b|\baanvullende verzekering\b|\bkassenpatienten\b|\balle kassen\b|\bgesetzlich versichert|\bkassenpraxis\b|\bconventionn[ée] secteur\b|\btiers payant\b/iu
+};
+
+// "We no longer accept NHS patients", "non-NHS": these mentions mean private care, not NHS funding
+const NO_NHS = /\b(?:no longer|(?:do|does|are|is)(?: not|n't)|cannot|can't|unable to|not)\s+(?:currently\s+)?(?:accept(?:ing)?|tak(?:e|ing)|offer(?:ing)?|provid(?:e|ing)|see(?:ing)?|treat(?:ing)?)\s+(?:any\s+)?(?:new\s+)?NHS\b|\bnon[- ]NHS\b|\bno NHS\b/gi;
+
+// Language names (en, nl, de, fr) → English name
+const LANGUAGE_NAMES = {
+    'English': ['english', 'engels', 'englisch', 'anglais'],
+    'Dutch': ['dutch', 'nederlands', 'niederländisch', 'néerlandais'],
+    'German': ['german', 'duits', 'deutsch', 'allemand'],
+    'French': ['french', 'frans', 'französisch', 'français'],
+    'Spanish': ['spanish', 'spaans', 'spanisch', 'espagnol'],
+    'Italian': ['italian', 'italiaans', 'italienisch', 'italien'],
+    'Portuguese': ['portuguese', 'portugees', 'portugiesisch', 'portugais'],
+    'Polish': ['polish', 'pools', 'polnisch', 'polonais'],
+    'Romanian': ['romanian', 'roemeens', 'rumänisch', 'roumain'],
+    'Bulgarian': ['bulgarian', 'bulgaars', 'bulgarisch', 'bulgare'],
+    'Greek': ['greek', 'grieks', 'griechisch', 'grec'],
+    'Turkish': ['turkish', 'turks', 'türkisch', 'turc'],
+    'Arabic': ['arabic', 'arabisch', 'arabe'],
+    'Farsi': ['farsi', 'persian', 'perzisch', 'persisch', 'persan'],
+    'Russian': ['russian', 'russisch', 'russe'],
+    'Ukrainian': ['ukrainian', 'oekraïens', 'ukrainisch', 'ukrainien'],
+    'Hindi': ['hindi'],
+    'Urdu': ['urdu', 'ourdou'],
+    'Punjabi': ['punjabi', 'panjabi', 'pendjabi'],
+    'Gujarati': ['gujarati'],
+    'Bengali': ['bengali', 'bengaals', 'bengalisch'],
+    'Tamil': ['tamil', 'tamoul'],
+    'Mandarin': ['mandarin', 'chinese', 'chinees', 'chinesisch', 'chinois'],
+    'Cantonese': ['cantonese', 'kantonees', 'kantonesisch', 'cantonais'],
+    'Japanese': ['japanese', 'japans', 'japanisch', 'japonais'],
+    'Korean': ['korean', 'koreaans', 'koreanisch', 'coréen'],
+    'Vietnamese': ['vietnamese', 'vietnamees', 'vietnamesisch', 'vietnamien'],
+    'Tagalog': ['tagalog', 'filipino'],
+    'Hebrew': ['hebrew', 'hebreeuws', 'hebräisch', 'hébreu'],
+    'Swedish': ['swedish', 'zweeds', 'schwedisch', 'suédois'],
+    'Danish': ['danish', 'deens', 'dänisch', 'danois'],
+    'Norwegian': ['norwegian', 'noors', 'norwegisch', 'norvégien'],
+    'Hungarian': ['hungarian', 'hongaars', 'ungarisch', 'hongrois'],
+    'Czech': ['czech', 'tsjechisch', 'tschechisch', 'tchèque'],
+    'Croatian': ['croatian', 'kroatisch', 'croate'],
+    'Serbian': ['serbian', 'servisch', 'serbisch', 'serbe'],
+    'Albanian': ['albanian', 'albanees', 'albanisch', 'albanais'],
+    'Berber': ['berber', 'tamazight', 'berbère'],
+    'Somali': ['somali', 'somalisch'],
+    'Sign language': ['sign language', 'bsl', 'asl', 'gebarentaal', 'gebärdensprache', 'langue des signes']
+};
+
+// Phrases that introduce the languages a team speaks
+const LANGUAGE_TRIGGER = /\b(?:we|our (?:team|staff|dentists?|doctors?|clinicians?)|(?:dr\.?|mrs?\.?|ms\.?) [\p{L}-]+(?: [\p{L}-]+)?) (?:also |can )?speaks?\b|\blanguages?(?: spoken)?\s*:|\bspoken languages\b|\bwe (?:can )?(?:help|treat|see) (?:you|patients) in\b|\b(?:wij|we) spreken\b|\bspreekt (?:ook )?\b|\btalen\s*:|\bwir sprechen\b|\bsprachen\s*:|\bgesprochene sprachen\b|\bnous parlons\b|\blangues(?: parlées)?\s*:|\bparle(?:nt)?\b/giu;
+const LANGUAGE_WINDOW = 160;
+
+// ===== EXTRACTION =====
+function extractCoverage(text) {
+    const content = String(text || '');
+
+    const insurers = Object.keys(INSURERS).filter(name => INSURERS[name].test(content));
+    const paymentOptions = Object.keys(PAYMENT_OPTIONS).filter(name => PAYMENT_OPTIONS[name].pattern.test(content));
+    const financing = paymentOptions.filter(name => PAYMENT_OPTIONS[name].financing);
+    const withoutNoNhs = content.replace(NO_NHS, ' ');
+    const funding = Object.keys(FUNDING).filter(kind => FUNDING[kind].test(withoutNoNhs));
+    if (withoutNoNhs !== content && !funding.includes('private')) funding.push('private');
+    if (insurers.length > 0 && !funding.includes('insurance') && !insurers.every(name => name === 'Denplan')) funding.push('insurance');
+    // Denplan and similar membership plans are private dentistry
+    if (insurers.includes('Denplan') && !funding.includes('private')) funding.push('private');
+
+    return {
+        insurers,
+        payment_options: paymentOptions,
+        financing_available: financing.length > 0,
+        funding,
+        payment_model: paymentModel(funding),
+        languages_spoken: extractLanguagesSpoken(content)
+    };
+}
+
+function paymentModel(funding) {
+    if (funding.length === 0) return null;
+    if (funding.length > 1) return 'mixed';
+    return { nhs: 'public', private: 'private-pay', insurance: 'insurance' }[funding[0]];
+}
+
+function extractLanguagesSpoken(content) {
+    const languages = new Set();
+    let match;
+
+    LANGUAGE_TRIGGER.lastIndex = 0;
+    while ((match = LANGUAGE_TRIGGER.exec(content)) !== null) {
+        // Only the rest of the sentence after the trigger
+        const window = content
+            .slice(match.index + match[0].length, match.index + match[0].length + LANGUAGE_WINDOW)
+            .split(/[.!?\n](?:\s|$)/)[0]
+            .toLowerCase();
+
+        Object.entries(LANGUAGE_NAMES).forEach(([language, names]) => {
+            if (names.some(name => new RegExp(`(?<![\\p{L}])${name}(?![\\p{L}])`, 'u').test(window))) languages.add(language);
+        });
+    }
+
+    return Array.from(languages);
+}
+
+// Case-insensitive "does this lead list contain value" for API filters
+function listIncludes(list, value) {
+    const wanted = String(value || '').toLowerCase();
+    return (list || []).some(item => String(item).toLowerCase() === wanted);
+}
+
+module.exports = {
+    extractCoverage,
+    listIncludes,
+    INSURERS,
+    PAYMENT_OPTIONS
+};
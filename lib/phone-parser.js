@@ -0,0 +1,205 @@
+/**
+ * 📞 PHONE NUMBER PARSER
+ *
+ * Finds every phone-like number in page text and normalizes it to E.164.
+ * - Rejects digit runs that are not phones (dates, opening hours, postcodes, registry/VAT numbers)
+ * - Uses a country hint (from TLD, location or page language) for national-format numbers
+ * - National-format numbers that cannot be placed are kept as written with `e164: null, country: null`
+ * - Guesses the line type (landline, mobile, fax, toll_free) from prefix and label
+ * - Picks the best number as primary and keeps the rest as alternates
+ */
+
+// Country → dialing code, national number lengths (without trunk 0) and prefix rules
+const COUNTRIES = {
+    US: { code: '1', lengths: [10], trunk: null, mobile: null, tollFree: /^8(00|33|44|55|66|77|88)/ },
+    CA: { code: '1', lengths: [10], trunk: null, mobile: null, tollFree: /^8(00|33|44|55|66|77|88)/ },
+    GB: { code: '44', lengths: [9, 10], trunk: '0', mobile: /^7[1-57-9]/, tollFree: /^80[08]/ },
+    IE: { code: '353', lengths: [7, 8, 9], trunk: '0', mobile: /^8[3-9]/, tollFree: /^1800/ },
+    NL: { code: '31', lengths: [9], trunk: '0', mobile: /^6/, tollFree: /^800/ },
+    BE: { code: '32', lengths: [8, 9], trunk: '0', mobile: /^4[5-9]/, tollFree: /^800/ },
+    DE: { code: '49', lengths: [6, 7, 8, 9, 10, 11], trunk: '0', mobile: /^1[5-7]/, tollFree: /^800/ },
+    FR: { code: '33', lengths: [9], trunk: '0', mobile: /^[67]/, tollFree: /^80/ },
+    AU: { code: '61', lengths: [9], trunk: '0', mobile: /^4/, tollFree: /^1[38]00/ }
+};
+
+// Longest dialing codes first so "353" wins over "3"
+const DIALING_CODES = Object.entries(COUNTRIES)
+    .filter(([country]) => country !== 'CA')
+    .map(([country, rules]) => ({ country, code: rules.code }))
+    .sort((a, b) => b.code.length - a.code.length);
+
+const TLD_COUNTRIES = [
+    ['.co.uk', 'GB'], ['.uk', 'GB'], ['.com.au', 'AU'], ['.au', 'AU'], ['.ca', 'CA'], ['.nl', 'NL'],
+    ['.de', 'DE'], ['.fr', 'FR'], ['.be', 'BE'], ['.ie', 'IE'], ['.us', 'US']
+];
+
+// Languages spoken mainly in one supported country; English is too widespread to guess from
+const LANGUAGE_COUNTRIES = { nl: 'NL', de: 'DE', fr: 'FR' };
+
+const PHONE_LABEL = /(tel(?:ephone|efoon|efon)?|ph(?:one)?|call|ring|bel|appel|t\.|p\.|mob(?:ile)?|mobiel|handy|gsm|whatsapp|☎|📞)\W*$/i;
+const FAX_LABEL = /(fax|telefax)\W*$/i;
+const NON_PHONE_LABEL = /(kvk|btw|vat|iban|bic|swift|abn|acn|ust-?id|steuer|siret|siren|company (?:no|number)|reg(?:istration)?\.? ?(?:no|nr|number)|postcode|zip|agb|big|gmc|gdc|ahpra|npi|license|licence)[\s.:#-]*$/i;
+
+// ===== COUNTRY INFERENCE =====
+function countryFromHostname(hostname = '') {
+    const host = String(hostname).toLowerCase().replace(/\.$/, '');
+    const match = TLD_COUNTRIES.find(([tld]) => host.endsWith(tld));
+    return match ? match[1] : null;
+}
+
+// A region in <html lang="nl-BE"> names the country; otherwise the page language decides (nl → NL)
+function countryFromLanguage(language, htmlLang) {
+    const region = String(htmlLang || '').split(/[-_]/)[1]?.toUpperCase();
+    if (region === 'UK') return 'GB';
+    if (region && COUNTRIES[region]) return region;
+    return LANGUAGE_COUNTRIES[String(language || '').toLowerCase()] || null;
+}
+
+// ===== PARSING =====
+function findPhoneNumbers(text = '', options = {}) {
+    const defaultCountry = options.defaultCountry || null;
+    const candidatePattern = /(?:\+|\b00)?\(?\d[\d\s().\/-]{5,22}\d/g;
+    const found = new Map();
+    let match;
+
+    while ((match = candidatePattern.exec(text)) !== null) {
+        const raw = match[0].trim();
+        const before = text.substring(Math.max(0, match.index - 30), match.index);
+        const after = text.substring(match.index + match[0].length, match.index + match[0].length + 3);
+
+        if (isNonPhone(raw, before, after)) continue;
+
+        const labelled = PHONE_LABEL.test(before) || FAX_LABEL.test(before);
+        const parsed = parsePhoneNumber(raw, defaultCountry) || unplacedPhone(raw, defaultCountry, labelled);
+        if (!parsed) continue;
+
+        if (FAX_LABEL.test(before)) parsed.type = 'fax';
+        parsed.labelled = labelled;
+
+        const key = parsed.e164 || parsed.raw.replace(/\D/g, '');
+        const existing = found.get(key);
+        if (existing) {
+            existing.occurrences++;
+            existing.labelled = existing.labelled || parsed.labelled;
+            if (parsed.type === 'fax') existing.type = 'fax';
+        } else {
+            found.set(key, { ...parsed, occurrences: 1, position: match.index });
+        }
+    }
+
+    const ranked = Array.from(found.values()).sort((a, b) => scorePhone(b, defaultCountry) - scorePhone(a, defaultCountry));
+    const primary = ranked.find(phone => phone.type !== 'fax') || null;
+
+    return {
+        primary: primary ? publicPhone(primary) : null,
+        alternates: ranked.filter(phone => phone !== primary).map(publicPhone),
+        country: defaultCountry
+    };
+}
+
+function parsePhoneNumber(raw, defaultCountry = null) {
+    if (!raw) return null;
+
+    let text = String(raw).trim();
+    // "+44 (0)20 ..." - the bracketed trunk prefix is not dialled internationally
+    text = text.replace(/^(\+\d{1,3})\s*\(0\)\s*/, '$1 ');
+
+    const international = /^(\+|00)/.test(text);
+    let digits = text.replace(/\D/g, '');
+    if (text.startsWith('00')) digits = digits.substring(2);
+
+    let country = null;
+    let national = null;
+
+    if (international) {
+        const dialing = DIALING_CODES.find(({ code }) => digits.startsWith(code));
+        if (!dialing) {
+            // Unknown country: accept anything that is a plausible E.164 length
+            return digits.length >= 8 && digits.length <= 15
+                ? { e164: `+${digits}`, country: null, type: 'unknown', raw: String(raw).trim() }
+                : null;
+        }
+        country = dialing.country === 'US' && ['CA', 'US'].includes(defaultCountry) ? defaultCountry : dialing.country;
+        national = digits.substring(dialing.code.length);
+    } else {
+        country = defaultCountry;
+        if (!country) return null;
+
+        const rules = COUNTRIES[country];
+        national = digits;
+        if (rules.trunk) {
+            if (!national.startsWith(rules.trunk)) return null;
+            national = national.substring(rules.trunk.length);
+        } else if (national.length === 11 && national.startsWith('1')) {
+            national = national.substring(1);
+        }
+    }
+
+    const rules = COUNTRIES[country];
+    if (!rules.lengths.includes(national.length)) return null;
+    if (/^(\d)\1+$/.test(national)) return null;
+
+    return {
+        e164: `+${rules.code}${national}`,
+        country,
+        type: lineType(rules, national),
+        raw: String(raw).trim()
+    };
+}
+
+// Without a country a national number cannot become E.164, but a labelled one ("Tel: 020 7946 0000")
+// or one with a trunk 0 is still the practice's number: keep it as written rather than losing it
+function unplacedPhone(raw, defaultCountry, labelled) {
+    if (defaultCountry) return null;
+    const text = String(raw).trim();
+    const digits = text.replace(/\D/g, '');
+    if (/^(\+|00)/.test(text) || digits.length < 8 || digits.length > 12 || /^(\d)\1+$/.test(digits)) return null;
+    if (!labelled && !digits.startsWith('0')) return null;
+    return { e164: null, country: null, type: 'unknown', raw: text };
+}
+
+function lineType(rules, national) {
+    if (rules.tollFree && rules.tollFree.test(national)) return 'toll_free';
+    if (!rules.mobile) return 'unknown';
+    return rules.mobile.test(national) ? 'mobile' : 'landline';
+}
+
+// Digit runs that look like dates, hours, years, postcodes or registry numbers
+function isNonPhone(raw, before, after) {
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) return true;
+    if (NON_PHONE_LABEL.test(before)) return true;
+    if (/^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(raw)) return true;
+    if (/^\d{4}[./-]\d{1,2}[./-]\d{1,2}$/.test(raw)) return true;
+    if (/\d{1,2}[.:]\d{2}\s*[-–]\s*\d{1,2}[.:]\d{2}/.test(raw)) return true;
+    if (/^(19|20)\d{2}\s*[-–/]\s*(19|20)\d{2}$/.test(raw)) return true;
+    if (/^\d{1,3}(?:[.,]\d{3})+$/.test(raw)) return true;
+    if (/^[:h]/i.test(after)) return true;
+    return false;
+}
+
+function scorePhone(phone, defaultCountry) {
+    let score = 0;
+    if (phone.labelled) score += 10;
+    if (phone.type === 'landline' || phone.type === 'unknown') score += 4;
+    if (phone.type === 'mobile') score += 3;
+    if (phone.type === 'toll_free') score += 2;
+    if (defaultCountry && phone.country === defaultCountry) score += 3;
+    if (!phone.e164) score -= 3;
+    score += Math.min(phone.occurrences, 3);
+    // Earlier on the page (header/contact block) is a weak tie-breaker
+    score -= Math.min(phone.position / 10000, 1);
+    return score;
+}
+
+function publicPhone(phone) {
+    return { e164: phone.e164, type: phone.type, country: phone.country, raw: phone.raw };
+}
+
+module.exports = {
+    findPhoneNumbers,
+    parsePhoneNumber,
+    countryFromHostname,
+    countryFromLanguage,
+    COUNTRIES
+};
@@ -0,0 +1,122 @@
+/**
+ * 🏷️ PRACTICE NAME EXTRACTION
+ *
+ * Picks the real practice name from what the website says about itself:
+ * JSON-LD/microdata `name`, og:site_name, the footer copyright line, <title> and Exa result titles.
+ * - Titles are split on separators ("Contact | Smile Dental") and generic parts ("Home") dropped
+ * - Candidates are grouped, weighted by source and boosted when sources agree or match the domain
+ * - The hostname heuristic is only used when nothing else yields a usable name
+ */
+
+const SOURCE_WEIGHTS = {
+    'json-ld': 0.95,
+    microdata: 0.9,
+    opengraph: 0.8,
+    copyright: 0.7,
+    title: 0.6,
+    'exa-title': 0.55
+};
+
+const TITLE_SEPARATORS = /\s+[|–—·•:»]\s+|\s+-\s+/;
+const GENERIC_PARTS = /^(home|homepage|welcome|welkom|willkommen|bienvenue|startseite|accueil|contact|contact us|kontakt|about|about us|over ons|über uns|services|diensten|leistungen|index|untitled|website|wordpress|just another wordpress site|page not found|404)$/i;
+const LEGAL_SUFFIX = /[\s,]+(?:b\.?v\.?|n\.?v\.?|gmbh(?:\s*&\s*co\.?\s*kg)?|gbr|ug|e\.?k\.?|ltd\.?|limited|llc|l\.?l\.?p\.?|inc\.?|plc|pty\.?\s*ltd\.?|pc|p\.?c\.?|s\.?a\.?r\.?l\.?|sas|s\.?a\.?|vof|v\.o\.f\.?)$/i;
+// "© 2024 Smile Dental B.V. All rights reserved": the name runs until a terminator; a period only ends it
+// when a capitalized word follows and it is not an abbreviation ("Dr. Müller")
+const COPYRIGHT = /(?:©|\(c\)|copyright)\s*(?:©\s*)?(?:\d{4}(?:\s*[-–]\s*\d{4})?\s*)?([^\n|©]{2,80}?)\s*(?:\d{4}\s*)?(?:(?<!\b(?:Dr|Drs|St|Mr|Mrs|Ms|Prof))\.\s+(?=\p{Lu})|\s+all rights|\s+alle rechten|\s+alle rechte|\s+tous droits|\s+[-|]\s+|[|\n]|\.?$)/giu;
+// Title parts that describe rather than name ("Best Cosmetic Surgery in London")
+const DESCRIPTIVE = /\b(best|top|leading|affordable|cheap|near|in|for|beste|goedkope|in der|für|meilleur|à)\b/i;
+
+// ===== CANDIDATES =====
+function titleCandidates(title, source = 'title', page) {
+    if (!title) return [];
+    return String(title)
+        .split(TITLE_SEPARATORS)
+        .map(part => cleanName(part))
+        .filter(Boolean)
+        .map(name => ({ name, source, page }));
+}
+
+function copyrightCandidates(text, page) {
+    const candidates = [];
+    let match;
+
+    COPYRIGHT.lastIndex = 0;
+    while ((match = COPYRIGHT.exec(String(text || ''))) !== null) {
+        const name = cleanName(match[1].replace(/\b(19|20)\d{2}\b/g, ''));
+        if (name) candidates.push({ name, source: 'copyright', page });
+    }
+
+    return candidates;
+}
+
+function cleanName(value) {
+    if (!value) return null;
+
+    const name = String(value)
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s"'“”‘’,.:;-]+|[\s"'“”‘’,.:;-]+$/g, '')
+        .replace(LEGAL_SUFFIX, '')
+        .trim();
+
+    if (name.length < 2 || name.length > 60) return null;
+    if (GENERIC_PARTS.test(name)) return null;
+    if (name.split(' ').length > 7) return null;
+    if (/^(all rights|alle rechten|alle rechte|tous droits)/i.test(name)) return null;
+    if (!/[a-zà-ÿ]/i.test(name)) return null;
+    return name;
+}
+
+// ===== RANKING =====
+function rankPracticeNames(candidates, hostname = '') {
+    const domainTokens = tokens(String(hostname).replace(/^www\./, '').split('.').slice(0, -1).join(' '));
+    const groups = new Map();
+
+    candidates.forEach(candidate => {
+        const key = tokens(candidate.name).join(' ');
+        if (!key) return;
+
+        const group = groups.get(key) || { name: candidate.name, sources: new Set(), weight: 0, page: candidate.page, source: candidate.source, count: 0 };
+        const weight = SOURCE_WEIGHTS[candidate.source] || 0.5;
+        if (weight > group.weight) {
+            Object.assign(group, { name: candidate.name, weight, page: candidate.page, source: candidate.source });
+        }
+        group.sources.add(candidate.source);
+        group.count++;
+        groups.set(key, group);
+    });
+
+    return Array.from(groups.entries())
+        .map(([key, group]) => {
+            const nameTokens = key.split(' ');
+            const overlap = domainTokens.length > 0
+                ? nameTokens.filter(token => domainTokens.some(domainToken => domainToken.includes(token) || token.includes(domainToken))).length / nameTokens.length
+                : 0;
+            // Agreement between sources and a name that matches the domain are the strongest signals
+            const descriptive = ['title', 'exa-title'].includes(group.source) && DESCRIPTIVE.test(group.name) ? 0.2 : 0;
+            const score = group.weight + 0.1 * (group.sources.size - 1) + 0.05 * Math.min(group.count - 1, 3) + 0.2 * overlap - descriptive;
+            return {
+                name: group.name,
+                source: group.source,
+                page: group.page,
+                sources: Array.from(group.sources),
+                score: Math.round(score * 100) / 100
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+function tokens(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1);
+}
+
+module.exports = {
+    titleCandidates,
+    copyrightCandidates,
+    rankPracticeNames,
+    cleanName
+};
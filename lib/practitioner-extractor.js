@@ -0,0 +1,217 @@
+/**
+ * 👩‍⚕️ PRACTITIONER & STAFF EXTRACTION
+ *
+ * Finds the clinicians and owners named on a practice website.
+ * - schema.org Person nodes (employee, founder, member, physician) from JSON-LD/microdata
+ * - "Dr. Jane Smith", "Prof. Dr. K. Müller" (honorific before the name)
+ * - "Jane Smith, DDS" / "John Doe BDS MJDF" (post-nominal letters after the name)
+ * - Team-page blocks: a name line followed by a role line ("Sanne de Vries" / "Tandarts")
+ * Roles in English, Dutch, German and French map to one English role name.
+ */
+
+// "O'Neill", "McDonald" and "MacLeod" have a capital inside the word
+const NAME_WORD = "(?:\\p{Lu}['’]|Ma?c)?\\p{Lu}[\\p{Ll}'’-]+(?:-\\p{Lu}[\\p{Ll}'’]+)?";
+const INITIALS = '(?:\\p{Lu}\\.\\s*){1,3}';
+const PARTICLE = "(?:van|de|der|den|von|zu|du|le|la|ten|ter|'t)";
+const NAME = `(?:${INITIALS})?(?:${PARTICLE}\\s+){0,2}${NAME_WORD}(?:\\s+(?:${PARTICLE}\\s+){0,2}${NAME_WORD}){0,3}`;
+const HONORIFIC = '(?:Prof\\.?\\s*(?:Dr\\.?\\s*)?|Dr\\.?\\s*(?:med\\.?\\s*(?:dent\\.?\\s*)?)?|Drs\\.?|Mr\\.?|Mrs\\.?|Ms\\.?|Miss)';
+const POSTNOMINAL = '(?:DDS|DMD|MD|DO|BDS|BDSc|MBBS|MBChB|MJDF|MFDS|FDS|LDS|FRCS(?:Ed)?|FRACS|FACS|FRCP|PhD|MSc|BSc|DPT|PT|RN|NP|PA-C|MRCP)';
+
+const HONORIFIC_NAME = new RegExp(`(?<![\\p{L}])(${HONORIFIC})\\s+(${NAME})`, 'gu');
+const NAME_POSTNOMINALS = new RegExp(`(${NAME})\\s*,?\\s+(${POSTNOMINAL}(?:\\s*,?\\s*${POSTNOMINAL})*)(?![\\p{L}])`, 'gu');
+const NAME_LINE = new RegExp(`^(?:(${HONORIFIC})\\s+)?(${NAME})$`, 'u');
+
+// Role → words that name it (en, nl, de, fr)
+const ROLES = {
+    'Dentist': ['dentist', 'general dentist', 'tandarts', 'tandarts-algemeen practicus', 'zahnarzt', 'zahnärztin', 'dentiste', 'chirurgien-dentiste'],
+    'Orthodontist': ['orthodontist', 'kieferorthopäde', 'kieferorthopädin', 'orthodontiste'],
+    'Oral Surgeon': ['oral surgeon', 'kaakchirurg', 'mkg-chirurg', 'oralchirurg', 'chirurgien oral'],
+    'Dental Hygienist': ['dental hygienist', 'hygienist', 'mondhygiënist', 'mondhygienist', 'dentalhygienikerin', 'prophylaxeassistentin', 'hygiéniste dentaire'],
+    'Plastic Surgeon': ['plastic surgeon', 'cosmetic surgeon', 'plastisch chirurg', 'plastischer chirurg', 'chirurgien plasticien', 'chirurgien esthétique'],
+    'Surgeon': ['surgeon', 'chirurg', 'chirurgien'],
+    'Dermatologist': ['dermatologist', 'dermatoloog', 'huidarts', 'dermatologe', 'dermatologin', 'hautarzt', 'hautärztin', 'dermatologue'],
+    'Aesthetic Doctor': ['aesthetic doctor', 'aesthetic practitioner', 'cosmetic doctor', 'cosmetisch arts', 'esthetisch arts', 'ästhetischer arzt', 'médecin esthétique'],
+    'Physiotherapist': ['physiotherapist', 'physical therapist', 'fysiotherapeut', 'physiotherapeut', 'physiotherapeutin', 'kinésithérapeute', 'kiné'],
+    'Chiropractor': ['chiropractor', 'chiropraktiker', 'chiropracteur'],
+    'Nurse': ['nurse', 'nurse practitioner', 'verpleegkundige', 'krankenschwester', 'pflegekraft', 'infirmière', 'infirmier'],
+    'Doctor': ['doctor', 'physician', 'gp', 'general practitioner', 'huisarts', 'arts', 'arzt', 'ärztin', 'médecin'],
+    'Practice Manager': ['practice manager', 'praktijkmanager', 'praxismanager', 'praxismanagerin', 'office manager'],
+    'Assistant': ['dental assistant', 'dental nurse', 'assistent', 'assistente', 'tandartsassistente', 'zahnmedizinische fachangestellte', 'zfa', 'assistante dentaire']
+};
+
+const OWNER_WORDS = ['owner', 'co-owner', 'founder', 'co-founder', 'principal dentist', 'medical director', 'clinical director',
+    'eigenaar', 'praktijkhouder', 'oprichter', 'inhaber', 'inhaberin', 'praxisinhaber', 'praxisinhaberin', 'gründer', 'gründerin',
+    'fondateur', 'fondatrice', 'propriétaire', 'directeur médical'];
+
+// Capitalized words that start sentences or headings rather than names
+const NOT_NAMES = new Set(['our', 'the', 'team', 'meet', 'contact', 'about', 'home', 'book', 'call', 'opening', 'hours', 'monday', 'tuesday',
+    'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'ons', 'onze', 'unser', 'unsere', 'notre', 'nos', 'welcome', 'welkom', 'privacy',
+    'cookie', 'cookies', 'terms', 'read', 'more', 'lees', 'meer', 'mehr', 'appointment', 'afspraak', 'termin', 'services', 'treatments']);
+
+const TEAM_PAGE = /team|about|over-ons|wie-zijn-wij|ueber-uns|uber-uns|a-propos|equipe|staff|people|doctors|dentists|artsen|specialisten|praxisteam|mitarbeiter/i;
+const MAX_PRACTITIONERS = 20;
+
+// ===== EXTRACTION =====
+function extractPractitioners({ textPages = [], structuredNodes = [], matchSpecialties } = {}) {
+    const found = new Map();
+    const add = (person) => {
+        const key = nameKey(person.name);
+        if (!key || found.size >= MAX_PRACTITIONERS && !found.has(key)) return;
+
+        const existing = found.get(key);
+        if (!existing) {
+            found.set(key, { ...person, specialties: person.specialties || [] });
+            return;
+        }
+        // Same person seen twice: keep the richer details
+        existing.title = existing.title || person.title;
+        existing.role = existing.role || person.role;
+        existing.owner = existing.owner || person.owner;
+        existing.specialties = Array.from(new Set([...existing.specialties, ...(person.specialties || [])]));
+        if (person.name.length > existing.name.length) existing.name = person.name;
+    };
+
+    fromStructuredData(structuredNodes).forEach(add);
+    textPages.forEach(page => fromText(page, matchSpecialties).forEach(add));
+
+    return Array.from(found.values());
+}
+
+function fromStructuredData(nodes) {
+    const people = [];
+    const visit = (value, pageUrl) => {
+        if (Array.isArray(value)) return value.forEach(item => visit(item, pageUrl));
+        if (!value || typeof value !== 'object') return;
+
+        const types = [].concat(value['@type'] || []).map(type => String(type).split('/').pop());
+        if (types.includes('Person') && typeof value.name === 'string') {
+            const jobTitle = typeof value.jobTitle === 'string' ? value.jobTitle : '';
+            people.push({
+                name: cleanPersonName(value.name),
+                title: [value.honorificPrefix, value.honorificSuffix].filter(item => typeof item === 'string').join(' ') || undefined,
+                role: detectRole(jobTitle) || jobTitle || undefined,
+                owner: detectOwner(jobTitle),
+                specialties: [].concat(value.medicalSpecialty || value.knowsAbout || []).filter(item => typeof item === 'string').map(item => item.split('/').pop()),
+                page: pageUrl,
+                source: 'json-ld'
+            });
+        }
+
+        ['employee', 'employees', 'founder', 'member', 'members', 'physician', 'author', 'owner', '@graph'].forEach(key => {
+            if (value[key]) visit(value[key], pageUrl);
+        });
+    };
+
+    nodes.forEach(({ node, page }) => visit(node, page));
+    return people.filter(person => person.name);
+}
+
+function fromText(page, matchSpecialties) {
+    const people = [];
+    const lines = String(page.text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const teamPage = TEAM_PAGE.test(pathOf(page.url));
+
+    lines.forEach((line, index) => {
+        // Role and specialties are read from the rest of the line, plus the next line when this one is just a heading
+        const next = lines[index + 1] || '';
+        const describe = (name, title, offset) => {
+            const context = `${line.slice(offset)} ${line.length <= 50 ? next : ''}`;
+            const cleaned = cleanPersonName(name);
+            if (!cleaned) return;
+            people.push({
+                name: cleaned,
+                title: title ? title.replace(/\s+/g, ' ').trim() : undefined,
+                role: detectRole(context),
+                owner: detectOwner(context),
+                specialties: matchSpecialties ? matchSpecialties(context) : [],
+                page: page.url,
+                source: 'text'
+            });
+        };
+
+        let match;
+        HONORIFIC_NAME.lastIndex = 0;
+        while ((match = HONORIFIC_NAME.exec(line)) !== null) describe(match[2], match[1], match.index);
+
+        NAME_POSTNOMINALS.lastIndex = 0;
+        while ((match = NAME_POSTNOMINALS.exec(line)) !== null) describe(match[1], match[2], match.index);
+
+        // Team pages: a short line holding only a name, with the role on the next line
+        if (teamPage && line.length <= 50) {
+            const nameLine = line.match(NAME_LINE);
+            if (nameLine && next.length <= 80 && (detectRole(next) || detectOwner(next)) && nameLine[2].split(/\s+/).length >= 2) {
+                describe(nameLine[2], nameLine[1], 0);
+            }
+        }
+    });
+
+    return people;
+}
+
+// ===== HELPERS =====
+// The longest matching word wins, so "dental nurse" is an Assistant rather than a Nurse
+function detectRole(text) {
+    const value = ` ${String(text || '').toLowerCase()} `;
+    let best = null;
+    for (const [role, words] of Object.entries(ROLES)) {
+        words.forEach(word => {
+            if (best && word.length <= best.word.length) return;
+            if (new RegExp(`[^\\p{L}]${escapeRegex(word)}[^\\p{L}]`, 'u').test(value)) best = { role, word };
+        });
+    }
+    return best?.role;
+}
+
+function detectOwner(text) {
+    const value = ` ${String(text || '').toLowerCase()} `;
+    return OWNER_WORDS.some(word => new RegExp(`[^\\p{L}]${escapeRegex(word)}[^\\p{L}]`, 'u').test(value));
+}
+
+function cleanPersonName(name) {
+    const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+    const words = cleaned.split(' ');
+    if (cleaned.length < 3 || cleaned.length > 60) return null;
+    if (NOT_NAMES.has(words[0].toLowerCase().replace(/\.$/, ''))) return null;
+    if (words.every(word => NOT_NAMES.has(word.toLowerCase()))) return null;
+    return cleaned;
+}
+
+function nameKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\b\p{L}\.\s*/gu, '')
+        .replace(/[^a-z\s]/g, '')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+function pathOf(pageUrl) {
+    try {
+        return new URL(pageUrl).pathname;
+    } catch {
+        return '';
+    }
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Dr. Jane Smith (Dentist, owner); Tom Lee (Dental Hygienist)" for text-only targets like Notion
+function formatPractitioners(practitioners = []) {
+    return practitioners
+        .map(person => {
+            const details = [person.role, person.owner ? 'owner' : null].filter(Boolean).join(', ');
+            const name = person.title && /^(prof|dr|drs|mr|mrs|ms|miss)/i.test(person.title) ? `${person.title} ${person.name}` : person.name;
+            return details ? `${name} (${details})` : name;
+        })
+        .join('; ');
+}
+
+module.exports = {
+    extractPractitioners,
+    formatPractitioners,
+    detectRole
+};
@@ -0,0 +1,199 @@
+/**
+ * 💶 TREATMENT PRICE LISTS
+ *
+ * Pulls prices out of page text and links them to a canonical treatment from the taxonomy.
+ * - "Botox from £199", "Teeth whitening €350", "Fillers £250 - £400 per syringe", "Vanaf € 1.250,-"
+ * - Qualifiers: exact, from (from/vanaf/ab/à partir de), range; units like per area, per syringe, per session
+ * - The treatment is read from the same line, or from the line(s) just above in price tables
+ * summarizePrices() averages stored price lists per treatment and region for revenue sizing.
+ */
+
+const CURRENCY_SYMBOLS = { '£': 'GBP', '€': 'EUR', '$': 'USD', 'eur': 'EUR', 'euro': 'EUR', 'euros': 'EUR', 'gbp': 'GBP', 'usd': 'USD', 'aud': 'AUD', 'cad': 'CAD', 'chf': 'CHF' };
+const COUNTRY_CURRENCIES = {
+    GB: 'GBP', US: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD', CH: 'CHF',
+    NL: 'EUR', BE: 'EUR', DE: 'EUR', FR: 'EUR', IE: 'EUR', AT: 'EUR', LU: 'EUR', ES: 'EUR', IT: 'EUR'
+};
+
+const NUMBER = '(?:\\d{1,3}(?:[.,\\s]\\d{3})*(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)(?:,-)?(?!\\d)';
+const SYMBOL = '£|€|\\$|EUR|GBP|USD|AUD|CAD|CHF';
+const SUFFIX = '€|EUR|euros?|GBP|USD|CHF';
+const FROM = '(?:from|starting (?:at|from)|vanaf|v\\.a\\.|ab|à partir de|dès)';
+const RANGE = '\\s*(?:-|–|—|to|tot|bis|à)\\s*';
+const UNIT = '(?:per|/|pro|par|p\\.)\\s*(area|zone|syringe|ml|session|treatment|unit|tooth|arch|jaw|vial|hour|behandeling|spuit|sessie|gebied|tand|kaak|behandlung|sitzung|spritze|zahn|kiefer|séance|seringue|dent)';
+
+// "from £199 - £250 per area" (symbol first) and "199,- tot 250 euro per sessie" (symbol after)
+const PRICE_BEFORE = new RegExp(`(${FROM}\\s*)?(${SYMBOL})\\s?(${NUMBER})(?:${RANGE}(?:${SYMBOL})?\\s?(${NUMBER}))?(?:\\s*${UNIT})?`, 'giu');
+const PRICE_AFTER = new RegExp(`(${FROM}\\s*)?(?<![\\d.,])(${NUMBER})(?:${RANGE}(${NUMBER}))?\\s?(${SUFFIX})(?![\\p{L}])(?:\\s*${UNIT})?`, 'giu');
+
+const UNIT_NAMES = {
+    area: 'per area', zone: 'per area', gebied: 'per area',
+    syringe: 'per syringe', spuit: 'per syringe', spritze: 'per syringe', seringue: 'per syringe', ml: 'per ml', vial: 'per vial',
+    session: 'per session', sessie: 'per session', sitzung: 'per session', 'séance': 'per session', hour: 'per hour',
+    treatment: 'per treatment', behandeling: 'per treatment', behandlung: 'per treatment',
+    unit: 'per unit', tooth: 'per tooth', tand: 'per tooth', zahn: 'per tooth', dent: 'per tooth',
+    arch: 'per arch', jaw: 'per arch', kaak: 'per arch', kiefer: 'per arch'
+};
+
+// Finance offers ("from £29 per month") are not treatment prices
+const MONTHLY = /^\s*(?:per|a|\/|p\.?|pro|par)\s*(?:month|mo|maand|mnd|monat|mois)\b|^\s*(?:pcm|p\/m|monthly|mtl\.?)\b/i;
+
+const MAX_PRICES = 50;
+// Prices outside this band are usually years, phone fragments or finance totals
+const MIN_AMOUNT = 5;
+const MAX_AMOUNT = 50000;
+
+// ===== EXTRACTION =====
+// matchTreatment(text) → canonical treatment name or null
+function extractPrices(textPages = [], { matchTreatment, country } = {}) {
+    const prices = [];
+    const seen = new Set();
+
+    textPages.forEach(page => {
+        const lines = String(page.text || '').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+        lines.forEach((line, index) => {
+            findPrices(line, country).forEach(price => {
+                // Price tables: the treatment name sits on the line before (or two before) the price
+                const treatment = matchTreatment(line.slice(0, price.index + price.text.length))
+                    || matchTreatment(lines[index - 1] || '')
+                    || (lines[index - 1]?.length <= 40 ? matchTreatment(lines[index - 2] || '') : null)
+                    || matchTreatment(line);
+                if (!treatment) return;
+
+                const key = `${treatment}|${price.amount}|${price.amount_max || ''}|${price.unit || ''}`;
+                if (seen.has(key) || prices.length >= MAX_PRICES) return;
+                seen.add(key);
+
+                delete price.index;
+                prices.push({ treatment, ...price, page: page.url });
+            });
+        });
+    });
+
+    return prices;
+}
+
+function findPrices(line, country) {
+    const found = [];
+    const taken = [];
+    const overlaps = (start, end) => taken.some(([a, b]) => start < b && end > a);
+
+    [[PRICE_BEFORE, 'before'], [PRICE_AFTER, 'after']].forEach(([pattern, order]) => {
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(line)) !== null) {
+            const end = match.index + match[0].length;
+            if (overlaps(match.index, end) || MONTHLY.test(line.slice(end, end + 20))) continue;
+
+            const [, from, a, b, c, unit] = match;
+            const symbol = order === 'before' ? a : c;
+            const amount = parseAmount(order === 'before' ? b : a);
+            const amountMax = parseAmount(order === 'before' ? c : b);
+            if (amount === null || amount < MIN_AMOUNT || amount > MAX_AMOUNT) continue;
+            if (amountMax !== null && (amountMax <= amount || amountMax > MAX_AMOUNT)) continue;
+
+            taken.push([match.index, end]);
+            found.push({
+                amount,
+                amount_max: amountMax ?? undefined,
+                currency: currencyFor(symbol, country),
+                qualifier: amountMax !== null ? 'range' : (from ? 'from' : 'exact'),
+                unit: unit ? UNIT_NAMES[unit.toLowerCase()] : undefined,
+                text: match[0].trim(),
+                index: match.index
+            });
+        }
+    });
+
+    return found.sort((x, y) => x.index - y.index);
+}
+
+// "1.250,00" and "1,250.00" → 1250; "199,-" → 199; "49,95" → 49.95
+function parseAmount(raw) {
+    if (!raw) return null;
+    let value = String(raw).replace(/,-$/, '').replace(/\s/g, '');
+    const lastSeparator = Math.max(value.lastIndexOf('.'), value.lastIndexOf(','));
+
+    if (lastSeparator === -1) return parseFloat(value);
+    const decimals = value.length - lastSeparator - 1;
+    if (decimals === 3) {
+        value = value.replace(/[.,]/g, '');
+    } else {
+        value = value.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + value.slice(lastSeparator + 1);
+    }
+
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+function currencyFor(symbol, country) {
+    const code = CURRENCY_SYMBOLS[String(symbol).toLowerCase()] || String(symbol).toUpperCase();
+    // "$" is also the Canadian, Australian and New Zealand dollar
+    if (code === 'USD' && symbol === '$' && ['CA', 'AU', 'NZ'].includes(country)) return COUNTRY_CURRENCIES[country];
+    return code;
+}
+
+// ===== AGGREGATION =====
+// Average price per treatment per region across stored leads. Currencies are never mixed;
+// ranges count with their midpoint and "from" prices with their starting amount.
+function summarizePrices(leads = [], { treatment, country, groupBy = 'region' } = {}) {
+    const groups = new Map();
+
+    leads.forEach(lead => {
+        const data = lead.practice_data || lead;
+        const leadCountry = data.address_country || '';
+        if (country && leadCountry.toUpperCase() !== String(country).toUpperCase()) return;
+
+        const region = regionOf(data, groupBy);
+        (data.prices || []).forEach(price => {
+            if (treatment && price.treatment.toLowerCase() !== String(treatment).toLowerCase()) return;
+
+            const key = [price.treatment, region, price.currency, price.unit || ''].join('|');
+            const group = groups.get(key) || { treatment: price.treatment, region, country: leadCountry || null, currency: price.currency, unit: price.unit || null, amounts: [], practices: new Set() };
+            group.amounts.push(price.amount_max ? (price.amount + price.amount_max) / 2 : price.amount);
+            group.practices.add(lead.domain || data.domain);
+            groups.set(key, group);
+        });
+    });
+
+    return Array.from(groups.values())
+        .map(group => ({
+            treatment: group.treatment,
+            region: group.region,
+            country: group.country,
+            currency: group.currency,
+            unit: group.unit,
+            average: Math.round(group.amounts.reduce((sum, amount) => sum + amount, 0) / group.amounts.length * 100) / 100,
+            min: Math.min(...group.amounts),
+            max: Math.max(...group.amounts),
+            prices: group.amounts.length,
+            practices: group.practices.size
+        }))
+        .sort((a, b) => a.treatment.localeCompare(b.treatment) || a.region.localeCompare(b.region));
+}
+
+function regionOf(data, groupBy) {
+    switch (groupBy) {
+    case 'country': return data.address_country || 'Unknown';
+    case 'city': return data.address_city || 'Unknown';
+    default: return data.address_region || data.address_city || data.address_country || 'Unknown';
+    }
+}
+
+// "Botox: from GBP 199; Dermal Fillers: GBP 250-400 per syringe" for text-only targets like Notion
+function formatPrices(prices = []) {
+    return prices
+        .map(price => {
+            const amount = price.amount_max ? `${price.amount}-${price.amount_max}` : String(price.amount);
+            return `${price.treatment}: ${price.qualifier === 'from' ? 'from ' : ''}${price.currency} ${amount}${price.unit ? ` ${price.unit}` : ''}`;
+        })
+        .join('; ');
+}
+
+module.exports = {
+    extractPrices,
+    summarizePrices,
+    formatPrices,
+    parseAmount,
+    COUNTRY_CURRENCIES
+};
@@ -0,0 +1,77 @@
+/**
+ * 🧾 FIELD PROVENANCE
+ *
+ * Where each extracted lead field came from and how much we trust it.
+ * - source: exa | html (regex on page text), json-ld | microdata | opengraph (structured data),
+ *   url-heuristic (guessed from the domain) or fallback (a default, not real data)
+ * - page: the URL the value was read from, when there is one
+ * - method: how it was read when the source alone doesn't say (e.g. "title" or "copyright" for names)
+ * - confidence: 0–1; fallback values are 0 and flagged as placeholders
+ */
+
+const SOURCE_CONFIDENCE = {
+    'json-ld': 0.95,
+    microdata: 0.9,
+    opengraph: 0.75,
+    exa: 0.7,
+    html: 0.7,
+    'url-heuristic': 0.3,
+    fallback: 0
+};
+
+// Fields whose provenance is tracked on every lead
+const TRACKED_FIELDS = ['company', 'phone', 'email', 'location', 'address', 'geo', 'opening_hours', 'services', 'treatments', 'specializations', 'practice_type', 'practitioners', 'prices', 'insurers', 'payment_options', 'languages_spoken', 'rating'];
+
+function provenance(source, options = {}) {
+    const entry = { source };
+    if (options.page) entry.page = options.page;
+    if (options.method) entry.method = options.method;
+    if (options.pages?.length) entry.pages = options.pages;
+    entry.confidence = roundConfidence(options.confidence ?? SOURCE_CONFIDENCE[source] ?? 0.5);
+    if (source === 'fallback') entry.placeholder = true;
+    return entry;
+}
+
+// Fill in confidence for entries that only name a source, mark untracked values as fallback
+// and drop entries for fields that ended up empty. Returns the placeholder field names.
+function completeProvenance(data, fieldSources = {}) {
+    const sources = {};
+    const placeholders = [];
+
+    TRACKED_FIELDS.forEach(field => {
+        if (!hasValue(data[field])) return;
+
+        const existing = fieldSources[field];
+        sources[field] = existing
+            ? { ...existing, ...provenance(existing.source, existing) }
+            : provenance('fallback');
+        if (sources[field].placeholder) placeholders.push(field);
+    });
+
+    return { field_sources: sources, placeholder_fields: placeholders };
+}
+
+// { company: { source, confidence } } → { company: 0.95 }
+function fieldConfidence(fieldSources = {}) {
+    return Object.fromEntries(Object.entries(fieldSources || {})
+        .filter(([, entry]) => Number.isFinite(entry?.confidence))
+        .map(([field, entry]) => [field, entry.confidence]));
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return !!value;
+}
+
+function roundConfidence(value) {
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+}
+
+module.exports = {
+    provenance,
+    completeProvenance,
+    fieldConfidence,
+    SOURCE_CONFIDENCE,
+    TRACKED_FIELDS
+};
@@ -0,0 +1,196 @@
+/**
+ * ⭐ REVIEWS & RATING
+ *
+ * Reputation data read from the practice's own site, without calling a review API:
+ * - schema.org AggregateRating (JSON-LD / microdata), normalized to a 5-point scale
+ * - rating text: "4.9 stars from 300 reviews", "Rated 4.8/5 by 120 patients",
+ *   "4,8 sterren op basis van 250 beoordelingen", "4,9 von 5 Sternen (120 Bewertungen)"
+ * - embedded review widgets (Google via Elfsight/Trustindex, Trustpilot, Feefo, Doctify, Zorgkaart, ...)
+ * - testimonial sections ("What our patients say", "Ervaringen", "Erfahrungen")
+ */
+
+const WIDGETS = {
+    'Google': /search\.google\.com\/local\/writereview|g\.page\/r\/|elfsight-app|elfsightcdn|trustindex\.io|featurable|widget\.reviews\.google/i,
+    'Trustpilot': /widget\.trustpilot\.com|trustpilot-widget/i,
+    'Feefo': /api\.feefo\.com|feefo-widget/i,
+    'Reviews.io': /widget\.reviews\.(?:io|co\.uk)/i,
+    'Doctify': /doctify\.com/i,
+    'iWantGreatCare': /iwantgreatcare\.org/i,
+    'Zorgkaart Nederland': /zorgkaartnederland\.nl/i,
+    'Jameda': /jameda\.de/i,
+    'Yelp': /yelp\.com\/biz/i,
+    'RealSelf': /realself\.com/i,
+    'Healthgrades': /healthgrades\.com/i,
+    'Birdeye': /birdeye\.com/i,
+    'Yotpo': /yotpo\.com/i,
+    'Kiyoh': /kiyoh\.com/i,
+    'ProvenExpert': /provenexpert\.com/i
+};
+
+// Platform names mentioned next to a rating in page text
+const TEXT_PROVIDERS = {
+    'Google': /\bgoogle\b/i,
+    'Trustpilot': /\btrustpilot\b/i,
+    'Feefo': /\bfeefo\b/i,
+    'Doctify': /\bdoctify\b/i,
+    'Zorgkaart Nederland': /\bzorgkaart\b/i,
+    'Jameda': /\bjameda\b/i,
+    'Facebook': /\bfacebook\b/i,
+    'Yelp': /\byelp\b/i,
+    'RealSelf': /\brealself\b/i,
+    'Kiyoh': /\bkiyoh\b/i,
+    'ProvenExpert': /\bprovenexpert\b/i
+};
+
+// Not followed by more digits, so "2,000 5-star reviews" is not a 2.0 rating
+const RATING = '([0-9](?:[.,][0-9]{1,2})?)(?![0-9]|[.,][0-9])';
+const SCALE = '(?:\\s*(?:\\/|out of|uit|van de|von|sur)\\s*(5|10))?';
+const STARS = '(?:\\s*-?\\s*(?:stars?|star rating|sterren|sternen?|étoiles|★+))?';
+// "1,250", "1.250", "1 250" and widget shorthand like "1.2k"
+const COUNT = '(\\d{1,3}(?:[.,\\s]\\d{3})*|\\d+(?:[.,]\\d)?k|\\d+)\\+?';
+const REVIEW_WORDS = '(?:(?:google |verified |\\d-star )?reviews?|ratings?|beoordelingen|recensies|bewertungen|rezensionen|avis)';
+// "Rated 4.8/5 by 120 patients" also counts patients, but only after a rating
+const COUNT_WORDS = `(?:${REVIEW_WORDS}|patients?|patiënten|patienten)`;
+// "4.9 stars from 300 reviews", "4,8 sterren op basis van 250 beoordelingen", "4.9/5 (120 reviews)"
+const RATING_THEN_COUNT = new RegExp(`(?<![\\d.,])${RATING}${SCALE}${STARS}[^\\d\\n.!?]{0,40}?${COUNT}\\s*${COUNT_WORDS}`, 'giu');
+// "300 reviews with an average of 4.9", "120 Bewertungen – Durchschnitt 4,9 von 5"
+const COUNT_THEN_RATING = new RegExp(`${COUNT}\\s*${REVIEW_WORDS}[^\\d\\n.!?]{0,40}?(?<![\\d.,])${RATING}${SCALE}${STARS}`, 'giu');
+// "Rated 4.9 out of 5" without a count
+const RATING_ONLY = new RegExp(`\\b(?:rated|rating|beoordeeld met|bewertet mit|note)\\s*:?\\s*${RATING}${SCALE}${STARS}`, 'giu');
+
+const TESTIMONIAL_HEADINGS = /\b(testimonials?|what our (?:patients|clients) say|patient (?:reviews|stories)|reviews|ervaringen|patiëntervaringen|wat (?:onze )?patiënten zeggen|erfahrungen|patientenstimmen|bewertungen|témoignages|avis (?:de nos )?patients)\b/iu;
+
+// ===== EXTRACTION =====
+function extractReviews({ structuredNodes = [], textPages = [], htmlPages = [] } = {}) {
+    const sources = [
+        ...fromStructuredData(structuredNodes),
+        ...textPages.flatMap(fromText),
+        ...fromWidgets(htmlPages)
+    ];
+
+    const testimonialPage = textPages.find(page => hasTestimonials(page.text));
+    if (testimonialPage) sources.push({ source: 'testimonials', page: testimonialPage.url });
+
+    // Structured data wins; otherwise the rating backed by the most reviews
+    const rated = sources.filter(source => source.rating !== undefined);
+    const best = rated.find(source => source.source === 'json-ld' || source.source === 'microdata')
+        || rated.slice().sort((a, b) => (b.review_count || 0) - (a.review_count || 0))[0];
+    const counts = sources.map(source => source.review_count).filter(Number.isFinite);
+
+    return {
+        rating: best ? best.rating : null,
+        review_count: counts.length > 0 ? Math.max(...counts) : null,
+        review_sources: dedupeSources(sources),
+        rating_page: best?.page
+    };
+}
+
+function fromStructuredData(nodes) {
+    const found = [];
+    const visit = (value, page, source) => {
+        if (Array.isArray(value)) return value.forEach(item => visit(item, page, source));
+        if (!value || typeof value !== 'object') return;
+
+        const aggregate = value.aggregateRating;
+        if (aggregate && typeof aggregate === 'object') {
+            const rating = toFiveScale(aggregate.ratingValue, aggregate.bestRating);
+            const count = toCount(aggregate.reviewCount ?? aggregate.ratingCount);
+            if (rating !== null) found.push({ source, rating, review_count: count ?? undefined, page });
+        }
+        ['@graph', 'itemReviewed', 'department', 'subOrganization'].forEach(key => value[key] && visit(value[key], page, source));
+    };
+
+    nodes.forEach(({ node, page, source }) => visit(node, page, source || 'json-ld'));
+    return found;
+}
+
+function fromText(page) {
+    const text = String(page.text || '');
+    const found = [];
+    const add = (match, rating, scale, count) => {
+        // A bare digit ("3 dentists, 4000 patients") is not a rating without decimals, a scale or stars
+        if (!/[.,]/.test(rating) && !scale && !/st[ae]r|stern|étoile|★/i.test(match[0])) return;
+        const value = toFiveScale(rating, scale);
+        if (value === null) return;
+        // The platform is named on the same line ("4.9 on Google from 300 reviews")
+        const lineEnd = text.indexOf('\n', match.index + match[0].length);
+        const around = text.slice(text.lastIndexOf('\n', match.index) + 1, lineEnd === -1 ? undefined : lineEnd);
+        const provider = Object.keys(TEXT_PROVIDERS).find(name => TEXT_PROVIDERS[name].test(around));
+        found.push({ source: 'text', provider, rating: value, review_count: count !== undefined ? toCount(count) ?? undefined : undefined, page: page.url });
+    };
+
+    let match;
+    RATING_THEN_COUNT.lastIndex = 0;
+    while ((match = RATING_THEN_COUNT.exec(text)) !== null) add(match, match[1], match[2], match[3]);
+    COUNT_THEN_RATING.lastIndex = 0;
+    while ((match = COUNT_THEN_RATING.exec(text)) !== null) add(match, match[2], match[3], match[1]);
+    if (found.length === 0) {
+        RATING_ONLY.lastIndex = 0;
+        while ((match = RATING_ONLY.exec(text)) !== null) add(match, match[1], match[2]);
+    }
+
+    return found;
+}
+
+function fromWidgets(pages) {
+    return Object.entries(WIDGETS)
+        .map(([provider, pattern]) => {
+            const page = pages.find(candidate => candidate.html && pattern.test(candidate.html));
+            return page ? { source: 'widget', provider, page: page.url } : null;
+        })
+        .filter(Boolean);
+}
+
+function hasTestimonials(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const heading = lines.findIndex(line => line.length <= 60 && TESTIMONIAL_HEADINGS.test(line));
+    if (heading === -1) return false;
+    // A heading alone is a menu item; a testimonial section has quotes or longer text after it
+    return lines.slice(heading + 1, heading + 8).some(line => /^["“„«'‘]/.test(line) || line.length > 80);
+}
+
+// ===== HELPERS =====
+function toFiveScale(value, scale) {
+    const rating = parseFloat(String(value ?? '').replace(',', '.'));
+    const best = parseFloat(String(scale ?? '5').replace(',', '.')) || 5;
+    if (!Number.isFinite(rating) || rating <= 0 || rating > best) return null;
+    const normalized = best === 5 ? rating : rating / best * 5;
+    return Math.round(normalized * 10) / 10;
+}
+
+function toCount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const thousands = String(value).match(/^(\d+(?:[.,]\d)?)k$/i);
+    const count = thousands
+        ? Math.round(parseFloat(thousands[1].replace(',', '.')) * 1000)
+        : parseInt(String(value).replace(/[.,\s]/g, ''), 10);
+    return Number.isFinite(count) && count > 0 && count < 1000000 ? count : null;
+}
+
+// One entry per source/provider pair, keeping the one with the most reviews
+function dedupeSources(sources) {
+    const byKey = new Map();
+    sources.forEach(source => {
+        const key = `${source.source}|${source.provider || ''}`;
+        const existing = byKey.get(key);
+        if (!existing || (source.review_count || 0) > (existing.review_count || 0)) byKey.set(key, source);
+    });
+    return Array.from(byKey.values());
+}
+
+// "4.9 (300 reviews) - json-ld, Google widget, testimonials" for text-only targets
+function formatReviewSources(sources = []) {
+    return sources
+        .map(source => {
+            const name = source.provider ? `${source.provider}${source.source === 'widget' ? ' widget' : ''}` : source.source;
+            const detail = source.rating !== undefined ? ` ${source.rating}${source.review_count ? ` (${source.review_count})` : ''}` : '';
+            return `${name}${detail}`;
+        })
+        .join(', ');
+}
+
+module.exports = {
+    extractReviews,
+    formatReviewSources,
+    toFiveScale
+};
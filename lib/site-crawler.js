@@ -0,0 +1,312 @@
+/**
+ * 🕷️ PRACTICE WEBSITE CRAWLER
+ *
+ * Built-in fallback when Exa is unavailable or returns nothing.
+ * - Fetches the homepage plus likely subpages (contact, services, treatments, prices, about/team)
+ * - Respects robots.txt for our user agent; a Crawl-delay above `maxCrawlDelayMs` limits the crawl to the homepage
+ * - Follows redirects one hop at a time and checks every target against robots.txt; only the homepage may
+ *   move to another origin (http → https, bare domain → www), subpages redirecting off-site are rejected
+ * - Bounded by a page limit, a per-page timeout and an overall time budget
+ * - Converts HTML into clean text for the extraction pipeline
+ */
+
+const axios = require('axios');
+const { decodeEntities } = require('./html-entities');
+
+const MAX_REDIRECTS = 5;
+
+// Subpages worth fetching, in priority order
+const SUBPAGE_KEYWORDS = [
+    { key: 'contact', pattern: /contact|get-in-touch|find-us|location/i },
+    { key: 'services', pattern: /services?|what-we-do/i },
+    { key: 'treatments', pattern: /treatments?|procedures?/i },
+    { key: 'prices', pattern: /prices?|pricing|fees|tarieven|prijzen|preise|kosten|tarifs|honoraires/i },
+    { key: 'about', pattern: /team|staff|about|our-practice|who-we-are|over-ons|ueber-uns|uber-uns|equipe|a-propos/i }
+];
+
+class SiteCrawler {
+    constructor(options = {}) {
+        this.maxPages = options.maxPages || 6;
+        this.timeoutMs = options.timeoutMs || 20000;
+        this.pageTimeoutMs = options.pageTimeoutMs || 8000;
+        this.maxBytes = options.maxBytes || 1500000;
+        this.maxCrawlDelayMs = options.maxCrawlDelayMs || 5000;
+        this.userAgent = options.userAgent || 'HealthcareLeadAgent/1.0 (+https://github.com/jomarcello/healthcare-agent-clean)';
+    }
+
+    // ===== CRAWL =====
+    async crawl(startUrl, options = {}) {
+        const maxPages = options.maxPages || this.maxPages;
+        const startedAt = Date.now();
+        const deadline = startedAt + this.timeoutMs;
+        let origin = new URL(startUrl).origin;
+        const pages = [];
+        const errors = [];
+        const visited = new Set();
+
+        const robotsByOrigin = new Map();
+        const robotsFor = target => {
+            if (!robotsByOrigin.has(target)) robotsByOrigin.set(target, this.fetchRobots(target, deadline));
+            return robotsByOrigin.get(target);
+        };
+        const checkRedirect = async target => {
+            const targetUrl = new URL(target);
+            if (targetUrl.origin !== origin && pages.length > 0) throw new Error(`Redirected off-site to ${targetUrl.origin}`);
+            if (!this.isAllowed(await robotsFor(targetUrl.origin), targetUrl.pathname)) {
+                throw new Error(`Redirect to ${target} disallowed by robots.txt`);
+            }
+        };
+
+        let robots = await robotsFor(origin);
+        let crawlDelay = (robots.crawlDelay || 0) * 1000;
+        const queue = [this.normalizeLink(startUrl)];
+
+        while (queue.length > 0 && pages.length < this.pageLimit(maxPages, crawlDelay)) {
+            if (Date.now() >= deadline) {
+                errors.push({ url: queue[0], error: 'Crawl time budget exhausted' });
+                break;
+            }
+
+            const pageUrl = queue.shift();
+            if (visited.has(pageUrl)) continue;
+            visited.add(pageUrl);
+
+            if (!this.isAllowed(robots, new URL(pageUrl).pathname)) {
+                console.log(`   🚫 robots.txt disallows ${pageUrl}`);
+                errors.push({ url: pageUrl, error: 'Disallowed by robots.txt' });
+                continue;
+            }
+
+            if (pages.length > 0 && crawlDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, crawlDelay));
+            }
+
+            try {
+                const page = await this.fetchPage(pageUrl, deadline, checkRedirect);
+                pages.push(page);
+
+                if (pages.length === 1) {
+                    // The homepage redirected to another origin: crawl that site under its own robots.txt
+                    if (new URL(page.url).origin !== origin) {
+                        origin = new URL(page.url).origin;
+                        robots = await robotsFor(origin);
+                        crawlDelay = (robots.crawlDelay || 0) * 1000;
+                    }
+
+                    // Waiting out a long Crawl-delay per page would blow the time budget, and shortening it
+                    // would ignore the site's request: take the homepage only
+                    if (crawlDelay > this.maxCrawlDelayMs && maxPages > 1) {
+                        console.log(`   🐢 robots.txt Crawl-delay ${crawlDelay / 1000}s on ${origin}: homepage only`);
+                        errors.push({ url: origin, error: `Crawl-delay ${crawlDelay / 1000}s exceeds ${this.maxCrawlDelayMs / 1000}s, only the homepage was fetched` });
+                    }
+
+                    // Only the first page seeds the queue with likely subpages
+                    if (this.pageLimit(maxPages, crawlDelay) > 1) {
+                        queue.push(...this.findSubpages(page.html, page.url, origin).filter(link => !visited.has(link)));
+                    }
+                }
+            } catch (error) {
+                errors.push({ url: pageUrl, error: error.message });
+            }
+        }
+
+        console.log(`   🕷️ Crawled ${pages.length} page(s) from ${origin} in ${Date.now() - startedAt}ms`);
+        return { origin, pages, errors, robots_found: robots.found, elapsed_ms: Date.now() - startedAt };
+    }
+
+    pageLimit(maxPages, crawlDelay) {
+        return crawlDelay > this.maxCrawlDelayMs ? 1 : maxPages;
+    }
+
+    // Redirects are followed by hand so checkRedirect(url) can refuse each target before it is requested
+    async fetchPage(pageUrl, deadline, checkRedirect = async () => {}) {
+        let currentUrl = pageUrl;
+        let response;
+
+        for (let hops = 0; ; hops++) {
+            response = await axios.get(currentUrl, {
+                timeout: Math.max(Math.min(this.pageTimeoutMs, deadline - Date.now()), 1),
+                maxContentLength: this.maxBytes,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [data => data],
+                headers: { 'User-Agent': this.userAgent, 'Accept': 'text/html,application/xhtml+xml' },
+                validateStatus: () => true
+            });
+
+            const location = response.headers.location;
+            if (response.status < 300 || response.status >= 400 || !location) break;
+            if (hops >= MAX_REDIRECTS) throw new Error('Too many redirects');
+
+            const nextUrl = this.normalizeLink(new URL(location, currentUrl).href);
+            await checkRedirect(nextUrl);
+            currentUrl = nextUrl;
+        }
+
+        if (response.status >= 400) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const contentType = String(response.headers['content-type'] || '');
+        if (contentType && !/html/i.test(contentType)) {
+            throw new Error(`Unsupported content type: ${contentType}`);
+        }
+
+        const html = String(response.data || '');
+
+        return {
+            url: currentUrl,
+            status: response.status,
+            title: this.extractTitle(html),
+            html,
+            text: this.htmlToText(html)
+        };
+    }
+
+    // ===== SUBPAGE DISCOVERY =====
+    findSubpages(html, baseUrl, origin) {
+        const links = this.extractLinks(html, baseUrl)
+            .filter(link => new URL(link.url).origin === origin);
+        const selected = [];
+
+        for (const { key, pattern } of SUBPAGE_KEYWORDS) {
+            const match = links.find(link => pattern.test(new URL(link.url).pathname) || pattern.test(link.text.replace(/\s+/g, '-')));
+            const candidate = match ? match.url : this.normalizeLink(new URL(`/${key}`, origin).href);
+            if (!selected.includes(candidate) && candidate !== this.normalizeLink(baseUrl)) selected.push(candidate);
+        }
+
+        return selected;
+    }
+
+    extractLinks(html, baseUrl) {
+        const links = [];
+        const anchorPattern = /<a\b[^>]*?href\s*=\s*["']([^"'#]+)[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi;
+        let match;
+
+        while ((match = anchorPattern.exec(html)) !== null) {
+            try {
+                const url = new URL(match[1], baseUrl);
+                if (!/^https?:$/.test(url.protocol)) continue;
+                links.push({ url: this.normalizeLink(url.href), text: this.htmlToText(match[2]).toLowerCase() });
+            } catch {
+                // Ignore malformed hrefs
+            }
+        }
+
+        return links;
+    }
+
+    normalizeLink(link) {
+        const url = new URL(link);
+        url.hash = '';
+        return url.href;
+    }
+
+    // ===== ROBOTS.TXT =====
+    async fetchRobots(origin, deadline) {
+        try {
+            const response = await axios.get(`${origin}/robots.txt`, {
+                timeout: Math.max(Math.min(this.pageTimeoutMs, deadline - Date.now()), 1),
+                responseType: 'text',
+                transformResponse: [data => data],
+                headers: { 'User-Agent': this.userAgent },
+                validateStatus: () => true
+            });
+
+            // 4xx: no robots.txt, everything allowed. 5xx: server trouble, stay away.
+            if (response.status >= 500) return { found: false, rules: [{ allow: false, path: '/' }] };
+            if (response.status >= 400) return { found: false, rules: [] };
+
+            return { found: true, ...this.parseRobots(String(response.data || '')) };
+        } catch {
+            return { found: false, rules: [] };
+        }
+    }
+
+    parseRobots(text) {
+        const agentToken = this.userAgent.split('/')[0].toLowerCase();
+        const groups = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const field = line.substring(0, separator).trim().toLowerCase();
+            const value = line.substring(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+            if (!current) return;
+
+            if (field === 'allow' || field === 'disallow') {
+                if (value) current.rules.push({ allow: field === 'allow', path: value });
+            } else if (field === 'crawl-delay') {
+                current.crawlDelay = parseFloat(value) || null;
+            }
+        });
+
+        const group = groups.find(g => g.agents.some(agent => agent !== '*' && agentToken.includes(agent))) ||
+            groups.find(g => g.agents.includes('*'));
+
+        return { rules: group?.rules || [], crawlDelay: group?.crawlDelay || 0 };
+    }
+
+    // Longest matching rule wins; Allow wins a tie
+    isAllowed(robots, pathname) {
+        let best = null;
+
+        for (const rule of robots.rules) {
+            if (!this.robotsPathMatches(rule.path, pathname)) continue;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+
+        return best ? best.allow : true;
+    }
+
+    robotsPathMatches(rulePath, pathname) {
+        // "*" matches anything, a trailing "$" anchors the end of the path
+        const pattern = rulePath
+            .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\$(?!$)/g, '\\$');
+        return new RegExp(`^${pattern}`).test(pathname);
+    }
+
+    // ===== HTML → TEXT =====
+    extractTitle(html) {
+        const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+    }
+
+    htmlToText(html) {
+        const text = String(html || '')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<(script|style|noscript|svg|template|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+            .replace(/<\/?(p|div|section|article|header|footer|nav|aside|main|li|ul|ol|tr|table|h[1-6]|address|blockquote|dd|dt|dl)\b[^>]*>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ');
+
+        return decodeEntities(text)
+            .split('\n')
+            .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+}
+
+module.exports = { SiteCrawler };
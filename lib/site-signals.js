@@ -0,0 +1,173 @@
+/**
+ * 📡 WEBSITE SIGNALS
+ *
+ * Sales-opportunity signals read from fetched HTML (not from Exa text, which has no markup):
+ * - online booking widgets (Calendly, Doctolib, Zocdoc, Jane, Cliniko, ...) and live chat widgets
+ * - contact forms and click-to-call (tel:) links
+ * - the CMS or site builder, HTTPS and a mobile viewport meta tag
+ * A practice without online booking is the best fit for the booking demo.
+ */
+
+// Provider → patterns matched against the raw HTML (script/iframe/link URLs, class names)
+const BOOKING_PROVIDERS = {
+    'Calendly': /calendly\.com/i,
+    'Doctolib': /doctolib\.(?:fr|de|it|com)/i,
+    'Zocdoc': /zocdoc\.com/i,
+    'Jane': /\.janeapp\.com|janeapp\.com\/book/i,
+    'Cliniko': /cliniko\.com/i,
+    'Acuity Scheduling': /acuityscheduling\.com|app\.acuityscheduling/i,
+    'SimplyBook.me': /simplybook\.(?:me|it|asia)/i,
+    'Setmore': /setmore\.com/i,
+    'Square Appointments': /squareup\.com\/appointments|square\.site\/book/i,
+    'Fresha': /fresha\.com/i,
+    'Treatwell': /treatwell\.(?:co\.uk|nl|de|fr|com)/i,
+    'Timely': /gettimely\.com|bookings\.gettimely/i,
+    'Phorest': /phorest\.com/i,
+    'Pabau': /pabau\.com/i,
+    'Dentally': /dentally\.(?:co|com)/i,
+    'NexHealth': /nexhealth\.com/i,
+    'LocalMed': /localmed\.com/i,
+    'Mindbody': /mindbodyonline\.com|healcode/i,
+    'Jameda': /jameda\.de/i,
+    'Doctena': /doctena\.(?:com|nl|de|be|lu)/i,
+    'Salonized': /salonized\.com/i,
+    'Onlineafspraken.nl': /onlineafspraken\.nl/i,
+    'HotDoc': /hotdoc\.com\.au/i,
+    'HealthEngine': /healthengine\.com\.au/i,
+    'Booksy': /booksy\.com/i,
+    'Vagaro': /vagaro\.com/i
+};
+
+const CHAT_PROVIDERS = {
+    'Intercom': /widget\.intercom\.io|intercomcdn\.com/i,
+    'Drift': /js\.driftt\.com|drift\.com\/include/i,
+    'Tawk.to': /embed\.tawk\.to/i,
+    'LiveChat': /cdn\.livechatinc\.com/i,
+    'Zendesk Chat': /static\.zdassets\.com|zopim/i,
+    'Crisp': /client\.crisp\.chat/i,
+    'Tidio': /code\.tidio\.co/i,
+    'HubSpot Chat': /js\.usemessages\.com|hubspot-messages-iframe/i,
+    'Facebook Messenger': /customerchat|fb-customerchat/i,
+    'Olark': /static\.olark\.com/i,
+    'Freshchat': /wchat\.freshchat\.com|freshchat/i,
+    'Podium': /connect\.podium\.com|podium-widget/i,
+    'Birdeye': /birdeye\.com\/embed/i,
+    'WhatsApp': /wa\.me\/|api\.whatsapp\.com\/send/i
+};
+
+// Checked in order: builders first, since their pages often also mention generic platforms
+const CMS_PATTERNS = {
+    'Wix': /static\.wixstatic\.com|wix\.com website builder|_wixCIDX/i,
+    'Squarespace': /static1\.squarespace\.com|squarespace-cdn|<!-- This is Squarespace/i,
+    'Webflow': /data-wf-site|webflow\.js|assets\.website-files\.com/i,
+    'Duda': /multiscreensite\.com|dudamobile|irp\.cdn-website\.com/i,
+    'GoDaddy Website Builder': /img1\.wsimg\.com|godaddy website builder/i,
+    'Weebly': /weebly\.com|editmysite\.com/i,
+    'Jimdo': /jimdo(?:cdn|site)?\.com/i,
+    'Shopify': /cdn\.shopify\.com/i,
+    'HubSpot CMS': /hs-sites\.com|hubspot-cms|generator"?\s+content="HubSpot/i,
+    'WordPress': /wp-content\/|wp-includes\/|generator"?\s+content="WordPress/i,
+    'Joomla': /\/media\/jui\/|generator"?\s+content="Joomla/i,
+    'Drupal': /Drupal\.settings|\/sites\/default\/files\/|generator"?\s+content="Drupal/i,
+    'TYPO3': /typo3conf|typo3temp|generator"?\s+content="TYPO3/i
+};
+
+const TEL_LINK = /<a\b[^>]*href\s*=\s*["']tel:/i;
+const VIEWPORT = /<meta\b[^>]*name\s*=\s*["']viewport["'][^>]*content\s*=\s*["'][^"']*width\s*=\s*device-width/i;
+const VIEWPORT_REVERSED = /<meta\b[^>]*content\s*=\s*["'][^"']*width\s*=\s*device-width[^"']*["'][^>]*name\s*=\s*["']viewport["']/i;
+const FORM = /<form\b([^>]*)>([\s\S]*?)<\/form>/gi;
+const GENERATOR = /<meta\b[^>]*name\s*=\s*["']generator["'][^>]*content\s*=\s*["']([^"']+)["']/i;
+
+// ===== DETECTION =====
+// pages: [{ url, html }] from the crawler or the homepage fetch. Returns null when there is no HTML.
+function detectSignals(pages = []) {
+    const htmlPages = pages.filter(page => page.html);
+    if (htmlPages.length === 0) return null;
+
+    const booking = findProviders(htmlPages, BOOKING_PROVIDERS);
+    const chat = findProviders(htmlPages, CHAT_PROVIDERS);
+    const formPage = htmlPages.find(page => hasContactForm(page.html));
+    const telPage = htmlPages.find(page => TEL_LINK.test(page.html));
+    const homepage = htmlPages[0];
+
+    return {
+        online_booking: booking.length > 0,
+        booking_providers: booking.map(hit => hit.provider),
+        live_chat: chat.length > 0,
+        chat_providers: chat.map(hit => hit.provider),
+        contact_form: !!formPage,
+        click_to_call: !!telPage,
+        cms: detectCms(htmlPages),
+        https: protocolOf(homepage.url) === 'https:',
+        mobile_viewport: VIEWPORT.test(homepage.html) || VIEWPORT_REVERSED.test(homepage.html),
+        evidence: Object.fromEntries([
+            ...booking.map(hit => [hit.provider, hit.page]),
+            ...chat.map(hit => [hit.provider, hit.page]),
+            ...(formPage ? [['contact_form', formPage.url]] : []),
+            ...(telPage ? [['click_to_call', telPage.url]] : [])
+        ]),
+        pages_checked: htmlPages.length
+    };
+}
+
+function findProviders(pages, providers) {
+    const hits = [];
+    Object.entries(providers).forEach(([provider, pattern]) => {
+        const page = pages.find(candidate => pattern.test(candidate.html));
+        if (page) hits.push({ provider, page: page.url });
+    });
+    return hits;
+}
+
+// A form with a message box or an email field plus a few more inputs; search and newsletter forms don't count
+function hasContactForm(html) {
+    let match;
+    FORM.lastIndex = 0;
+    while ((match = FORM.exec(html)) !== null) {
+        const [, attributes, body] = match;
+        if (/role\s*=\s*["']search|type\s*=\s*["']search|name\s*=\s*["']s["']/i.test(attributes + body)) continue;
+        if (/<textarea\b/i.test(body)) return true;
+
+        const inputs = (body.match(/<input\b(?![^>]*type\s*=\s*["'](?:hidden|submit|button|checkbox)["'])/gi) || []).length;
+        if (/type\s*=\s*["']email["']/i.test(body) && inputs >= 3) return true;
+    }
+    // Embedded form builders render client-side
+    return /wpcf7|gform_wrapper|wpforms|typeform\.com\/to|jotform|formstack|hsforms\.net|ninja-forms/i.test(html);
+}
+
+function detectCms(pages) {
+    for (const [cms, pattern] of Object.entries(CMS_PATTERNS)) {
+        if (pages.some(page => pattern.test(page.html))) return cms;
+    }
+    const generator = pages.map(page => page.html.match(GENERATOR)?.[1]).find(Boolean);
+    return generator ? generator.split(/\s+\d/)[0].trim() : null;
+}
+
+function protocolOf(pageUrl) {
+    try {
+        return new URL(pageUrl).protocol;
+    } catch {
+        return null;
+    }
+}
+
+// "booking: Calendly; no chat; contact form; click-to-call; CMS: WordPress; HTTPS; mobile" for text-only targets
+function formatSignals(signals) {
+    if (!signals) return '';
+    return [
+        signals.online_booking ? `booking: ${signals.booking_providers.join(', ')}` : 'no online booking',
+        signals.live_chat ? `chat: ${signals.chat_providers.join(', ')}` : 'no chat',
+        signals.contact_form ? 'contact form' : 'no contact form',
+        signals.click_to_call ? 'click-to-call' : 'no click-to-call',
+        signals.cms ? `CMS: ${signals.cms}` : null,
+        signals.https ? 'HTTPS' : 'no HTTPS',
+        signals.mobile_viewport ? 'mobile viewport' : 'no mobile viewport'
+    ].filter(Boolean).join('; ');
+}
+
+module.exports = {
+    detectSignals,
+    formatSignals,
+    BOOKING_PROVIDERS,
+    CHAT_PROVIDERS
+};
@@ -0,0 +1,342 @@
+/**
+ * 🧩 STRUCTURED DATA EXTRACTION
+ *
+ * Reads practice facts that sites publish for search engines:
+ * - schema.org JSON-LD (<script type="application/ld+json">, including @graph)
+ * - schema.org microdata (itemscope / itemtype / itemprop)
+ * - OpenGraph, business:contact_data and place:location meta tags
+ * Each extracted fact remembers which of the three sources it came from.
+ */
+
+const { decodeEntities } = require('./html-entities');
+
+// Most specific practice types first; generic organisations are a last resort
+const PRACTICE_TYPES = [
+    'Dentist', 'Physician', 'MedicalClinic', 'Hospital', 'Optician', 'Pharmacy', 'PhysicalTherapy',
+    'MedicalBusiness', 'MedicalOrganization', 'HealthAndBeautyBusiness', 'BeautySalon', 'DaySpa',
+    'LocalBusiness', 'Organization'
+];
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// ===== JSON-LD =====
+function extractJsonLd(html) {
+    const nodes = [];
+    const scriptPattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+
+    while ((match = scriptPattern.exec(html)) !== null) {
+        const parsed = parseJson(match[1]);
+        if (parsed) collectNodes(parsed, nodes);
+    }
+
+    return nodes;
+}
+
+function parseJson(raw) {
+    const text = raw.trim().replace(/^<!\[CDATA\[|\]\]>$/g, '');
+    try {
+        return JSON.parse(text);
+    } catch {
+        // Common publishing mistakes: trailing commas and stray control characters
+        try {
+            return JSON.parse(text.replace(/,\s*([}\]])/g, '$1').replace(/[\u0000-\u001f]+/g, ' '));
+        } catch {
+            return null;
+        }
+    }
+}
+
+function collectNodes(value, nodes) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectNodes(item, nodes));
+    } else if (value && typeof value === 'object') {
+        if (value['@type']) nodes.push(value);
+        if (value['@graph']) collectNodes(value['@graph'], nodes);
+    }
+}
+
+// ===== MICRODATA =====
+function extractMicrodata(html) {
+    const items = [];
+    const stack = [];
+    const scopes = [];
+    const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    const body = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+
+    while ((match = tokenPattern.exec(body)) !== null) {
+        const [, closing, rawTag, attributeText, selfClosing, text] = match;
+
+        if (text !== undefined) {
+            stack.forEach(element => {
+                if (element.capture) element.text.push(text);
+            });
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+
+        if (closing) {
+            const index = stack.map(element => element.tag).lastIndexOf(tag);
+            if (index === -1) continue;
+            stack.splice(index).reverse().forEach(element => closeElement(element, scopes, items));
+            continue;
+        }
+
+        const attributes = parseAttributes(attributeText);
+        const element = {
+            tag,
+            itemprop: attributes.itemprop,
+            text: [],
+            capture: false,
+            scope: null,
+            parentScope: scopes[scopes.length - 1] || null
+        };
+
+        if (attributes.itemscope !== undefined) {
+            element.scope = { type: schemaType(attributes.itemtype || ''), properties: {} };
+            scopes.push(element.scope);
+        }
+
+        if (element.itemprop && !element.scope) {
+            const direct = attributes.content ?? attributes.href ?? attributes.src ?? attributes.datetime;
+            if (direct !== undefined || VOID_TAGS.has(tag) || selfClosing) {
+                addProperty(element.parentScope, element.itemprop, decodeEntities(direct || ''));
+            } else {
+                element.capture = true;
+            }
+        }
+
+        if (VOID_TAGS.has(tag) || selfClosing) {
+            closeElement(element, scopes, items);
+        } else {
+            stack.push(element);
+        }
+    }
+
+    stack.reverse().forEach(element => closeElement(element, scopes, items));
+    return items;
+}
+
+function closeElement(element, scopes, items) {
+    if (element.scope) {
+        scopes.splice(scopes.lastIndexOf(element.scope), 1);
+        if (element.itemprop && element.parentScope) {
+            addProperty(element.parentScope, element.itemprop, element.scope);
+        } else {
+            items.push(element.scope);
+        }
+    } else if (element.capture) {
+        addProperty(element.parentScope, element.itemprop, decodeEntities(element.text.join(' ')));
+    }
+}
+
+function addProperty(scope, names, value) {
+    if (!scope || !names) return;
+    const cleaned = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value;
+    if (cleaned === '' || cleaned === undefined) return;
+
+    names.split(/\s+/).forEach(name => {
+        if (scope.properties[name] === undefined) {
+            scope.properties[name] = cleaned;
+        } else {
+            scope.properties[name] = [].concat(scope.properties[name], cleaned);
+        }
+    });
+}
+
+// Normalize microdata scopes into the same shape as JSON-LD nodes
+function microdataToNodes(items) {
+    const convert = (scope) => {
+        const node = { '@type': scope.type };
+        for (const [name, value] of Object.entries(scope.properties)) {
+            node[name] = Array.isArray(value)
+                ? value.map(v => (v && v.properties ? convert(v) : v))
+                : (value && value.properties ? convert(value) : value);
+        }
+        return node;
+    };
+    return items.map(convert);
+}
+
+// ===== OPENGRAPH =====
+function extractOpenGraph(html) {
+    const tags = {};
+    const metaPattern = /<meta\b([^>]*)>/gi;
+    let match;
+
+    while ((match = metaPattern.exec(html)) !== null) {
+        const attributes = parseAttributes(match[1]);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (/^(og|business|place):/.test(key) && attributes.content && tags[key] === undefined) {
+            tags[key] = decodeEntities(attributes.content).trim();
+        }
+    }
+
+    return tags;
+}
+
+// ===== PRACTICE FACTS =====
+function extractStructuredData(html) {
+    const jsonLd = extractJsonLd(html);
+    const microdata = microdataToNodes(extractMicrodata(html));
+    const openGraph = extractOpenGraph(html);
+
+    return {
+        json_ld: jsonLd,
+        microdata,
+        open_graph: openGraph,
+        types: Array.from(new Set([...jsonLd, ...microdata].flatMap(node => [].concat(node['@type']).map(schemaType))))
+    };
+}
+
+// Collapse structured data from one or more pages into practice fields with per-field sources
+function toPracticeFacts(structuredPages) {
+    const facts = {};
+    const sources = {};
+
+    const set = (field, value, source, pageUrl) => {
+        if (value === undefined || value === null || value === '' || facts[field] !== undefined) return;
+        if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return;
+        facts[field] = value;
+        sources[field] = { source, page: pageUrl };
+    };
+
+    // JSON-LD first, then microdata, then OpenGraph
+    for (const [source, key] of [['json-ld', 'json_ld'], ['microdata', 'microdata']]) {
+        structuredPages.forEach(({ url: pageUrl, data }) => {
+            const node = pickPracticeNode(data[key]);
+            if (!node) return;
+
+            set('name', firstText(node.name || node.legalName), source, pageUrl);
+            set('telephone', firstText(node.telephone), source, pageUrl);
+            set('email', firstText(node.email)?.replace(/^mailto:/i, ''), source, pageUrl);
+            set('address', normalizeAddress(node.address || node.location?.address), source, pageUrl);
+            set('geo', normalizeGeo(node.geo || node.location?.geo), source, pageUrl);
+            set('opening_hours', normalizeOpeningHours(node), source, pageUrl);
+            set('url', firstText(node.url), source, pageUrl);
+            set('schema_type', [].concat(node['@type']).map(schemaType)[0], source, pageUrl);
+        });
+    }
+
+    structuredPages.forEach(({ url: pageUrl, data }) => {
+        const og = data.open_graph || {};
+        set('name', og['og:site_name'], 'opengraph', pageUrl);
+        set('telephone', og['business:contact_data:phone_number'], 'opengraph', pageUrl);
+        set('email', og['business:contact_data:email'], 'opengraph', pageUrl);
+        set('address', normalizeAddress({
+            streetAddress: og['business:contact_data:street_address'],
+            addressLocality: og['business:contact_data:locality'],
+            addressRegion: og['business:contact_data:region'],
+            postalCode: og['business:contact_data:postal_code'],
+            addressCountry: og['business:contact_data:country_name']
+        }), 'opengraph', pageUrl);
+        if (og['place:location:latitude'] && og['place:location:longitude']) {
+            set('geo', normalizeGeo({ latitude: og['place:location:latitude'], longitude: og['place:location:longitude'] }), 'opengraph', pageUrl);
+        }
+    });
+
+    return { facts, sources };
+}
+
+function pickPracticeNode(nodes = []) {
+    let best = null;
+    let bestRank = Infinity;
+
+    nodes.forEach(node => {
+        const types = [].concat(node['@type'] || []).map(schemaType);
+        types.forEach(type => {
+            const rank = PRACTICE_TYPES.indexOf(type);
+            if (rank !== -1 && rank < bestRank) {
+                best = node;
+                bestRank = rank;
+            }
+        });
+    });
+
+    return best;
+}
+
+function normalizeAddress(address) {
+    if (!address) return undefined;
+    if (Array.isArray(address)) return normalizeAddress(address[0]);
+    if (typeof address === 'string') return { formatted: address.replace(/\s+/g, ' ').trim() };
+
+    const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry;
+    const parts = {
+        street: firstText(address.streetAddress),
+        city: firstText(address.addressLocality),
+        region: firstText(address.addressRegion),
+        postcode: firstText(address.postalCode),
+        country: firstText(country)
+    };
+    Object.keys(parts).forEach(key => parts[key] === undefined && delete parts[key]);
+    if (Object.keys(parts).length === 0) return undefined;
+
+    parts.formatted = [parts.street, [parts.postcode, parts.city].filter(Boolean).join(' '), parts.region, parts.country]
+        .filter(Boolean)
+        .join(', ');
+    return parts;
+}
+
+function normalizeGeo(geo) {
+    if (!geo) return undefined;
+    if (Array.isArray(geo)) return normalizeGeo(geo[0]);
+
+    const latitude = parseFloat(geo.latitude);
+    const longitude = parseFloat(geo.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return undefined;
+    return { latitude, longitude };
+}
+
+function normalizeOpeningHours(node) {
+    const hours = [];
+
+    [].concat(node.openingHours || []).forEach(entry => {
+        const text = firstText(entry);
+        if (text) hours.push(text);
+    });
+
+    [].concat(node.openingHoursSpecification || []).forEach(spec => {
+        if (!spec || typeof spec !== 'object') return;
+        const days = [].concat(spec.dayOfWeek || []).map(day => schemaType(String(day)));
+        hours.push({ days, opens: spec.opens, closes: spec.closes, valid_from: spec.validFrom, valid_through: spec.validThrough });
+    });
+
+    return hours.length > 0 ? hours : undefined;
+}
+
+// ===== HELPERS =====
+function schemaType(value) {
+    return String(value).replace(/\/+$/, '').split(/[/#]/).pop();
+}
+
+function firstText(value) {
+    if (Array.isArray(value)) return firstText(value[0]);
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'object') return firstText(value['@value'] ?? value.name);
+    const text = decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+    return text || undefined;
+}
+
+function parseAttributes(text = '') {
+    const attributes = {};
+    const attributePattern = /([a-zA-Z_:][\w:.-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = attributePattern.exec(text)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+
+    return attributes;
+}
+
+module.exports = {
+    extractStructuredData,
+    toPracticeFacts,
+    extractJsonLd,
+    extractMicrodata,
+    extractOpenGraph
+};
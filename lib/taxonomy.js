@@ -0,0 +1,184 @@
+/**
+ * 🏷️ TREATMENT & SERVICE TAXONOMY
+ *
+ * Loads canonical treatments, services and specializations from a JSON file
+ * (default config/taxonomy.json) so new terms don't need a code change.
+ * - Every entry has a canonical name, synonyms, a category and the practice types it implies
+ * - Matching is case-insensitive on whole words and accepts simple plurals ("fillers")
+ * - Entries carry Dutch, German and French translations that map back to the English canonical name;
+ *   a trailing "*" in a term matches German-style compounds ("zahnimplantat*" → "Zahnimplantate")
+ * - reload() swaps in the new file only if it parses and validates; otherwise the old one stays
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = ['treatments', 'services', 'specializations'];
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'taxonomy.json');
+
+// Plural/inflection endings accepted after a term, per language
+const SUFFIXES = {
+    en: '(?:s|es)?',
+    nl: '(?:s|en)?',
+    de: '(?:e|en|n|s)?',
+    fr: '(?:s|x)?'
+};
+
+class Taxonomy {
+    constructor(options = {}) {
+        this.filePath = options.filePath || DEFAULT_FILE;
+        this.version = null;
+        this.categories = {};
+        this.entries = { treatments: [], services: [], specializations: [] };
+        this.loadedAt = null;
+        this.loadError = null;
+    }
+
+    // ===== LOADING =====
+    load() {
+        try {
+            return this.reload();
+        } catch (error) {
+            this.loadError = error.message;
+            console.error(`❌ Taxonomy not loaded from ${this.filePath}: ${error.message}`);
+            return this.summary();
+        }
+    }
+
+    reload() {
+        const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const compiled = this.compile(raw);
+
+        this.version = raw.version ?? null;
+        this.categories = raw.categories || {};
+        this.entries = compiled;
+        this.loadedAt = new Date().toISOString();
+        this.loadError = null;
+
+        const summary = this.summary();
+        console.log(`🏷️ Taxonomy loaded: ${summary.treatments} treatments, ${summary.services} services, ${summary.specializations} specializations`);
+        return summary;
+    }
+
+    compile(raw) {
+        if (!raw || typeof raw !== 'object') throw new Error('Taxonomy must be a JSON object');
+
+        const compiled = {};
+        KINDS.forEach(kind => {
+            const list = raw[kind] || [];
+            if (!Array.isArray(list)) throw new Error(`"${kind}" must be an array`);
+
+            compiled[kind] = list.map((entry, index) => {
+                if (!entry?.name) throw new Error(`${kind}[${index}] is missing "name"`);
+                if (entry.category && raw.categories && !raw.categories[entry.category]) {
+                    throw new Error(`${kind}[${index}] (${entry.name}) has unknown category "${entry.category}"`);
+                }
+
+                const termsByLanguage = { en: toTerms([entry.name, ...(entry.synonyms || [])]) };
+                Object.entries(entry.translations || {}).forEach(([language, terms]) => {
+                    if (!SUFFIXES[language]) throw new Error(`${kind}[${index}] (${entry.name}) has unsupported language "${language}"`);
+                    termsByLanguage[language] = toTerms(terms);
+                });
+
+                return {
+                    name: entry.name,
+                    category: entry.category || null,
+                    practice_types: entry.practice_types || [],
+                    terms: termsByLanguage.en,
+                    translations: termsByLanguage,
+                    patterns: Object.fromEntries(Object.entries(termsByLanguage)
+                        .filter(([, terms]) => terms.length > 0)
+                        .map(([language, terms]) => [language, buildPattern(terms, language)]))
+                };
+            });
+        });
+
+        return compiled;
+    }
+
+    summary() {
+        return {
+            file: this.filePath,
+            version: this.version,
+            loaded_at: this.loadedAt,
+            error: this.loadError,
+            categories: Object.keys(this.categories).length,
+            treatments: this.entries.treatments.length,
+            services: this.entries.services.length,
+            specializations: this.entries.specializations.length
+        };
+    }
+
+    // ===== MATCHING =====
+    // Canonical entries found in the text, most mentioned first. English terms are always
+    // matched (sites mix them in: "Botox", "HydraFacial"), plus the page language when given.
+    match(content, kind, limit, options = {}) {
+        const text = String(content || '');
+        const languages = Array.from(new Set(['en', options.language].filter(Boolean)));
+        const matches = [];
+
+        (this.entries[kind] || []).forEach(entry => {
+            const count = Math.max(0, ...languages
+                .filter(language => entry.patterns[language])
+                .map(language => (text.match(entry.patterns[language]) || []).length));
+            if (count > 0) {
+                matches.push({ name: entry.name, category: entry.category, practice_types: entry.practice_types, count });
+            }
+        });
+
+        matches.sort((a, b) => b.count - a.count);
+        return limit ? matches.slice(0, limit) : matches;
+    }
+
+    // Canonical name for a single term ("fillers" → "Dermal Fillers"), or null when unknown
+    normalize(term, kinds = KINDS) {
+        const value = String(term || '').toLowerCase().trim();
+        if (!value) return null;
+
+        for (const kind of kinds) {
+            const entry = this.entries[kind].find(candidate => Object.values(candidate.patterns).some(pattern => {
+                pattern.lastIndex = 0;
+                const match = pattern.exec(value);
+                return match && match[0].length === value.length;
+            }));
+            if (entry) return entry.name;
+        }
+        return null;
+    }
+
+    // Practice type implied by the matched entries (weighted by mentions)
+    inferPracticeType(matches) {
+        const votes = {};
+        matches.forEach(match => {
+            match.practice_types.forEach((type, index) => {
+                // The first listed type is the strongest signal
+                votes[type] = (votes[type] || 0) + match.count * (index === 0 ? 1 : 0.5);
+            });
+        });
+
+        const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+        return ranked.length > 0 ? ranked[0][0] : null;
+    }
+
+    categoriesFor(matches) {
+        return Array.from(new Set(matches.map(match => match.category).filter(Boolean)));
+    }
+}
+
+function toTerms(terms) {
+    return Array.from(new Set(terms.map(term => String(term).toLowerCase().trim()).filter(Boolean)));
+}
+
+// Whole-word match on letters in any script, so "tandarts" does not match inside "kindertandartsen"
+function buildPattern(terms, language) {
+    const alternatives = terms.map(term => term.endsWith('*')
+        ? `${escapeRegex(term.slice(0, -1))}[\\p{L}-]*`
+        : `${escapeRegex(term)}${SUFFIXES[language]}`);
+    return new RegExp(`(?<![\\p{L}\\p{N}-])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}-])`, 'giu');
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { Taxonomy };
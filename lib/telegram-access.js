@@ -0,0 +1,114 @@
+/**
+ * 🔐 TELEGRAM ACCESS CONTROL
+ *
+ * Allowlist of Telegram user and chat IDs with a role each:
+ * - admin: everything, including batches, discovery (spends Exa credits), exports and user management
+ * - viewer: read-only lead queries (/leads, /lead, /status)
+ * Admins from TELEGRAM_ADMIN_IDS / TELEGRAM_VIEWER_IDS are fixed; entries added with /allow live in
+ * DATA_DIR/telegram-access.json. Rejected attempts are appended to DATA_DIR/telegram-rejections.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['viewer', 'admin'];
+
+class TelegramAccess {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filePath = path.join(this.dataDir, 'telegram-access.json');
+        this.rejectionsPath = path.join(this.dataDir, 'telegram-rejections.jsonl');
+        this.fixed = new Map([
+            ...parseIds(options.viewerIds).map(id => [id, 'viewer']),
+            ...parseIds(options.adminIds).map(id => [id, 'admin'])
+        ]);
+        this.entries = new Map();
+    }
+
+    // ===== LOADING =====
+    load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.entries = new Map();
+
+        if (fs.existsSync(this.filePath)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                Object.entries(saved.users || {}).forEach(([id, entry]) => {
+                    if (ROLES.includes(entry.role)) this.entries.set(id, entry);
+                });
+            } catch (error) {
+                console.warn(`⚠️ Telegram access: ignoring unreadable ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        const admins = this.list().filter(user => user.role === 'admin').length;
+        console.log(`🔐 Telegram access loaded: ${this.fixed.size + this.entries.size} allowed IDs (${admins} admin)`);
+        if (admins === 0) console.warn('⚠️ No Telegram admins configured: set TELEGRAM_ADMIN_IDS to run batches from Telegram');
+        return this;
+    }
+
+    save() {
+        const users = Object.fromEntries(this.entries);
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ users }, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // ===== CHECKS =====
+    // The stronger of the user's and the chat's role, or null when neither is allowed
+    roleFor({ userId, chatId }) {
+        const roles = [userId, chatId]
+            .filter(id => id !== undefined && id !== null)
+            .map(id => this.fixed.get(String(id)) || this.entries.get(String(id))?.role)
+            .filter(Boolean);
+        return roles.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+    }
+
+    allows(role, required) {
+        return !!role && ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    logRejection(attempt) {
+        const entry = { rejected_at: new Date().toISOString(), ...attempt };
+        console.warn(`🚫 Telegram ${attempt.reason}: user ${attempt.user_id ?? '-'} in chat ${attempt.chat_id ?? '-'} (${attempt.action || 'request'})`);
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            fs.appendFileSync(this.rejectionsPath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`❌ Telegram rejection log write failed: ${error.message}`);
+        }
+    }
+
+    // ===== MANAGEMENT =====
+    grant(id, role, addedBy) {
+        const key = String(id);
+        if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        if (this.fixed.has(key)) throw new Error(`${key} is set in the environment and can't be changed from Telegram`);
+
+        this.entries.set(key, { role, added_by: addedBy !== undefined ? String(addedBy) : undefined, added_at: new Date().toISOString() });
+        this.save();
+        return { id: key, role };
+    }
+
+    revoke(id) {
+        const key = String(id);
+        if (this.fixed.has(key)) throw new Error(`${key} is set in the environment and can't be changed from Telegram`);
+        if (!this.entries.delete(key)) return false;
+
+        this.save();
+        return true;
+    }
+
+    list() {
+        return [
+            ...Array.from(this.fixed, ([id, role]) => ({ id, role, source: 'env' })),
+            ...Array.from(this.entries, ([id, entry]) => ({ id, ...entry, source: 'bot' }))
+        ];
+    }
+}
+
+function parseIds(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(id => /^-?\d+$/.test(id));
+}
+
+module.exports = { TelegramAccess, ROLES };
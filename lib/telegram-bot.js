@@ -0,0 +1,681 @@
+/**
+ * 📱 TELEGRAM BOT
+ *
+ * Runs the whole workflow from a Telegram chat through the webhook:
+ * - /discover <query> [in location] - Exa discovery with Process / Skip / Process all buttons
+ * - /leads [page], /lead <domain>, /status, /export (CSV document), /help
+ * - Every URL in a message, or in an attached .txt/.csv document, is processed as one batch job
+ * - Batch progress edits a single status message: per-URL checklist, progress bar, final score table
+ * - Webhook calls must carry the secret token; every update is checked against the role allowlist
+ *   (lib/telegram-access.js), and admins manage it with /allow, /revoke and /users
+ * Button presses arrive as callback_query updates and edit the original message in place.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const MESSAGE_LIMIT = 4096;
+const MAX_DISCOVERIES = 50;
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`,;|]+/gi;
+// Bare domains only count in documents ("smiledental.co.uk" in a CSV column)
+const DOMAIN_PATTERN = /(?<![\w@./-])(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?![\w@-])/gi;
+
+const COMMAND = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/;
+// Minimum role per command; anything else (help, unknown commands) needs viewer
+const COMMAND_ROLES = {
+    discover: 'admin',
+    export: 'admin',
+    allow: 'admin',
+    revoke: 'admin',
+    users: 'admin'
+};
+
+const VIEWER_HELP = [
+    '🏥 <b>Healthcare Lead Discovery Agent</b>',
+    '',
+    '/leads [page] - stored leads, best score first',
+    '/lead &lt;domain&gt; - details for one lead',
+    '/status - store, jobs and integrations',
+    '/help - this message'
+];
+
+const ADMIN_HELP = [
+    '',
+    '<b>Admin</b>',
+    '/discover &lt;query&gt; [in location] - find practices with Exa',
+    '/export - all stored leads as CSV',
+    '/allow &lt;id&gt; [admin|viewer] - allow a user or chat ID',
+    '/revoke &lt;id&gt; - remove a user or chat ID',
+    '/users - allowlist',
+    '',
+    'Or send practice URLs (one or many, e.g. https://healthclinic.com), or a .txt/.csv file with one per line, to process them as a batch.'
+];
+
+const CSV_COLUMNS = [
+    ['domain', lead => lead.domain],
+    ['company', lead => lead.company],
+    ['url', lead => lead.url],
+    ['lead_score', lead => lead.lead_score],
+    ['practice_type', lead => lead.practice_data?.practice_type],
+    ['phone', lead => lead.practice_data?.phone],
+    ['email', lead => lead.practice_data?.email],
+    ['city', lead => lead.practice_data?.address_city],
+    ['country', lead => lead.practice_data?.address_country],
+    ['treatments', lead => (lead.practice_data?.treatments || []).join('; ')],
+    ['rating', lead => lead.practice_data?.rating],
+    ['review_count', lead => lead.practice_data?.review_count],
+    ['online_booking', lead => lead.practice_data?.signals?.online_booking],
+    ['notion_synced', lead => lead.notion?.synced],
+    ['last_processed_at', lead => lead.last_processed_at]
+];
+
+class TelegramBot {
+    constructor(options = {}) {
+        this.token = options.token;
+        this.agent = options.agent;
+        this.access = options.access;
+        this.secretToken = options.secretToken;
+        this.baseUrl = (options.baseUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+        this.pageSize = options.pageSize || 5;
+        this.discoveryLimit = options.discoveryLimit || 5;
+        this.maxBatchUrls = options.maxBatchUrls || 100;
+        // Telegram limits edits of one message to roughly one per second
+        this.editIntervalMs = options.editIntervalMs ?? 1500;
+        // Discovery results per message, so buttons can refer to them by a short ID
+        this.discoveries = new Map();
+        this.discoveryCounter = 0;
+    }
+
+    isConfigured() {
+        return !!this.token;
+    }
+
+    // Without a secret anyone who finds the URL could post updates with an admin's user ID
+    webhookEnabled() {
+        return !!this.secretToken;
+    }
+
+    // X-Telegram-Bot-Api-Secret-Token must match the secret_token given to setWebhook
+    verifyWebhook(headerValue) {
+        if (!this.webhookEnabled()) return false;
+        const expected = Buffer.from(this.secretToken);
+        const received = Buffer.from(String(headerValue || ''));
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    // ===== BOT API =====
+    async call(method, payload) {
+        if (!this.isConfigured()) {
+            console.warn('⚠️ Telegram bot token not configured');
+            return null;
+        }
+
+        try {
+            const response = await axios.post(`${this.baseUrl}/bot${this.token}/${method}`, payload);
+            return response.data?.result;
+        } catch (error) {
+            const reason = error.response?.data?.description || error.message;
+            console.error(`❌ Telegram ${method} failed: ${reason}`);
+            throw new Error(`Telegram ${method} failed: ${reason}`);
+        }
+    }
+
+    async sendMessage(chatId, text, keyboard) {
+        const result = await this.call('sendMessage', {
+            chat_id: chatId,
+            text: truncate(text),
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: keyboard ? { inline_keyboard: keyboard } : undefined
+        });
+        console.log(`📤 Telegram message sent to ${chatId}`);
+        return result;
+    }
+
+    async editMessage(chatId, messageId, text, keyboard) {
+        try {
+            return await this.call('editMessageText', {
+                chat_id: chatId,
+                message_id: messageId,
+                text: truncate(text),
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                reply_markup: { inline_keyboard: keyboard || [] }
+            });
+        } catch (error) {
+            // Pressing the same button twice edits to identical content
+            if (/message is not modified/i.test(error.message)) return null;
+            throw error;
+        }
+    }
+
+    answerCallback(callbackId, text) {
+        return this.call('answerCallbackQuery', { callback_query_id: callbackId, text });
+    }
+
+    async sendDocument(chatId, fileName, content, caption) {
+        if (!this.isConfigured()) {
+            console.warn('⚠️ Telegram bot token not configured');
+            return null;
+        }
+
+        const form = new FormData();
+        form.append('chat_id', String(chatId));
+        form.append('caption', caption || '');
+        form.append('document', new Blob([content], { type: 'text/csv' }), fileName);
+
+        try {
+            const response = await axios.post(`${this.baseUrl}/bot${this.token}/sendDocument`, form);
+            return response.data?.result;
+        } catch (error) {
+            const reason = error.response?.data?.description || error.message;
+            console.error(`❌ Telegram sendDocument failed: ${reason}`);
+            throw new Error(`Telegram sendDocument failed: ${reason}`);
+        }
+    }
+
+    // ===== UPDATES =====
+    async handleUpdate(update) {
+        const from = update.callback_query ? update.callback_query.from : update.message.from;
+        const chatId = update.callback_query ? update.callback_query.message?.chat?.id : update.message.chat.id;
+        const { action, required } = this.classify(update);
+        const role = this.access.roleFor({ userId: from?.id, chatId });
+
+        if (!this.access.allows(role, required)) {
+            return this.reject(update, { chatId, from, role, action });
+        }
+
+        if (update.callback_query) return this.handleCallback(update.callback_query);
+
+        const message = update.message;
+        if (message.document) return this.handleDocument(chatId, message.document);
+
+        const text = message.text.trim();
+        console.log(`📱 Telegram message from ${chatId}: ${text}`);
+
+        const command = text.match(COMMAND);
+        if (!command) {
+            const urls = this.extractUrls(text);
+            return urls.length > 0 ? this.processUrls(chatId, urls) : this.sendHelp(chatId, role);
+        }
+
+        const args = (command[2] || '').trim();
+        switch (command[1].toLowerCase()) {
+        case 'discover': return this.discover(chatId, args);
+        case 'leads': return this.sendLeadsPage(chatId, parseInt(args) || 1);
+        case 'lead': return this.sendLead(chatId, args);
+        case 'status': return this.sendStatus(chatId);
+        case 'export': return this.sendExport(chatId);
+        case 'allow': return this.allowUser(chatId, args, from?.id);
+        case 'revoke': return this.revokeUser(chatId, args);
+        case 'users': return this.sendUsers(chatId);
+        default: return this.sendHelp(chatId, role);
+        }
+    }
+
+    // What an update asks for and the minimum role it needs: batches, discovery and buttons that
+    // start work are admin-only; paging through leads and read-only commands are fine for viewers
+    classify(update) {
+        if (update.callback_query) {
+            const action = String(update.callback_query.data || '').split(':')[0];
+            return { action: `button:${action}`, required: action === 'leads' ? 'viewer' : 'admin' };
+        }
+        if (update.message.document) return { action: 'document', required: 'admin' };
+
+        const text = update.message.text.trim();
+        const command = text.match(COMMAND);
+        if (command) {
+            const name = command[1].toLowerCase();
+            return { action: `/${name}`, required: COMMAND_ROLES[name] || 'viewer' };
+        }
+        return this.extractUrls(text).length > 0 ? { action: 'urls', required: 'admin' } : { action: 'text', required: 'viewer' };
+    }
+
+    async reject(update, { chatId, from, role, action }) {
+        this.access.logRejection({
+            reason: role ? 'insufficient role' : 'not allowlisted',
+            user_id: from?.id,
+            username: from?.username,
+            chat_id: chatId,
+            role,
+            action
+        });
+
+        const text = role ? '⛔ Admins only.' : `⛔ Not authorized. Ask an admin to run /allow ${from?.id ?? chatId}`;
+        if (update.callback_query) return this.answerCallback(update.callback_query.id, text);
+        return this.sendMessage(chatId, text);
+    }
+
+    // callback_data: "process:<discovery>:<index>", "skip:<discovery>:<index>", "all:<discovery>", "leads:<page>"
+    async handleCallback(query) {
+        const chatId = query.message?.chat?.id;
+        const messageId = query.message?.message_id;
+        const [action, id, index] = String(query.data || '').split(':');
+        console.log(`📱 Telegram button from ${chatId}: ${query.data}`);
+
+        if (action === 'leads') {
+            await this.answerCallback(query.id);
+            return this.sendLeadsPage(chatId, parseInt(id) || 1, messageId);
+        }
+
+        const discovery = this.discoveries.get(id);
+        if (!discovery) return this.answerCallback(query.id, 'These results have expired, run /discover again');
+
+        const pending = discovery.leads.filter(lead => lead.status === 'pending');
+        const lead = discovery.leads[parseInt(index)];
+
+        if (action === 'all') {
+            if (pending.length === 0) return this.answerCallback(query.id, 'Nothing left to process');
+            pending.forEach(item => { item.status = 'queued'; });
+            await this.answerCallback(query.id, `Processing ${pending.length} lead(s)`);
+            await this.editMessage(chatId, messageId, this.discoveryText(discovery), this.discoveryKeyboard(id, discovery));
+            return this.processUrls(chatId, pending.map(item => item.url));
+        }
+
+        if (!lead || lead.status !== 'pending') return this.answerCallback(query.id, 'Already handled');
+
+        if (action === 'skip') {
+            lead.status = 'skipped';
+            await this.answerCallback(query.id, `Skipped ${lead.domain}`);
+            return this.editMessage(chatId, messageId, this.discoveryText(discovery), this.discoveryKeyboard(id, discovery));
+        }
+
+        if (action === 'process') {
+            lead.status = 'queued';
+            await this.answerCallback(query.id, `Processing ${lead.domain}`);
+            await this.editMessage(chatId, messageId, this.discoveryText(discovery), this.discoveryKeyboard(id, discovery));
+            return this.processUrls(chatId, [lead.url]);
+        }
+
+        return this.answerCallback(query.id, 'Unknown action');
+    }
+
+    // ===== COMMANDS =====
+    sendHelp(chatId, role) {
+        return this.sendMessage(chatId, [...VIEWER_HELP, ...(role === 'admin' ? ADMIN_HELP : [])].join('\n'));
+    }
+
+    async allowUser(chatId, args, addedBy) {
+        const [id, role = 'viewer'] = args.split(/\s+/);
+        if (!/^-?\d+$/.test(id || '')) return this.sendMessage(chatId, 'Usage: /allow &lt;user or chat ID&gt; [admin|viewer]');
+
+        try {
+            this.access.grant(id, role.toLowerCase(), addedBy);
+        } catch (error) {
+            return this.sendMessage(chatId, `⚠️ ${escapeHtml(error.message)}`);
+        }
+        console.log(`🔐 Telegram access: ${id} allowed as ${role.toLowerCase()} by ${addedBy}`);
+        return this.sendMessage(chatId, `✅ <code>${escapeHtml(id)}</code> allowed as ${escapeHtml(role.toLowerCase())}`);
+    }
+
+    async revokeUser(chatId, args) {
+        const id = args.split(/\s+/)[0];
+        if (!/^-?\d+$/.test(id || '')) return this.sendMessage(chatId, 'Usage: /revoke &lt;user or chat ID&gt;');
+
+        let removed;
+        try {
+            removed = this.access.revoke(id);
+        } catch (error) {
+            return this.sendMessage(chatId, `⚠️ ${escapeHtml(error.message)}`);
+        }
+        if (removed) console.log(`🔐 Telegram access: ${id} revoked`);
+        return this.sendMessage(chatId, removed ? `🗑 <code>${escapeHtml(id)}</code> removed` : `❓ <code>${escapeHtml(id)}</code> is not on the allowlist`);
+    }
+
+    async sendUsers(chatId) {
+        const users = this.access.list();
+        const lines = users.map(user => `${user.role === 'admin' ? '👑' : '👀'} <code>${escapeHtml(user.id)}</code> ${user.role}${user.source === 'env' ? ' (env)' : ''}`);
+        return this.sendMessage(chatId, ['🔐 <b>Allowlist</b>', '', ...(lines.length > 0 ? lines : ['(empty)'])].join('\n'));
+    }
+
+    async discover(chatId, args) {
+        if (!args) return this.sendMessage(chatId, 'Usage: /discover &lt;query&gt; [in location]\nExample: /discover botox clinic in London');
+
+        // "/discover dental implants in Amsterdam" or "/discover dental implants | Amsterdam"
+        const [, query, location] = args.match(/^(.+?)(?:\s*\|\s*|\s+in\s+)([^|]+)$/i) || [null, args, ''];
+        await this.sendMessage(chatId, `🔍 Searching for <b>${escapeHtml(query)}</b>${location ? ` in ${escapeHtml(location)}` : ''}...`);
+
+        const leads = await this.agent.discoverHealthcareLeads(query, { location, limit: this.discoveryLimit });
+        if (leads.length === 0) return this.sendMessage(chatId, '⚠️ No practices found, try a broader query.');
+
+        const id = String(++this.discoveryCounter);
+        const discovery = {
+            query,
+            location,
+            leads: leads.map(lead => ({ url: lead.url, domain: lead.domain, title: lead.title, status: 'pending' }))
+        };
+        this.discoveries.set(id, discovery);
+        // Keep memory bounded: forget the oldest result sets
+        if (this.discoveries.size > MAX_DISCOVERIES) this.discoveries.delete(this.discoveries.keys().next().value);
+
+        return this.sendMessage(chatId, this.discoveryText(discovery), this.discoveryKeyboard(id, discovery));
+    }
+
+    async sendLeadsPage(chatId, page, messageId) {
+        const leads = this.agent.store.listLeads()
+            .sort((a, b) => (b.lead_score ?? 0) - (a.lead_score ?? 0) || new Date(b.last_processed_at) - new Date(a.last_processed_at));
+        const pages = Math.max(Math.ceil(leads.length / this.pageSize), 1);
+        const current = Math.min(Math.max(page, 1), pages);
+        const slice = leads.slice((current - 1) * this.pageSize, current * this.pageSize);
+
+        const text = leads.length === 0
+            ? '📭 No leads stored yet. Send a practice URL or use /discover.'
+            : [
+                `📋 <b>Leads</b> (page ${current}/${pages}, ${leads.length} total)`,
+                '',
+                ...slice.map((lead, i) => `${(current - 1) * this.pageSize + i + 1}. <b>${escapeHtml(lead.company)}</b> - ${lead.lead_score ?? 0}/100\n   ${escapeHtml(lead.domain)}${lead.notion?.synced ? '' : ' (Notion pending)'}`),
+                '',
+                'Details: /lead &lt;domain&gt;'
+            ].join('\n');
+
+        const navigation = [
+            current > 1 ? { text: '◀️ Prev', callback_data: `leads:${current - 1}` } : null,
+            current < pages ? { text: 'Next ▶️', callback_data: `leads:${current + 1}` } : null
+        ].filter(Boolean);
+        const keyboard = navigation.length > 0 ? [navigation] : undefined;
+
+        return messageId ? this.editMessage(chatId, messageId, text, keyboard) : this.sendMessage(chatId, text, keyboard);
+    }
+
+    async sendLead(chatId, domain) {
+        if (!domain) return this.sendMessage(chatId, 'Usage: /lead &lt;domain&gt;\nExample: /lead smiledental.co.uk');
+
+        const lead = this.agent.store.getLead(this.agent.normalizeDomain(domain)) || this.agent.store.getLead(domain);
+        if (!lead) return this.sendMessage(chatId, `❓ No stored lead for <code>${escapeHtml(domain)}</code>`);
+
+        const data = lead.practice_data || {};
+        const line = (label, value) => (value === undefined || value === null || value === '' ? null : `${label}: ${escapeHtml(value)}`);
+        const text = [
+            `🏥 <b>${escapeHtml(lead.company)}</b>`,
+            `🌐 ${escapeHtml(lead.url || lead.domain)}`,
+            `📊 Lead Score: ${lead.lead_score ?? 0}/100`,
+            '',
+            line('📍 Location', data.location),
+            line('📞 Phone', data.phone),
+            line('✉️ Email', data.email),
+            line('🏷️ Type', data.practice_type),
+            line('💊 Treatments', (data.treatments || []).slice(0, 8).join(', ')),
+            line('🔧 Services', (data.services || []).slice(0, 5).join(', ')),
+            line('⭐ Rating', data.rating !== null && data.rating !== undefined ? `${data.rating}${data.review_count ? ` (${data.review_count} reviews)` : ''}` : null),
+            line('📅 Online booking', data.signals ? (data.signals.online_booking ? data.signals.booking_providers.join(', ') : 'none') : null),
+            '',
+            `💾 Notion: ${lead.notion?.synced ? `synced (${escapeHtml(lead.notion.lead_id)})` : 'pending'}`,
+            `🕒 Last processed: ${escapeHtml(lead.last_processed_at)} (${lead.times_processed}x)`
+        ].filter(value => value !== null).join('\n');
+
+        return this.sendMessage(chatId, text);
+    }
+
+    async sendStatus(chatId) {
+        const stats = this.agent.store.getStats();
+        const jobs = this.agent.jobs.list();
+        const running = jobs.filter(job => ['queued', 'running', 'cancelling'].includes(job.status));
+        const check = ok => (ok ? '✅' : '❌');
+        const cache = this.agent.exa.summary();
+
+        const text = [
+            '📊 <b>Agent status</b>',
+            '',
+            `Step: ${escapeHtml(this.agent.currentStep)}`,
+            `Leads: ${stats.total_leads} (${stats.notion_synced_leads} synced, ${stats.notion_pending_leads} Notion pending)`,
+            `Runs: ${stats.total_runs} (${stats.success_rate_percent}% successful)`,
+            `Jobs: ${running.length} active${running.map(job => `\n   <code>${escapeHtml(job.id)}</code> ${job.status} ${job.progress.percent}%`).join('')}`,
+            `Exa cache: ${cache.mode}, ${cache.hits} hit(s) / ${cache.misses} miss(es)`,
+            '',
+            Object.entries(this.agent.getConfigHealth()).map(([name, ok]) => `${check(ok)} ${name}`).join('  ')
+        ].join('\n');
+
+        return this.sendMessage(chatId, text);
+    }
+
+    async sendExport(chatId) {
+        const leads = this.agent.store.listLeads();
+        if (leads.length === 0) return this.sendMessage(chatId, '📭 No leads stored yet.');
+
+        const fileName = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+        return this.sendDocument(chatId, fileName, leadsToCsv(leads), `📦 ${leads.length} lead(s)`);
+    }
+
+    // ===== BATCHES =====
+    async handleDocument(chatId, document) {
+        const name = document.file_name || 'document';
+        console.log(`📱 Telegram document from ${chatId}: ${name}`);
+
+        if (!/\.(txt|csv)$/i.test(name) && !['text/plain', 'text/csv'].includes(document.mime_type)) {
+            return this.sendMessage(chatId, '⚠️ Send URLs as a .txt or .csv file, one per line or column.');
+        }
+        if (document.file_size > MAX_DOCUMENT_BYTES) {
+            return this.sendMessage(chatId, `⚠️ ${escapeHtml(name)} is too large (max ${MAX_DOCUMENT_BYTES / 1024} KB).`);
+        }
+
+        const file = await this.call('getFile', { file_id: document.file_id });
+        const response = await axios.get(`${this.baseUrl}/file/bot${this.token}/${file.file_path}`, {
+            responseType: 'text',
+            timeout: 15000,
+            maxContentLength: MAX_DOCUMENT_BYTES
+        });
+
+        const urls = this.extractUrls(String(response.data), { bareDomains: true });
+        if (urls.length === 0) return this.sendMessage(chatId, `⚠️ No URLs found in ${escapeHtml(name)}.`);
+        return this.processUrls(chatId, urls);
+    }
+
+    // One URL per domain; bare domains (documents only) are tried over HTTPS
+    extractUrls(text, { bareDomains = false } = {}) {
+        const urls = (text.match(URL_PATTERN) || []).map(url => url.replace(/[.)\]!?:]+$/, ''));
+        if (bareDomains) {
+            const rest = text.replace(URL_PATTERN, ' ');
+            urls.push(...(rest.match(DOMAIN_PATTERN) || []).map(domain => `https://${domain}`));
+        }
+
+        const seen = new Set();
+        return urls.filter(url => {
+            let domain;
+            try {
+                domain = this.agent.normalizeDomain(new URL(url).hostname);
+            } catch {
+                return false;
+            }
+            if (seen.has(domain)) return false;
+            seen.add(domain);
+            return true;
+        });
+    }
+
+    // Runs the URLs as one batch job and keeps a single status message up to date
+    async processUrls(chatId, urls) {
+        const dropped = Math.max(urls.length - this.maxBatchUrls, 0);
+        const batch = urls.slice(0, this.maxBatchUrls);
+        const status = await this.sendMessage(chatId, `📦 Queuing ${batch.length} URL(s)...${dropped ? `\n⚠️ Only the first ${this.maxBatchUrls} are processed (${dropped} dropped).` : ''}`);
+        const messageId = status?.message_id;
+
+        let lastEdit = 0;
+        let timer = null;
+        let latest = null;
+        let edits = Promise.resolve();
+        const enqueue = task => {
+            edits = edits.then(task).catch(error => console.error(`❌ Telegram progress update failed: ${error.message}`));
+        };
+        const flush = () => {
+            timer = null;
+            lastEdit = Date.now();
+            const job = latest;
+            enqueue(() => this.editMessage(chatId, messageId, this.progressText(job)));
+        };
+
+        const job = this.agent.submitBatchJob('telegram', batch, undefined, {
+            onProgress: snapshot => {
+                latest = snapshot;
+                if (!messageId || timer) return;
+                timer = setTimeout(flush, Math.max(this.editIntervalMs - (Date.now() - lastEdit), 0));
+            },
+            onFinish: snapshot => {
+                clearTimeout(timer);
+                timer = null;
+                enqueue(() => this.sendSummary(chatId, messageId, snapshot));
+            }
+        });
+        console.log(`📱 Telegram batch ${job.id}: ${batch.length} URL(s) for chat ${chatId}`);
+        return job;
+    }
+
+    // The summary replaces the status message; a table too long for one message continues in follow-ups
+    async sendSummary(chatId, messageId, job) {
+        const [first, ...rest] = this.summaryMessages(job);
+        if (messageId) {
+            await this.editMessage(chatId, messageId, first);
+        } else {
+            await this.sendMessage(chatId, first);
+        }
+        for (const text of rest) await this.sendMessage(chatId, text);
+    }
+
+    // ===== RENDERING =====
+    progressText(job) {
+        const { progress } = job;
+        const done = progress.succeeded + progress.failed + progress.cancelled;
+        const header = [
+            `📦 <b>Processing ${progress.total} URL(s)</b>`,
+            `${progressBar(progress.percent)} ${progress.percent}% (${done}/${progress.total})`,
+            ''
+        ];
+        const lines = job.items.map((item, i) => {
+            const detail = item.status === 'succeeded' ? ` - ${item.lead_score ?? 0}/100`
+                : item.status === 'failed' ? ` - ${shorten(item.error || 'failed', 60)}` : '';
+            return `${STATUS_ICONS[item.status] || '▫️'} ${i + 1}. ${escapeHtml(shorten(item.company || hostOf(item.url), 40) + detail)}`;
+        });
+        return fitLines(header, lines);
+    }
+
+    summaryMessages(job) {
+        const { progress } = job;
+        const header = [
+            `🏁 <b>Batch ${escapeHtml(job.status)}</b>: ${progress.succeeded}/${progress.total} succeeded` +
+                `${progress.failed ? `, ${progress.failed} failed` : ''}${progress.cancelled ? `, ${progress.cancelled} cancelled` : ''}`,
+            ''
+        ];
+
+        // Best leads first; failures at the bottom with their reason
+        const rows = job.items
+            .map((item, i) => ({ item, i }))
+            .sort((a, b) => (b.item.status === 'succeeded') - (a.item.status === 'succeeded')
+                || (b.item.lead_score ?? -1) - (a.item.lead_score ?? -1) || a.i - b.i)
+            .map(({ item }) => {
+                const name = shorten(item.company || hostOf(item.url), 26).padEnd(26);
+                const score = item.status === 'succeeded' ? String(item.lead_score ?? 0).padStart(5) : '    -';
+                const result = item.status === 'succeeded' ? (item.action || 'stored') : shorten(item.error || item.status, 30);
+                return escapeHtml(`${name} ${score}  ${result}`);
+            });
+        const tableHeader = escapeHtml(`${'Practice'.padEnd(26)} Score  Result`);
+
+        // Each message gets its own <pre> block so no tag spans two messages
+        const messages = [];
+        let chunk = [];
+        let size = header.join('\n').length + tableHeader.length + 40;
+        rows.forEach(row => {
+            if (size + row.length + 1 > MESSAGE_LIMIT && chunk.length > 0) {
+                messages.push(chunk);
+                chunk = [];
+                size = tableHeader.length + 40;
+            }
+            chunk.push(row);
+            size += row.length + 1;
+        });
+        messages.push(chunk);
+
+        return messages.map((lines, index) => [
+            ...(index === 0 ? header : [`(continued ${index + 1}/${messages.length})`]),
+            `<pre>${[tableHeader, ...lines].join('\n')}</pre>`
+        ].join('\n'));
+    }
+
+    discoveryText(discovery) {
+        const icons = { pending: '▫️', queued: '⏳', skipped: '⏭' };
+        return [
+            `🔍 <b>${escapeHtml(discovery.query)}</b>${discovery.location ? ` in ${escapeHtml(discovery.location)}` : ''}: ${discovery.leads.length} practice(s)`,
+            '',
+            ...discovery.leads.map((lead, i) => `${icons[lead.status]} ${i + 1}. <b>${escapeHtml(lead.title || lead.domain)}</b>\n   ${escapeHtml(lead.url)}`)
+        ].join('\n');
+    }
+
+    discoveryKeyboard(id, discovery) {
+        const rows = discovery.leads
+            .map((lead, i) => (lead.status === 'pending'
+                ? [
+                    { text: `▶️ Process ${i + 1}`, callback_data: `process:${id}:${i}` },
+                    { text: `⏭ Skip ${i + 1}`, callback_data: `skip:${id}:${i}` }
+                ]
+                : null))
+            .filter(Boolean);
+        if (rows.length > 1) rows.push([{ text: '🚀 Process all', callback_data: `all:${id}` }]);
+        return rows;
+    }
+}
+
+// ===== HELPERS =====
+const STATUS_ICONS = { pending: '▫️', running: '⏳', succeeded: '✅', failed: '❌', cancelled: '⏹' };
+
+function progressBar(percent, width = 12) {
+    const filled = Math.round(percent / 100 * width);
+    return `${'▓'.repeat(filled)}${'░'.repeat(width - filled)}`;
+}
+
+// Keeps as many lines as fit in one message and counts the rest
+function fitLines(header, lines) {
+    const budget = MESSAGE_LIMIT - header.join('\n').length - 40;
+    const kept = [];
+    let size = 0;
+    for (const line of lines) {
+        if (size + line.length + 1 > budget) break;
+        kept.push(line);
+        size += line.length + 1;
+    }
+    const hidden = lines.length - kept.length;
+    return [...header, ...kept, ...(hidden > 0 ? [`… and ${hidden} more`] : [])].join('\n');
+}
+
+function shorten(text, max) {
+    const value = String(text ?? '');
+    return value.length <= max ? value : `${value.slice(0, max - 1)}…`;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return String(url);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Telegram rejects messages over 4096 characters; cut at a line break so no HTML tag is left open
+function truncate(text) {
+    if (text.length <= MESSAGE_LIMIT) return text;
+    const cut = text.slice(0, MESSAGE_LIMIT - 2);
+    return `${cut.slice(0, cut.lastIndexOf('\n') > 0 ? cut.lastIndexOf('\n') : cut.length)}\n…`;
+}
+
+// Scraped text goes straight into the export, so a cell that starts like a formula is prefixed
+// with ' to keep spreadsheets from evaluating it (=HYPERLINK(...), +cmd|..., @SUM(...))
+function leadsToCsv(leads) {
+    const cell = value => {
+        const raw = value === undefined || value === null ? '' : String(value);
+        const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [
+        CSV_COLUMNS.map(([name]) => name).join(','),
+        ...leads.map(lead => CSV_COLUMNS.map(([, read]) => cell(read(lead))).join(','))
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    TelegramBot,
+    escapeHtml,
+    leadsToCsv
+};
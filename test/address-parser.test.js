@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAddress, findAddresses, normalizeCountry } = require('../lib/address-parser');
+
+test('parses addresses in each supported postcode format', () => {
+    const cases = [
+        ['Praxis\nHauptstraße 12\n80331 München\nTel 089', { street: 'Hauptstraße 12', city: 'München', postcode: '80331', country: 'DE', formatted: 'Hauptstraße 12, 80331 München' }],
+        ['Tandarts Centrum, Keizersgracht 123, 1015 CJ Amsterdam', { street: 'Keizersgracht 123', city: 'Amsterdam', postcode: '1015 CJ', country: 'NL', formatted: 'Keizersgracht 123, 1015 CJ Amsterdam' }],
+        ['Smile Dental, 221B Baker Street, London NW1 6XE', { street: '221B Baker Street', city: 'London', postcode: 'NW1 6XE', country: 'GB', formatted: '221B Baker Street, London NW1 6XE' }],
+        ['Suite 4, 120 Collins Street, Melbourne VIC 3000', { street: 'Suite 4, 120 Collins Street', city: 'Melbourne', region: 'VIC', postcode: '3000', country: 'AU', formatted: 'Suite 4, 120 Collins Street, Melbourne VIC 3000' }],
+        ['12 rue de la Paix, 75002 Paris', { street: '12 rue de la Paix', city: 'Paris', postcode: '75002', country: 'FR', formatted: '12 rue de la Paix, 75002 Paris' }],
+        ['500 Main St, Springfield, IL 62701', { street: '500 Main St', city: 'Springfield', region: 'IL', postcode: '62701', country: 'US', formatted: '500 Main St, Springfield, IL 62701' }]
+    ];
+
+    cases.forEach(([text, expected]) => assert.deepStrictEqual(parseAddress(text), expected, text));
+});
+
+test('German and French postcodes need a street so bare five-digit numbers are ignored', () => {
+    assert.deepStrictEqual(findAddresses('Over 12000 Patienten behandelt'), []);
+    assert.strictEqual(parseAddress('No address here'), null);
+});
+
+test('the country hint breaks ties between equally complete addresses', () => {
+    const text = 'Hauptstraße 12, 80331 München. Also at 12 rue de la Paix, 75002 Paris';
+    assert.strictEqual(parseAddress(text).country, 'DE');
+    assert.strictEqual(parseAddress(text, { countryHint: 'France' }).country, 'FR');
+});
+
+test('normalizeCountry maps country names and codes', () => {
+    assert.strictEqual(normalizeCountry('Deutschland'), 'DE');
+    assert.strictEqual(normalizeCountry(' The Netherlands '), 'NL');
+    assert.strictEqual(normalizeCountry('Mars'), null);
+});
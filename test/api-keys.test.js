@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_KEY = 'env-admin-secret';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+process.env.API_ADMIN_KEY = ADMIN_KEY;
+const { CompleteHealthcareAutomationAgent, app } = require('../autonomous-agent');
+
+// The agent logs every key event; the Node 20 test runner can trip over that much child output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+// One agent and server for the file: routes are registered on the shared express app
+const agent = new CompleteHealthcareAutomationAgent();
+agent.store.load();
+agent.apiKeys.load();
+agent.setupRoutes();
+const server = app.listen(0, '127.0.0.1');
+const baseUrl = () => `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+async function call(method, route, key, body, header = 'authorization') {
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers[header] = header === 'authorization' ? `Bearer ${key}` : key;
+    const response = await fetch(`${baseUrl()}${route}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function createKey(body) {
+    const created = await call('POST', '/api-keys', ADMIN_KEY, body);
+    assert.strictEqual(created.status, 201);
+    return created.body;
+}
+
+test('only the SHA-256 hash of a created key is stored on disk', async () => {
+    const created = await createKey({ name: 'dashboard', scopes: ['read'] });
+    const saved = fs.readFileSync(agent.apiKeys.filePath, 'utf8');
+    const entry = JSON.parse(saved).keys.find(key => key.id === created.id);
+
+    assert.match(created.key, /^hla_/);
+    assert.ok(!saved.includes(created.key), 'raw key written to disk');
+    assert.strictEqual(entry.hash, require('crypto').createHash('sha256').update(created.key).digest('hex'));
+    assert.strictEqual(created.hash, undefined);
+});
+
+test('missing and unknown keys get 401', async () => {
+    assert.strictEqual((await call('GET', '/leads')).status, 401);
+    assert.strictEqual((await call('GET', '/leads', 'hla_unknown')).status, 401);
+    assert.strictEqual((await call('GET', '/leads', 'hla_unknown', null, 'x-api-key')).status, 401);
+});
+
+test('a key without the route scope gets 403; admin implies every scope', async () => {
+    const reader = await createKey({ name: 'reader', scopes: ['read'] });
+    const admin = await createKey({ name: 'second admin', scopes: ['admin'] });
+
+    assert.strictEqual((await call('GET', '/leads', reader.key)).status, 200);
+    assert.strictEqual((await call('GET', '/leads', reader.key, null, 'x-api-key')).status, 200);
+    const denied = await call('GET', '/api-keys', reader.key);
+    assert.strictEqual(denied.status, 403);
+    assert.deepStrictEqual(denied.body.scopes, ['read']);
+
+    assert.strictEqual((await call('GET', '/leads', admin.key)).status, 200);
+    assert.strictEqual((await call('GET', '/api-keys', admin.key)).status, 200);
+    ['discover', 'process', 'read'].forEach(scope => assert.ok(agent.apiKeys.hasScope(agent.apiKeys.authenticate(admin.key), scope)));
+});
+
+test('the per-key rate limit answers 429 once the window is used up and resets with the next window', async () => {
+    const limited = await createKey({ name: 'limited', scopes: ['read'], rate_limit_per_minute: 2 });
+
+    const first = await call('GET', '/leads', limited.key);
+    assert.strictEqual(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.strictEqual((await call('GET', '/leads', limited.key)).status, 200);
+    const blocked = await call('GET', '/leads', limited.key);
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) >= 1);
+
+    const window = agent.apiKeys.windows.get(limited.id);
+    const next = agent.apiKeys.checkRateLimit(agent.apiKeys.authenticate(limited.key), window.start + 60000);
+    assert.deepStrictEqual([next.allowed, next.remaining], [true, 1]);
+});
+
+test('a revoked key stops working on the next request', async () => {
+    const key = await createKey({ name: 'temporary', scopes: ['read'] });
+    assert.strictEqual((await call('GET', '/leads', key.key)).status, 200);
+
+    assert.strictEqual((await call('DELETE', `/api-keys/${key.id}`, ADMIN_KEY)).status, 200);
+    assert.strictEqual((await call('GET', '/leads', key.key)).status, 401);
+    assert.strictEqual((await call('DELETE', '/api-keys/env-admin', ADMIN_KEY)).status, 400);
+});
+
+test('every authenticated request is appended to the usage log', async () => {
+    const key = await createKey({ name: 'logged', scopes: ['read'] });
+    await call('GET', '/leads', key.key);
+    await call('GET', '/api-keys', key.key);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const entries = fs.readFileSync(agent.apiKeys.usagePath, 'utf8').trim().split('\n').map(line => JSON.parse(line)).filter(entry => entry.key_id === key.id);
+    assert.deepStrictEqual(entries.map(entry => [entry.route, entry.status]), [['GET /leads', 200]]);
+    assert.strictEqual(agent.apiKeys.list().find(listed => listed.id === key.id).usage.requests, 1);
+});
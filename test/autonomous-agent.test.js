@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-'));
+const { CompleteHealthcareAutomationAgent } = require('../autonomous-agent');
+const { NotionClient } = require('../lib/notion-client');
+const { ExaClient, ExaCacheMissError } = require('../lib/exa-client');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// The agent logs every step; the Node 20 test runner can trip over that much child output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+test('validateNotionData keeps non-ASCII letters and strips control characters', () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const record = agent.validateNotionData({
+        company: 'Zahnarztpraxis Müller\u0007',
+        url: 'https://zahnarzt-mueller.de',
+        address_street: 'Hauptstraße 12',
+        address_city: 'München',
+        address_postcode: '80331',
+        address_country: 'Germany',
+        location: 'Hauptstraße 12,\n80331 München',
+        treatments: ['Implantologie', 'Prothetik\u0000'],
+        insurers: ['Barmer', 'Techniker Krankenkasse'],
+        practitioners: [{ name: 'Dr. Jürgen Weiß', title: 'Dr.' }]
+    });
+
+    assert.strictEqual(record.company, 'Zahnarztpraxis Müller');
+    assert.strictEqual(record.street, 'Hauptstraße 12');
+    assert.strictEqual(record.city, 'München');
+    assert.strictEqual(record.location, 'Hauptstraße 12, 80331 München');
+    assert.strictEqual(record.treatments, 'Implantologie, Prothetik');
+    assert.match(record.practitioners, /Jürgen Weiß/);
+});
+
+// Local stand-in for the Notion API holding one existing lead page
+function startNotion(existingRecord) {
+    const client = new NotionClient({});
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body: raw ? JSON.parse(raw) : undefined });
+            const page = { id: 'page1', url: 'https://notion.so/page1', properties: client.buildProperties(existingRecord) };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(req.method === 'POST' ? { results: [page] } : page));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        requests,
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`
+    })));
+}
+
+function practice(overrides = {}) {
+    return {
+        company: 'Smile Clinic',
+        url: 'https://smile.example',
+        domain: 'smile.example',
+        phone: '+442079460000',
+        treatments: ['Botox'],
+        prices: [{ treatment: 'Botox', amount: 199, currency: 'GBP', qualifier: 'from' }],
+        lead_score: 60,
+        ...overrides
+    };
+}
+
+// options.fieldSources: provenance of the incoming run; options.stored: the previous run in the local store
+async function upsertAgainst(existing, incoming, t, options = {}) {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const notion = await startNotion(agent.validateNotionData(existing));
+    t.after(() => notion.server.close());
+    agent.notion = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl: notion.baseUrl });
+    if (options.stored) agent.store.saveLead(options.stored);
+
+    const result = await agent.upsertNotionLead(agent.validateNotionData(incoming), options.fieldSources);
+    return { result, patches: notion.requests.filter(request => request.method === 'PATCH') };
+}
+
+test('a duplicate lead whose only change is its prices is updated in Notion', async (t) => {
+    const { result, patches } = await upsertAgainst(practice(), practice({ prices: [{ treatment: 'Botox', amount: 229, currency: 'GBP', qualifier: 'from' }] }), t);
+
+    assert.strictEqual(result.action, 'updated');
+    assert.deepStrictEqual(result.changed_fields, ['prices']);
+    assert.strictEqual(patches.length, 1);
+    assert.strictEqual(patches[0].body.properties.Prices.rich_text[0].text.content, 'Botox: from GBP 229');
+});
+
+test('an identical re-run leaves the Notion page alone, and a run without prices keeps the old ones', async (t) => {
+    const same = await upsertAgainst(practice(), practice(), t);
+    assert.strictEqual(same.result.action, 'unchanged');
+    assert.strictEqual(same.patches.length, 0);
+
+    const none = await upsertAgainst(practice(), practice({ prices: [] }), t);
+    assert.strictEqual(none.result.action, 'unchanged');
+    assert.strictEqual(none.result.record.prices, 'Botox: from GBP 199');
+});
+
+test('changes to any Notion-mapped field update the duplicate, compared as Notion values', async (t) => {
+    const changes = [
+        ['rating', { rating: 4.8 }],
+        ['review_count', { review_count: 120 }],
+        ['review_sources', { review_sources: [{ source: 'Google', rating: 4.8, count: 120 }] }],
+        ['payment_model', { payment_model: 'Private' }],
+        ['booking_provider', { signals: { booking_providers: ['Calendly'], cms: 'WordPress' } }]
+    ];
+    const base = { rating: 4.5, review_count: 80, payment_model: 'Mixed', signals: { booking_providers: [], cms: 'WordPress' } };
+
+    for (const [field, overrides] of changes) {
+        const { result } = await upsertAgainst(practice(base), practice({ ...base, ...overrides }), t);
+        assert.strictEqual(result.action, 'updated', field);
+        assert.ok(result.changed_fields.includes(field), `${field} in ${result.changed_fields}`);
+    }
+
+    const same = await upsertAgainst(practice(base), practice(base), t);
+    assert.strictEqual(same.result.action, 'unchanged');
+});
+
+// Exa stand-in answering every search with one text result for the practice
+function startExa(t, results) {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ results }));
+        });
+    });
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+// The live website must never be fetched in replay mode
+function agentWithoutWebsite(exa) {
+    const agent = new CompleteHealthcareAutomationAgent();
+    agent.exa = exa;
+    agent.crawls = [];
+    agent.crawler = { crawl: async (url) => { agent.crawls.push(url); return { pages: [], errors: [] }; } };
+    return agent;
+}
+
+test('replay mode never fetches the homepage or crawls the site', async (t) => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-exa-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    const baseUrl = await startExa(t, [{ url: 'https://smile.example/', title: 'Smile Dental', text: 'Smile Dental offers Botox. Call 020 7946 0000.' }]);
+
+    const live = agentWithoutWebsite(new ExaClient({ apiKey: 'key', baseUrl, cacheDir }));
+    await live.searchWithExa('https://smile.example/', 'Smile');
+    assert.strictEqual(live.crawls.length, 1, 'live runs fetch the homepage for structured data');
+
+    const replay = agentWithoutWebsite(new ExaClient({ cacheDir, replay: true }));
+    const hit = await replay.searchWithExa('https://smile.example/', 'Smile');
+    assert.strictEqual(hit.content_source, 'exa');
+    await assert.rejects(replay.searchWithExa('https://other.example/', 'Other'), ExaCacheMissError);
+    await assert.rejects(replay.scrapeHealthcarePractice('https://other.example/'), ExaCacheMissError);
+    assert.deepStrictEqual(replay.crawls, []);
+});
+
+test('a cached empty Exa response in replay mode does not fall back to the crawler', async (t) => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-exa-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    const baseUrl = await startExa(t, []);
+    await agentWithoutWebsite(new ExaClient({ apiKey: 'key', baseUrl, cacheDir })).searchWithExa('https://empty.example/', 'Empty');
+
+    const replay = agentWithoutWebsite(new ExaClient({ cacheDir, replay: true }));
+    const result = await replay.searchWithExa('https://empty.example/', 'Empty');
+    assert.strictEqual(result.content_source, 'placeholder');
+    assert.deepStrictEqual(replay.crawls, []);
+});
+
+test('a stored URL-guess name is replaced by a name read from a more trusted source', async (t) => {
+    const guessed = { ...practice(), company: 'Smiledental', url: 'https://smiledental.co.uk', domain: 'smiledental.co.uk' };
+    const named = { ...guessed, company: 'Smile Dental Clinic' };
+
+    const upgraded = await upsertAgainst(guessed, named, t, { fieldSources: { company: { source: 'json-ld', confidence: 0.95 } } });
+    assert.strictEqual(upgraded.result.action, 'updated');
+    assert.deepStrictEqual(upgraded.result.changed_fields, ['company']);
+    assert.strictEqual(upgraded.patches[0].body.properties.Company.title[0].text.content, 'Smile Dental Clinic');
+
+    // A later run that only guessed from the URL keeps the real name
+    const kept = await upsertAgainst(named, guessed, t, { fieldSources: { company: { source: 'url-heuristic', confidence: 0.3 } } });
+    assert.strictEqual(kept.result.action, 'unchanged');
+    assert.strictEqual(kept.result.record.company, 'Smile Dental Clinic');
+});
+
+test('stored provenance decides whether a different name replaces the stored one', async (t) => {
+    const stored = { ...practice(), company: 'Smile Clinic London', url: 'https://smileclinic.example', domain: 'smileclinic.example', practiceId: 'smileclinic-example' };
+    stored.field_sources = { company: { source: 'opengraph', confidence: 0.75 } };
+    const incoming = { ...stored, company: 'Smile Clinic' };
+
+    const weaker = await upsertAgainst(stored, incoming, t, { stored, fieldSources: { company: { source: 'html', confidence: 0.7 } } });
+    assert.strictEqual(weaker.result.record.company, 'Smile Clinic London');
+
+    const stronger = await upsertAgainst(stored, incoming, t, { stored, fieldSources: { company: { source: 'json-ld', confidence: 0.95 } } });
+    assert.strictEqual(stronger.result.record.company, 'Smile Clinic');
+    assert.ok(stronger.result.changed_fields.includes('company'));
+});
+
+test('national phone numbers on a .com site take the country from the page language', async () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const text = 'Welkom bij onze praktijk. U kunt een afspraak maken voor de behandeling. Bel ons: 020 123 4567';
+
+    const data = await agent.extractHealthcareData([{ url: 'https://smile.com/contact', text }], 'https://smile.com', 'Smile');
+
+    assert.strictEqual(data.phone, '+31201234567');
+    assert.strictEqual(data.phone_country, 'NL');
+});
+
+test('a national phone number no country can be inferred for is kept as written', async () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const text = 'Welcome to our clinic. Book your appointment with us today. Call us: 020 123 4567';
+
+    const data = await agent.extractHealthcareData([{ url: 'https://smile.com/contact', text }], 'https://smile.com', 'Smile');
+
+    assert.strictEqual(data.phone, '020 123 4567');
+    assert.strictEqual(data.phone_country, null);
+    assert.strictEqual(data.phone_type, 'unknown');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ExaClient, ExaCacheMissError, cacheKey } = require('../lib/exa-client');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exa-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Local stand-in for POST /search: answers with a result naming the request number
+function startExa(t) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw) });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ results: [{ url: 'https://smile.example/', title: `response ${requests.length}` }] }));
+        });
+    });
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ requests, baseUrl: `http://127.0.0.1:${server.address().port}` })));
+}
+
+const BODY = { query: 'Smile Dental London', numResults: 3, includeDomains: ['smile.example'] };
+
+test('a cached response is served within the TTL', async (t) => {
+    const exa = await startExa(t);
+    const client = new ExaClient({ apiKey: 'key', baseUrl: exa.baseUrl, cacheDir: tempDir(t) });
+
+    const first = await client.search(BODY);
+    const second = await client.search(BODY);
+
+    assert.strictEqual(exa.requests.length, 1);
+    assert.strictEqual(exa.requests[0].headers['x-api-key'], 'key');
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual([client.stats.hits, client.stats.misses, client.stats.writes], [1, 1, 1]);
+});
+
+test('an entry older than the TTL is fetched again', async (t) => {
+    const exa = await startExa(t);
+    const cacheDir = tempDir(t);
+    const client = new ExaClient({ apiKey: 'key', baseUrl: exa.baseUrl, cacheDir, ttlMs: 60 * 60 * 1000 });
+    await client.search(BODY);
+
+    const filePath = path.join(cacheDir, `${cacheKey(BODY)}.json`);
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    entry.stored_at = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(entry));
+
+    const response = await client.search(BODY);
+    assert.strictEqual(exa.requests.length, 2);
+    assert.strictEqual(response.results[0].title, 'response 2');
+    assert.strictEqual(client.stats.expired, 1);
+});
+
+test('key order, whitespace, case and domain order do not change the cache key', () => {
+    const variant = { includeDomains: ['SMILE.example'], numResults: 3, query: '  smile   dental london ', contents: undefined };
+    assert.strictEqual(cacheKey(variant), cacheKey(BODY));
+    assert.strictEqual(cacheKey({ query: 'a', includeDomains: ['b.com', 'a.com'] }), cacheKey({ includeDomains: ['a.com', 'b.com'], query: 'a' }));
+    assert.notStrictEqual(cacheKey({ ...BODY, numResults: 5 }), cacheKey(BODY));
+});
+
+test('refresh bypasses the cache and stores the new response', async (t) => {
+    const exa = await startExa(t);
+    const client = new ExaClient({ apiKey: 'key', baseUrl: exa.baseUrl, cacheDir: tempDir(t) });
+    await client.search(BODY);
+
+    const refreshed = await client.search(BODY, { refresh: true });
+    const cached = await client.search(BODY);
+
+    assert.strictEqual(exa.requests.length, 2);
+    assert.strictEqual(refreshed.results[0].title, 'response 2');
+    assert.strictEqual(cached.results[0].title, 'response 2');
+    assert.strictEqual(client.stats.refreshes, 1);
+});
+
+test('replay mode serves expired entries and throws ExaCacheMissError without any HTTP call', async (t) => {
+    const exa = await startExa(t);
+    const cacheDir = tempDir(t);
+    await new ExaClient({ apiKey: 'key', baseUrl: exa.baseUrl, cacheDir }).search(BODY);
+
+    const replay = new ExaClient({ baseUrl: exa.baseUrl, cacheDir, replay: true, ttlMs: 0 });
+    assert.strictEqual(replay.isAvailable(), true);
+    assert.strictEqual((await replay.search(BODY)).results[0].title, 'response 1');
+    await assert.rejects(replay.search({ ...BODY, query: 'uncached' }), ExaCacheMissError);
+    await assert.rejects(replay.search(BODY, { refresh: true }).then(() => replay.search({ query: 'other' })), ExaCacheMissError);
+
+    assert.strictEqual(exa.requests.length, 1);
+    assert.strictEqual(replay.stats.replay_misses, 2);
+});
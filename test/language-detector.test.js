@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, normalizeLanguage, htmlLanguage } = require('../lib/language-detector');
+const { Taxonomy } = require('../lib/taxonomy');
+const { SiteCrawler } = require('../lib/site-crawler');
+
+test.mock.method(console, 'log', () => {});
+
+// Practice homepages as fetched; the Dutch theme still declares lang="en"
+const PAGES = {
+    nl: `<html lang="en"><body><h1>Tandartspraktijk De Molen</h1>
+        <p>Welkom bij onze praktijk in Utrecht. Wij zijn er voor de hele familie en het maken van een afspraak is eenvoudig.</p>
+        <h2>Behandelingen</h2><p>Tandimplantaten, tanden bleken, een onzichtbare beugel en mondhygiëne bij onze mondhygiënist.</p>
+        <p>Ook voor spoedtandarts zorg kunt u bij ons terecht.</p></body></html>`,
+    de: `<html lang="de-DE"><body><h1>Zahnarztpraxis Dr. Weber</h1>
+        <p>Willkommen in unserer Praxis. Wir sind für Sie da und die Terminvereinbarung ist auch online möglich.</p>
+        <h2>Leistungen</h2><p>Zahnimplantate, Zahnaufhellung, professionelle Zahnreinigung und Kieferorthopädie, auch die unsichtbare Zahnspange.</p>
+        </body></html>`,
+    fr: `<html lang="fr"><body><h1>Cabinet Dentaire Lumière</h1>
+        <p>Bienvenue dans notre cabinet. Nous sommes à votre écoute pour les soins dentaires et le blanchiment dentaire.</p>
+        <p>Prenez rendez-vous pour une consultation, une couronne dentaire ou des implants dentaires avec le détartrage.</p>
+        </body></html>`,
+    en: `<html lang="en"><body><h1>Smile Dental London</h1>
+        <p>Welcome to our practice. We offer dental implants and teeth whitening for you and your family.</p>
+        <p>Book an appointment online with our team, or call us from Monday to Friday.</p></body></html>`
+};
+
+const crawler = new SiteCrawler();
+const pageText = language => crawler.htmlToText(PAGES[language]);
+
+function loadedTaxonomy() {
+    const taxonomy = new Taxonomy();
+    taxonomy.load();
+    return taxonomy;
+}
+
+test('detects Dutch, German, French and English practice pages', () => {
+    Object.keys(PAGES).forEach(language => {
+        const result = detectLanguage(pageText(language), { htmlLang: htmlLanguage(PAGES[language]) });
+        assert.strictEqual(result.language, language, `${language} page`);
+        assert.ok(result.confidence > 0.5, `${language} confidence ${result.confidence}`);
+    });
+});
+
+test('the page text wins over a wrong html lang attribute', () => {
+    assert.strictEqual(htmlLanguage(PAGES.nl), 'en');
+    assert.strictEqual(detectLanguage(pageText('nl'), { htmlLang: 'en' }).language, 'nl');
+});
+
+test('too little text falls back to the html lang, then English', () => {
+    assert.deepStrictEqual(detectLanguage('Zahnarzt', { htmlLang: 'de-AT' }), {
+        language: 'de',
+        confidence: 0,
+        scores: { en: 0, nl: 0, de: 0.5, fr: 0 }
+    });
+    assert.strictEqual(detectLanguage('Tandarts Utrecht').language, 'en');
+    assert.strictEqual(detectLanguage('', { htmlLang: 'pt-BR' }).language, 'en');
+});
+
+test('normalizeLanguage and htmlLanguage read language tags', () => {
+    assert.strictEqual(normalizeLanguage('nl-NL'), 'nl');
+    assert.strictEqual(normalizeLanguage('DE_de'), 'de');
+    assert.strictEqual(normalizeLanguage('es'), null);
+    assert.strictEqual(htmlLanguage('<!doctype html><html class="no-js" lang=fr-BE>'), 'fr-BE');
+    assert.strictEqual(htmlLanguage('<html><body lang="nl">'), null);
+});
+
+test('Dutch terms map back to the canonical English treatments', () => {
+    const matches = loadedTaxonomy().match(pageText('nl'), 'treatments', 0, { language: 'nl' }).map(match => match.name);
+
+    assert.deepStrictEqual(matches.sort(), ['Dental Hygiene', 'Dental Implants', 'Invisalign', 'Orthodontics', 'Teeth Whitening']);
+});
+
+test('German compounds and French phrases map back to the canonical English treatments', () => {
+    const taxonomy = loadedTaxonomy();
+    const german = taxonomy.match(pageText('de'), 'treatments', 0, { language: 'de' }).map(match => match.name);
+    const french = taxonomy.match(pageText('fr'), 'treatments', 0, { language: 'fr' }).map(match => match.name);
+
+    assert.deepStrictEqual(german.sort(), ['Dental Hygiene', 'Dental Implants', 'Invisalign', 'Orthodontics', 'Teeth Whitening']);
+    assert.deepStrictEqual(french.sort(), ['Consultation', 'Dental Crown', 'Dental Hygiene', 'Dental Implants', 'Teeth Whitening']);
+    ['de', 'fr'].forEach(language => {
+        assert.deepStrictEqual(taxonomy.match(pageText(language), 'services', 0, { language }).map(match => match.name), ['General Dentistry']);
+    });
+});
+
+test('translations only count for the page language; English terms always count', () => {
+    const taxonomy = loadedTaxonomy();
+
+    assert.deepStrictEqual(taxonomy.match('Tanden bleken en Botox', 'treatments', 0, { language: 'en' }).map(match => match.name), ['Botox']);
+    assert.deepStrictEqual(taxonomy.match('Tanden bleken en Botox', 'treatments', 0, { language: 'nl' }).map(match => match.name).sort(), ['Botox', 'Teeth Whitening']);
+    assert.strictEqual(taxonomy.inferPracticeType(taxonomy.match(pageText('nl'), 'treatments', 0, { language: 'nl' })), 'dental');
+});
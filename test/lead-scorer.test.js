@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeadScorer, formatBreakdown } = require('../lib/lead-scorer');
+
+const RULES = {
+    version: 7,
+    max_score: 100,
+    rules: [
+        { id: 'type', label: 'Practice type', type: 'lookup', field: 'practice_type', points: { cosmetic: 20, dental: 12 }, default: 1 },
+        { id: 'value', label: 'Treatment value', type: 'tiers', field: 'treatments', tiers: [{ name: 'high', points: 20, values: ['Dental Implants'] }, { name: 'medium', points: 12, values: ['Botox'] }] },
+        { id: 'contact', label: 'Contact', type: 'fields', fields: { phone: 7, email: 5 } },
+        { id: 'breadth', label: 'Breadth', type: 'count', fields: ['services', 'treatments'], points_per_item: 2, max: 6 },
+        { id: 'booking', label: 'Online booking', type: 'lookup', field: 'signals.online_booking', points: { false: 4 }, default: 0 },
+        { id: 'rating', label: 'Rating', type: 'threshold', field: 'rating', steps: [{ min: 4.5, points: 3 }, { min: 4.0, points: 2 }] }
+    ]
+};
+
+function scorerWith(t, rules) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-scorer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'scoring.json');
+    fs.writeFileSync(filePath, JSON.stringify(rules));
+    return { scorer: new LeadScorer({ filePath }), filePath };
+}
+
+test('scores every rule type and explains each one', (t) => {
+    const { scorer } = scorerWith(t, RULES);
+    scorer.load();
+
+    const result = scorer.score({
+        practice_type: 'Cosmetic',
+        treatments: ['Botox', 'Dental Implants'],
+        services: 'Consultations, Aftercare',
+        phone: '+442079460000',
+        signals: { online_booking: false },
+        rating: 4.2
+    });
+
+    assert.strictEqual(result.version, 7);
+    assert.deepStrictEqual(result.breakdown.map(item => [item.rule, item.points, item.max, item.reason]), [
+        ['type', 20, 20, 'practice_type is cosmetic'],
+        ['value', 20, 20, 'high tier: Dental Implants'],
+        ['contact', 7, 12, 'has phone; missing email'],
+        ['breadth', 6, 6, '4 item(s) across services, treatments'],
+        ['booking', 4, 4, 'signals.online_booking is false'],
+        ['rating', 2, 3, 'rating 4.2 ≥ 4']
+    ]);
+    assert.strictEqual(result.score, 59);
+    assert.strictEqual(formatBreakdown(result.breakdown).split('\n')[2], 'Contact: 7/12 (has phone; missing email)');
+});
+
+test('unlisted and missing values fall back to defaults', (t) => {
+    const { scorer } = scorerWith(t, RULES);
+    scorer.load();
+
+    const reasons = Object.fromEntries(scorer.score({ practice_type: 'therapy', rating: 3.1 }).breakdown.map(item => [item.rule, [item.points, item.reason]]));
+
+    assert.deepStrictEqual(reasons.type, [1, 'practice_type "therapy" is not listed']);
+    assert.deepStrictEqual(reasons.value, [0, 'no treatments']);
+    assert.deepStrictEqual(reasons.booking, [0, 'no signals.online_booking']);
+    assert.deepStrictEqual(reasons.rating, [0, 'rating 3.1 below 4']);
+});
+
+test('a missing threshold value is reported as not found rather than zero', (t) => {
+    const { scorer } = scorerWith(t, RULES);
+    scorer.load();
+
+    [{}, { rating: null }, { rating: '' }].forEach(lead => {
+        const rating = scorer.score(lead).breakdown.find(item => item.rule === 'rating');
+        assert.deepStrictEqual([rating.points, rating.reason], [0, 'no rating found']);
+    });
+    assert.strictEqual(scorer.score({ rating: 0 }).breakdown.find(item => item.rule === 'rating').reason, 'rating 0 below 4');
+});
+
+test('reload keeps the old rules when the new file is invalid', (t) => {
+    const { scorer, filePath } = scorerWith(t, RULES);
+    scorer.load();
+
+    fs.writeFileSync(filePath, JSON.stringify({ rules: [{ id: 'broken', type: 'threshold', field: 'rating' }] }));
+    assert.throws(() => scorer.reload(), /needs a "steps" array/);
+    assert.strictEqual(scorer.rules.length, RULES.rules.length);
+    assert.strictEqual(scorer.version, 7);
+});
+
+test('the shipped config/scoring.json loads and validates', () => {
+    const scorer = new LeadScorer();
+    const summary = scorer.load();
+
+    assert.strictEqual(summary.error, null);
+    assert.ok(summary.rules.length > 0);
+});
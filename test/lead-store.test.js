@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeadStore } = require('../lib/lead-store');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function lineCount(store) {
+    return fs.readFileSync(store.filePath, 'utf8').split('\n').filter(Boolean).length;
+}
+
+test('load compacts superseded lead lines and keeps runs and the latest lead state', (t) => {
+    const dataDir = tempDir(t);
+    const store = new LeadStore({ dataDir }).load();
+    store.recordRun({ url: 'https://a.com', success: true });
+    store.saveLead({ domain: 'a.com', company: 'A', lead_score: 10 });
+    store.updateLead('a.com', { lead_score: 20 });
+    store.updateLead('a.com', { lead_score: 30 });
+    store.saveLead({ domain: 'b.com', company: 'B', lead_score: 5 });
+    fs.appendFileSync(store.filePath, 'not json\n');
+    assert.strictEqual(lineCount(store), 6);
+
+    const reloaded = new LeadStore({ dataDir }).load();
+
+    assert.strictEqual(lineCount(reloaded), 3);
+    assert.strictEqual(reloaded.getLead('a.com').lead_score, 30);
+    assert.strictEqual(reloaded.getRuns().length, 1);
+    assert.strictEqual(new LeadStore({ dataDir }).load().listLeads().length, 2);
+});
+
+test('compacts while running once the stale line threshold is reached', (t) => {
+    const store = new LeadStore({ dataDir: tempDir(t), compactThreshold: 3 }).load();
+    store.saveLead({ domain: 'a.com', company: 'A' });
+    store.updateLead('a.com', { lead_score: 1 });
+    store.updateLead('a.com', { lead_score: 2 });
+    assert.strictEqual(lineCount(store), 3);
+
+    store.updateLead('a.com', { lead_score: 3 });
+
+    assert.strictEqual(lineCount(store), 1);
+    assert.strictEqual(store.staleLines, 0);
+    assert.strictEqual(store.getLead('a.com').lead_score, 3);
+});
+
+test('keeps only the latest maxRuns runs and folds older ones into the all-time stats', (t) => {
+    const dataDir = tempDir(t);
+    const store = new LeadStore({ dataDir, maxRuns: 3, compactThreshold: 2 }).load();
+    [true, false, true, true, false].forEach((success, i) => store.recordRun({ url: `https://${i}.com`, success }));
+
+    assert.deepStrictEqual(store.getRuns().map(run => run.url), ['https://2.com', 'https://3.com', 'https://4.com']);
+    assert.strictEqual(lineCount(store), 4);
+    const stats = store.getStats();
+    assert.strictEqual(stats.total_runs, 5);
+    assert.strictEqual(stats.stored_runs, 3);
+    assert.strictEqual(stats.successful_runs, 3);
+    assert.strictEqual(stats.failed_runs, 2);
+
+    // The totals line survives a restart
+    const reloaded = new LeadStore({ dataDir, maxRuns: 3 }).load();
+    assert.strictEqual(reloaded.getStats().total_runs, 5);
+    assert.strictEqual(reloaded.getStats().successful_runs, 3);
+    assert.strictEqual(reloaded.getRuns().length, 3);
+});
+
+test('a lower maxRuns trims the history on load', (t) => {
+    const dataDir = tempDir(t);
+    const store = new LeadStore({ dataDir }).load();
+    for (let i = 0; i < 6; i++) store.recordRun({ url: `https://${i}.com`, success: i % 2 === 0 });
+
+    const reloaded = new LeadStore({ dataDir, maxRuns: 2 }).load();
+
+    assert.strictEqual(lineCount(reloaded), 3);
+    assert.deepStrictEqual(reloaded.getRuns().map(run => run.url), ['https://4.com', 'https://5.com']);
+    assert.strictEqual(reloaded.getStats().total_runs, 6);
+    assert.strictEqual(reloaded.getStats().successful_runs, 3);
+});
+
+test('getRuns pages back from the newest run', (t) => {
+    const store = new LeadStore({ dataDir: tempDir(t) }).load();
+    for (let i = 0; i < 7; i++) store.recordRun({ url: `https://${i}.com`, success: i !== 3 });
+    const urls = runs => runs.map(run => run.url.slice(8, 9)).join('');
+
+    assert.strictEqual(urls(store.getRuns({ limit: 3 })), '456');
+    assert.strictEqual(urls(store.getRuns({ limit: 3, offset: 3 })), '123');
+    assert.strictEqual(urls(store.getRuns({ limit: 3, offset: 6 })), '0');
+    assert.strictEqual(urls(store.getRuns({ limit: 3, offset: 9 })), '');
+    assert.strictEqual(urls(store.getRuns({ status: 'success', limit: 2, offset: 3 })), '12');
+    assert.strictEqual(store.countRuns({ status: 'failed' }), 1);
+});
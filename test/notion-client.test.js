@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { NotionClient, LEAD_PROPERTIES } = require('../lib/notion-client');
+
+// Local stand-in for the Notion API: handler(req, body) → { status, body, headers }
+function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : undefined;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const reply = handler(req, body, requests.length);
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+            res.end(JSON.stringify(reply.body || {}));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        requests,
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`
+    })));
+}
+
+function fullSchema() {
+    return Object.fromEntries(Object.values(LEAD_PROPERTIES).map(({ name, type }) => [name, { type }]));
+}
+
+test('verifySchema accepts a database with every lead property', async (t) => {
+    const { server, baseUrl, requests } = await startServer(() => ({ body: { properties: fullSchema() } }));
+    t.after(() => server.close());
+
+    const client = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl });
+    const report = await client.verifySchema();
+
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.missing, []);
+    assert.strictEqual(requests[0].url, '/v1/databases/db1');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+});
+
+test('verifySchema reports missing and mistyped properties', async (t) => {
+    const properties = fullSchema();
+    delete properties.Phone;
+    properties['Lead Score'] = { type: 'rich_text' };
+    const { server, baseUrl } = await startServer(() => ({ body: { properties } }));
+    t.after(() => server.close());
+
+    const report = await new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl }).verifySchema();
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.missing, [{ field: 'phone', property: 'Phone', expected_type: 'phone_number' }]);
+    assert.deepStrictEqual(report.mismatched, [{ field: 'lead_score', property: 'Lead Score', expected_type: 'number', actual_type: 'rich_text' }]);
+});
+
+test('after verifySchema, page writes leave out missing and mistyped properties', async (t) => {
+    const properties = fullSchema();
+    ['Prices', 'Insurers', 'Review Sources', 'Website Signals'].forEach(name => delete properties[name]);
+    properties['Lead Score'] = { type: 'rich_text' };
+    const { server, baseUrl, requests } = await startServer(req => ({ body: req.method === 'GET' ? { properties } : { id: 'page1' } }));
+    t.after(() => server.close());
+    t.mock.method(console, 'warn', () => {});
+
+    const client = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl });
+    const lead = { company: 'Smile', domain: 'smile.example', prices: 'Botox: GBP 199', insurers: ['Bupa'], lead_score: 60, city: 'London' };
+    assert.ok('Prices' in client.buildProperties(lead), 'everything is written before the schema is known');
+
+    await client.verifySchema();
+    await client.createPage(lead);
+    await client.updatePage('page1', lead);
+
+    [requests[1], requests[2]].forEach(request => {
+        assert.deepStrictEqual(Object.keys(request.body.properties).sort(), ['City', 'Company', 'Domain']);
+    });
+    assert.ok(!('prices' in client.writableProperties()));
+    assert.match(console.warn.mock.calls[0].arguments[0], /skips properties the database lacks: Prices, Insurers, Lead Score/);
+});
+
+test('writes fail clearly when the title or domain property is missing', async (t) => {
+    const properties = fullSchema();
+    delete properties.Domain;
+    const { server, baseUrl, requests } = await startServer(() => ({ body: { properties } }));
+    t.after(() => server.close());
+
+    const client = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl });
+    await client.verifySchema();
+
+    await assert.rejects(client.createPage({ company: 'Smile', domain: 'smile.example' }), /missing required properties: "Domain"/);
+    assert.strictEqual(requests.length, 1);
+});
+
+test('request retries rate limits and server errors, honouring Retry-After', async (t) => {
+    const { server, baseUrl, requests } = await startServer((req, body, count) => (count === 1
+        ? { status: 429, headers: { 'Retry-After': '0.01' }, body: { message: 'slow down' } }
+        : count === 2 ? { status: 502, headers: { 'Retry-After': '0.01' } } : { body: { id: 'page1' } }));
+    t.after(() => server.close());
+
+    const client = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl, maxRetries: 2 });
+    const page = await client.createPage({ company: 'Smile Dental', lead_score: 80 });
+
+    assert.strictEqual(page.id, 'page1');
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(requests[2].body.properties.Company, { title: [{ text: { content: 'Smile Dental' } }] });
+    assert.deepStrictEqual(requests[2].body.properties['Lead Score'], { number: 80 });
+});
+
+test('request gives up after maxRetries and surfaces the Notion error', async (t) => {
+    const { server, baseUrl, requests } = await startServer(() => ({ status: 503, headers: { 'Retry-After': '0.01' }, body: { code: 'service_unavailable', message: 'down' } }));
+    t.after(() => server.close());
+
+    const client = new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl, maxRetries: 1 });
+    await assert.rejects(client.queryDatabase(), error => error.status === 503 && error.code === 'service_unavailable' && /Notion API 503: down/.test(error.message));
+    assert.strictEqual(requests.length, 2);
+});
+
+test('client errors are not retried', async (t) => {
+    const { server, baseUrl, requests } = await startServer(() => ({ status: 400, body: { code: 'validation_error', message: 'bad property' } }));
+    t.after(() => server.close());
+
+    await assert.rejects(new NotionClient({ apiKey: 'secret', databaseId: 'db1', baseUrl }).updatePage('p1', { company: 'x' }), /Notion API 400/);
+    assert.strictEqual(requests.length, 1);
+});
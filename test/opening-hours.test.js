@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOpeningHoursText, fromStructuredHours, normalizeOpeningHours, hoursFlags, formatOpeningHours, timezoneFor } = require('../lib/opening-hours');
+
+const format = text => {
+    const weekly = parseOpeningHoursText(text);
+    return weekly && formatOpeningHours({ weekly });
+};
+
+test('parses English, Dutch and German day and time formats', () => {
+    assert.strictEqual(format('Mon–Fri 9:00–17:00, Sat 10:00–14:00'), 'Mon–Fri 09:00–17:00; Sat 10:00–14:00');
+    assert.strictEqual(format('Open Monday to Friday 9am-5pm'), 'Mon–Fri 09:00–17:00');
+    assert.strictEqual(format('ma t/m vr 08.00 - 17.00 uur\nZaterdag: gesloten'), 'Mon–Fri 08:00–17:00');
+    assert.strictEqual(format('Montag bis Freitag 8:00–18:00 Uhr'), 'Mon–Fri 08:00–18:00');
+    assert.strictEqual(format('Sprechzeiten: Mo, Di, Do 8:00-12:00 und 14:00-18:00'), 'Mon–Tue 08:00–12:00, 14:00–18:00; Thu 08:00–12:00, 14:00–18:00');
+    assert.strictEqual(format('Monday:\n9:00 - 17:00\nSo 10:00-12:00'), 'Mon 09:00–17:00; Sun 10:00–12:00');
+});
+
+test('two-letter days only count at the start of a line or after a separator', () => {
+    assert.strictEqual(parseOpeningHoursText('We do 10:00-12:00 sessions on request'), null);
+    assert.strictEqual(parseOpeningHoursText('Our hygienists do 10:00-12:00 sessions'), null);
+    assert.strictEqual(format('Do 10:00-12:00'), 'Thu 10:00–12:00');
+    assert.strictEqual(format('Mo-Do 8:00-18:00 Uhr Fr 8:00-14:00 Uhr'), 'Mon–Thu 08:00–18:00; Fri 08:00–14:00');
+});
+
+test('bare number ranges are not times', () => {
+    assert.strictEqual(parseOpeningHoursText('Monday 2-3 appointments'), null);
+});
+
+test('structured data wins over page text', () => {
+    const hours = normalizeOpeningHours({
+        structured: ['Mo-Fr 09:00-17:00', { days: ['Saturday'], opens: '10:00', closes: '14:00' }, { days: ['Sunday'], opens: '00:00', closes: '00:00' }],
+        structuredSource: { source: 'json-ld', page: 'https://smile.example/' },
+        textPages: [{ url: 'https://smile.example/contact', text: 'Mon–Sun 8:00–20:00' }],
+        country: 'US',
+        region: 'CA'
+    });
+
+    assert.strictEqual(hours.timezone, 'America/Los_Angeles');
+    assert.strictEqual(hours.source, 'json-ld');
+    assert.strictEqual(formatOpeningHours(hours), 'Mon–Fri 09:00–17:00; Sat 10:00–14:00');
+    assert.deepStrictEqual(hoursFlags(hours), { open_weekends: true, open_evenings: false, weekly_open_hours: 44 });
+    assert.strictEqual(fromStructuredHours([]), null);
+});
+
+test('timezoneFor uses the region for multi-zone countries', () => {
+    assert.strictEqual(timezoneFor('nl'), 'Europe/Amsterdam');
+    assert.strictEqual(timezoneFor('AU', 'WA'), 'Australia/Perth');
+    assert.strictEqual(timezoneFor('CA'), 'America/Toronto');
+    assert.strictEqual(timezoneFor('ZZ'), null);
+});
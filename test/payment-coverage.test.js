@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractCoverage, listIncludes } = require('../lib/payment-coverage');
+const { SiteCrawler } = require('../lib/site-crawler');
+
+const crawler = new SiteCrawler();
+const text = html => crawler.htmlToText(html);
+
+// UK practice taking both NHS and private patients, with finance and a multilingual team
+const UK_HTML = `<html><body><h1>Fees</h1>
+    <p>We welcome NHS and private patients. Denplan and Bupa members are covered.</p>
+    <h2>Paying for treatment</h2><ul><li>0% finance available through Tabeo</li><li>Visa, Mastercard and cash</li></ul>
+    <h2>Our team</h2><p>Dr. Patel speaks Gujarati and Hindi. Our dentists also speak Polish.</p>
+    <p>We polish and whiten teeth.</p></body></html>`;
+
+// Private-only UK practice that no longer sees NHS patients
+const PRIVATE_HTML = `<html><body><p>We are a private practice and no longer accept NHS patients.</p>
+    <p>Spread the cost with Klarna.</p></body></html>`;
+
+// Dutch practice: insurers, iDEAL and spoken languages
+const NL_HTML = `<html><body><h2>Vergoeding</h2>
+    <p>Behandelingen worden vergoed door uw zorgverzekeraar via de aanvullende verzekering. Wij hebben contracten met Zilveren Kruis, CZ, VGZ en Menzis.</p>
+    <p>Betalen kan met pinnen of iDEAL.</p><p>Wij spreken Nederlands, Engels en Turks.</p></body></html>`;
+
+// German practice for all statutory insurers
+const DE_HTML = `<html><body><p>Wir behandeln Kassenpatienten aller Kassen (AOK, TK, Barmer) und Privatpatienten.</p>
+    <p>Ratenzahlung möglich. Sprachen: Deutsch, Englisch, Russisch</p></body></html>`;
+
+test('a UK page lists insurers, finance, payment methods and languages', () => {
+    const coverage = extractCoverage(text(UK_HTML));
+
+    assert.deepStrictEqual(coverage.insurers, ['Bupa', 'Denplan']);
+    assert.deepStrictEqual(coverage.payment_options, ['Tabeo', 'Finance plans', 'Credit/debit card', 'Cash']);
+    assert.strictEqual(coverage.financing_available, true);
+    assert.deepStrictEqual(coverage.funding.sort(), ['insurance', 'nhs', 'private']);
+    assert.strictEqual(coverage.payment_model, 'mixed');
+    assert.deepStrictEqual(coverage.languages_spoken.sort(), ['Gujarati', 'Hindi', 'Polish']);
+});
+
+test('a practice that no longer takes NHS patients is private-pay', () => {
+    const coverage = extractCoverage(text(PRIVATE_HTML));
+
+    assert.deepStrictEqual(coverage.funding, ['private']);
+    assert.strictEqual(coverage.payment_model, 'private-pay');
+    assert.deepStrictEqual(coverage.payment_options, ['Klarna', 'Finance plans']);
+    assert.strictEqual(extractCoverage('Sorry, we are not accepting new NHS patients.').payment_model, 'private-pay');
+    assert.strictEqual(extractCoverage('We do not offer NHS treatment, but we are happy to see NHS referrals.').payment_model, 'mixed');
+});
+
+test('Dutch insurers, iDEAL and "Wij spreken" are recognised', () => {
+    const coverage = extractCoverage(text(NL_HTML));
+
+    assert.deepStrictEqual(coverage.insurers, ['Zilveren Kruis', 'CZ', 'VGZ', 'Menzis']);
+    assert.deepStrictEqual(coverage.payment_options, ['Credit/debit card', 'iDEAL']);
+    assert.strictEqual(coverage.financing_available, false);
+    assert.strictEqual(coverage.payment_model, 'insurance');
+    assert.deepStrictEqual(coverage.languages_spoken, ['English', 'Dutch', 'Turkish']);
+});
+
+test('German statutory and private patients make a mixed model', () => {
+    const coverage = extractCoverage(text(DE_HTML));
+
+    assert.deepStrictEqual(coverage.insurers, ['AOK', 'Techniker Krankenkasse', 'Barmer']);
+    assert.deepStrictEqual(coverage.payment_options, ['Finance plans']);
+    assert.strictEqual(coverage.payment_model, 'mixed');
+    assert.deepStrictEqual(coverage.languages_spoken, ['English', 'German', 'Russian']);
+});
+
+test('short insurer acronyms only match in capitals and Denplan alone is private dentistry', () => {
+    assert.deepStrictEqual(extractCoverage('Book a cz appointment at the dsw office.').insurers, []);
+
+    const denplan = extractCoverage('Join Denplan Care from £18.50 a month.');
+    assert.deepStrictEqual(denplan.insurers, ['Denplan']);
+    assert.strictEqual(denplan.payment_model, 'private-pay');
+});
+
+test('a page without coverage details gives empty lists and no payment model', () => {
+    assert.deepStrictEqual(extractCoverage(''), {
+        insurers: [],
+        payment_options: [],
+        financing_available: false,
+        funding: [],
+        payment_model: null,
+        languages_spoken: []
+    });
+});
+
+test('lead filters compare list values case-insensitively', () => {
+    assert.strictEqual(listIncludes(['Bupa', 'Denplan'], 'bupa'), true);
+    assert.strictEqual(listIncludes(['Bupa'], 'Aviva'), false);
+    assert.strictEqual(listIncludes(undefined, 'Bupa'), false);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findPhoneNumbers, parsePhoneNumber, countryFromHostname, countryFromLanguage } = require('../lib/phone-parser');
+
+test('parsePhoneNumber normalizes national and international formats to E.164', () => {
+    assert.deepStrictEqual(parsePhoneNumber('020 7946 0000', 'GB'), { e164: '+442079460000', country: 'GB', type: 'landline', raw: '020 7946 0000' });
+    assert.strictEqual(parsePhoneNumber('+44 (0)20 7946 0000').e164, '+442079460000');
+    assert.strictEqual(parsePhoneNumber('0031 6 1234 5678').e164, '+31612345678');
+    assert.strictEqual(parsePhoneNumber('0031 6 1234 5678').type, 'mobile');
+    assert.strictEqual(parsePhoneNumber('(212) 555-0147', 'US').e164, '+12125550147');
+    assert.strictEqual(parsePhoneNumber('+1 416 555 0147', 'CA').country, 'CA');
+    assert.strictEqual(parsePhoneNumber('0800 123 4567', 'GB').type, 'toll_free');
+});
+
+test('parsePhoneNumber rejects numbers it cannot place', () => {
+    assert.strictEqual(parsePhoneNumber('020 7946 0000'), null, 'national format without a country');
+    assert.strictEqual(parsePhoneNumber('20 7946 0000', 'GB'), null, 'missing trunk prefix');
+    assert.strictEqual(parsePhoneNumber('0111 1111 111', 'GB'), null, 'repeated digits');
+    assert.strictEqual(parsePhoneNumber('+31 6 1234', 'NL'), null, 'too short');
+});
+
+test('findPhoneNumbers prefers a labelled landline and skips dates, hours and registry numbers', () => {
+    const text = [
+        'Open 09.00-17.30, since 1998-2024. KvK: 12345678',
+        'Mobiel: 06 1234 5678',
+        'Fax: 020 123 4568',
+        'Telefoon: 020 123 4567',
+        'Updated 12-03-2024'
+    ].join('\n');
+
+    const phones = findPhoneNumbers(text, { defaultCountry: 'NL' });
+
+    assert.deepStrictEqual(phones.primary, { e164: '+31201234567', type: 'landline', country: 'NL', raw: '020 123 4567' });
+    assert.deepStrictEqual(phones.alternates.map(phone => [phone.e164, phone.type]), [
+        ['+31612345678', 'mobile'],
+        ['+31201234568', 'fax']
+    ]);
+});
+
+test('countryFromHostname maps country TLDs', () => {
+    assert.strictEqual(countryFromHostname('www.smile.co.uk'), 'GB');
+    assert.strictEqual(countryFromHostname('tandarts.nl.'), 'NL');
+    assert.strictEqual(countryFromHostname('dentist.com'), null);
+});
+
+test('findPhoneNumbers keeps national numbers it cannot place as written', () => {
+    const text = 'Bel ons: 020 123 4567 of +31 6 1234 5678. Ref 12345678. Since 1998-2024.';
+
+    const phones = findPhoneNumbers(text);
+
+    assert.deepStrictEqual(phones.primary, { e164: '+31612345678', type: 'mobile', country: 'NL', raw: '+31 6 1234 5678' });
+    assert.deepStrictEqual(phones.alternates, [{ e164: null, type: 'unknown', country: null, raw: '020 123 4567' }]);
+    assert.strictEqual(findPhoneNumbers('Telephone: (212) 555-0147').primary.raw, '(212) 555-0147');
+    assert.strictEqual(findPhoneNumbers('Telephone: (212) 555-0147').primary.country, null);
+    assert.strictEqual(findPhoneNumbers('Order 20 7946 0000').primary, null, 'unlabelled without a trunk 0');
+});
+
+test('countryFromLanguage uses the html lang region, then the page language', () => {
+    assert.strictEqual(countryFromLanguage('nl', 'nl-BE'), 'BE');
+    assert.strictEqual(countryFromLanguage('en', 'en-GB'), 'GB');
+    assert.strictEqual(countryFromLanguage('en', 'en_uk'), 'GB');
+    assert.strictEqual(countryFromLanguage('de', 'en'), 'DE');
+    assert.strictEqual(countryFromLanguage('fr'), 'FR');
+    assert.strictEqual(countryFromLanguage('en', 'en'), null);
+    assert.strictEqual(countryFromLanguage(null, 'pt-BR'), null);
+});
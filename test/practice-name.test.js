@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { titleCandidates, copyrightCandidates, rankPracticeNames, cleanName } = require('../lib/practice-name');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'practice-name-test-'));
+const { CompleteHealthcareAutomationAgent } = require('../autonomous-agent');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+test.mock.method(console, 'log', () => {});
+
+const HOSTNAME = 'smile-dental-ams.nl';
+
+// Homepage and contact page of one practice: JSON-LD, og:site_name, titles and a footer copyright line
+const HOME_HTML = `<html><head><title>Home | Smile Dental Amsterdam</title>
+    <meta property="og:site_name" content="Smile Dental Amsterdam">
+    <script type="application/ld+json">{ "@context": "https://schema.org", "@type": "Dentist", "name": "Smile Dental Amsterdam B.V." }</script>
+    </head><body><h1>Welkom</h1><footer>© 2019-2024 Smile Dental Amsterdam B.V. Alle rechten voorbehouden.</footer></body></html>`;
+const CONTACT_HTML = `<html><head><title>Contact - Beste tandarts in Amsterdam - Smile Dental</title></head>
+    <body><p>Bel ons</p><footer>Copyright 2024 Smile Dental | Privacy</footer></body></html>`;
+const BARE_HTML = `<html><head><title>Tandarts in Amsterdam | Beste Tandartspraktijk</title></head>
+    <body><footer>© 2024 Tandartspraktijk Zuid. Alle rechten voorbehouden.</footer></body></html>`;
+
+function htmlPage(agent, url, html) {
+    return { url, html, title: agent.crawler.extractTitle(html), text: agent.crawler.htmlToText(html) };
+}
+
+test('title candidates drop separators and generic parts', () => {
+    assert.deepStrictEqual(titleCandidates('Home | Smile Dental Amsterdam', 'title', 'p').map(candidate => candidate.name), ['Smile Dental Amsterdam']);
+    assert.deepStrictEqual(titleCandidates('Contact - Beste tandarts in Amsterdam - Smile Dental').map(candidate => candidate.name), ['Beste tandarts in Amsterdam', 'Smile Dental']);
+    assert.deepStrictEqual(titleCandidates('Welkom » Startseite'), []);
+    assert.deepStrictEqual(titleCandidates('Smile-Dental'), [{ name: 'Smile-Dental', source: 'title', page: undefined }]);
+});
+
+test('copyright lines yield the name without years, legal suffixes or rights notices', () => {
+    const names = text => copyrightCandidates(text).map(candidate => candidate.name);
+
+    assert.deepStrictEqual(names('© 2019-2024 Smile Dental Amsterdam B.V. Alle rechten voorbehouden.'), ['Smile Dental Amsterdam']);
+    assert.deepStrictEqual(names('Copyright © 2024 Praxis Dr. Müller GmbH - Impressum'), ['Praxis Dr. Müller']);
+    assert.deepStrictEqual(names('(c) 2023 Glow Clinic Ltd | Privacy'), ['Glow Clinic']);
+    assert.deepStrictEqual(names('Copyright 2024. All rights reserved.'), []);
+});
+
+test('cleanName rejects generic, numeric and overlong names', () => {
+    assert.strictEqual(cleanName('  "Smile Dental B.V."  '), 'Smile Dental');
+    assert.strictEqual(cleanName('Über uns'), null);
+    assert.strictEqual(cleanName('2024'), null);
+    assert.strictEqual(cleanName('The best dental clinic for the whole family in town'), null);
+});
+
+test('agreeing sources and a domain match outrank a higher-weight descriptive title', () => {
+    const ranked = rankPracticeNames([
+        { name: 'Best Dental Clinic in Amsterdam', source: 'title', page: 'a' },
+        { name: 'Smile Dental', source: 'copyright', page: 'a' },
+        { name: 'Smile Dental', source: 'exa-title', page: 'b' },
+        { name: 'Dental Group Holdings', source: 'opengraph', page: 'a' }
+    ], HOSTNAME);
+
+    assert.deepStrictEqual(ranked.map(candidate => [candidate.name, candidate.score]), [
+        ['Smile Dental', 1.05],
+        ['Dental Group Holdings', 0.87],
+        ['Best Dental Clinic in Amsterdam', 0.48]
+    ]);
+    assert.deepStrictEqual(ranked[0].sources, ['copyright', 'exa-title']);
+    assert.strictEqual(ranked[0].source, 'copyright');
+});
+
+test('JSON-LD, OpenGraph, titles and copyright agree on the practice name across pages', () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const pages = [
+        htmlPage(agent, `https://${HOSTNAME}/`, HOME_HTML),
+        htmlPage(agent, `https://${HOSTNAME}/contact`, CONTACT_HTML)
+    ];
+
+    const name = agent.extractPracticeName({ structured: agent.extractStructuredFacts(pages), htmlPages: pages, textPages: pages, hostname: HOSTNAME, textSource: 'html' });
+
+    assert.strictEqual(name.value, 'Smile Dental Amsterdam');
+    assert.strictEqual(name.source, 'json-ld');
+    assert.strictEqual(name.page, `https://${HOSTNAME}/`);
+    assert.strictEqual(name.confidence, 0.95);
+    assert.deepStrictEqual(name.candidates[0].sources.sort(), ['copyright', 'json-ld', 'opengraph', 'title']);
+    assert.strictEqual(name.candidates[1].name, 'Smile Dental');
+});
+
+test('without structured data the copyright line beats a descriptive title', () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const pages = [htmlPage(agent, 'https://tandarts-zuid.nl/', BARE_HTML)];
+
+    const name = agent.extractPracticeName({ structured: agent.extractStructuredFacts(pages), htmlPages: pages, textPages: pages, hostname: 'tandarts-zuid.nl', textSource: 'html' });
+
+    assert.strictEqual(name.value, 'Tandartspraktijk Zuid');
+    assert.strictEqual(name.source, 'html');
+    assert.strictEqual(name.method, 'copyright');
+});
+
+test('Exa result titles count when there is no fetched HTML, and nothing usable yields no name', () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const textPages = [{ url: `https://${HOSTNAME}/`, title: 'Smile Dental Amsterdam - Tandarts', text: 'Welkom bij onze praktijk.' }];
+    const empty = { facts: {}, sources: {}, siteNames: [] };
+
+    const name = agent.extractPracticeName({ structured: empty, textPages, hostname: HOSTNAME, textSource: 'exa' });
+
+    assert.strictEqual(name.value, 'Smile Dental Amsterdam');
+    assert.strictEqual(name.source, 'exa');
+    assert.strictEqual(name.method, 'exa-title');
+    assert.deepStrictEqual(agent.extractPracticeName({ structured: empty, textPages: [{ url: 'x', title: 'Home', text: '' }], hostname: HOSTNAME, textSource: 'exa' }), { value: null, candidates: [] });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractPractitioners, formatPractitioners, detectRole } = require('../lib/practitioner-extractor');
+const { extractStructuredData } = require('../lib/structured-data');
+const { SiteCrawler } = require('../lib/site-crawler');
+
+const crawler = new SiteCrawler();
+const textPage = (url, html) => ({ url, text: crawler.htmlToText(html) });
+const jsonLdNodes = (url, html) => extractStructuredData(html).json_ld.map(node => ({ node, page: url }));
+
+const TEAM_URL = 'https://smile-dental.co.uk/our-team';
+const TEAM_HTML = `<html><body><h1>Meet the Team</h1>
+    <div class="member"><h3>Dr. Jane Smith</h3><p>Principal Dentist and owner, special interest in implantology</p></div>
+    <div class="member"><h3>Tom Lee</h3><p>Dental Hygienist</p></div>
+    <div class="member"><h3>Sarah O'Neill</h3><p>Practice Manager</p></div>
+    <div class="member"><h3>Opening Hours</h3><p>Monday to Friday</p></div>
+    <p>Implants are placed by Mark Jones, BDS MJDF, our oral surgeon.</p>
+    <div class="member"><h3>Fiona MacLeod</h3><p>Dental Nurse</p></div>
+</body></html>`;
+
+const ABOUT_URL = 'https://tandartspraktijk-zuid.nl/over-ons';
+const ABOUT_HTML = `<html><body><h2>Ons team</h2>
+    <p>Sanne de Vries</p><p>Tandarts, praktijkhouder</p>
+    <p>Pieter van den Berg</p><p>Mondhygiënist</p>
+    <p>Welkom Bij Ons</p><p>Afspraak maken</p>
+</body></html>`;
+
+const HOME_URL = 'https://praxis-mueller.de/';
+const HOME_HTML = `<html><head><script type="application/ld+json">{
+    "@context": "https://schema.org", "@type": "Dentist", "name": "Zahnarztpraxis Müller",
+    "founder": { "@type": "Person", "name": "Klaus Müller", "honorificPrefix": "Dr. med. dent.", "jobTitle": "Zahnarzt und Praxisinhaber" },
+    "employee": [{ "@type": "Person", "name": "Anna Weber", "jobTitle": "Kieferorthopädin", "medicalSpecialty": "https://schema.org/Orthodontic" }]
+}</script></head><body><p>Dr. Klaus Müller und sein Team freuen sich auf Sie.</p></body></html>`;
+
+test('a team page yields names, honorifics, roles and the owner', () => {
+    const people = extractPractitioners({ textPages: [textPage(TEAM_URL, TEAM_HTML)] });
+
+    assert.deepStrictEqual(people.map(person => [person.name, person.title, person.role, person.owner]), [
+        ['Jane Smith', 'Dr.', 'Dentist', true],
+        ['Tom Lee', undefined, 'Dental Hygienist', false],
+        ["Sarah O'Neill", undefined, 'Practice Manager', false],
+        ['Mark Jones', 'BDS MJDF', 'Oral Surgeon', false],
+        ['Fiona MacLeod', undefined, 'Assistant', false]
+    ]);
+    assert.ok(people.every(person => person.page === TEAM_URL && person.source === 'text'));
+});
+
+test('specialties come from the text next to the name', () => {
+    const [jane] = extractPractitioners({
+        textPages: [textPage(TEAM_URL, TEAM_HTML)],
+        matchSpecialties: text => (/implantology/i.test(text) ? ['Implantology'] : [])
+    });
+
+    assert.deepStrictEqual(jane.specialties, ['Implantology']);
+});
+
+test('Dutch name and role lines on an about page map to English roles', () => {
+    const people = extractPractitioners({ textPages: [textPage(ABOUT_URL, ABOUT_HTML)] });
+
+    assert.deepStrictEqual(people.map(person => [person.name, person.role, person.owner]), [
+        ['Sanne de Vries', 'Dentist', true],
+        ['Pieter van den Berg', 'Dental Hygienist', false]
+    ]);
+});
+
+test('name-only lines count on team pages only', () => {
+    assert.deepStrictEqual(extractPractitioners({ textPages: [textPage('https://tandartspraktijk-zuid.nl/', ABOUT_HTML)] }), []);
+});
+
+test('schema.org Person nodes are merged with the same person named in the text', () => {
+    const people = extractPractitioners({
+        textPages: [textPage(HOME_URL, HOME_HTML)],
+        structuredNodes: jsonLdNodes(HOME_URL, HOME_HTML)
+    });
+
+    assert.deepStrictEqual(people, [
+        { name: 'Anna Weber', title: undefined, role: 'Orthodontist', owner: false, specialties: ['Orthodontic'], page: HOME_URL, source: 'json-ld' },
+        { name: 'Klaus Müller', title: 'Dr. med. dent.', role: 'Dentist', owner: true, specialties: [], page: HOME_URL, source: 'json-ld' }
+    ]);
+});
+
+test('detectRole matches whole words in four languages', () => {
+    assert.strictEqual(detectRole('Chirurgien-dentiste'), 'Dentist');
+    assert.strictEqual(detectRole('Fachärztin, Hautärztin'), 'Dermatologist');
+    assert.strictEqual(detectRole('Kinésithérapeute du sport'), 'Physiotherapist');
+    assert.strictEqual(detectRole('Partnership'), undefined, '"arts" is not matched inside words');
+});
+
+test('formatPractitioners writes the Notion text', () => {
+    const people = extractPractitioners({ textPages: [textPage(TEAM_URL, TEAM_HTML)] });
+
+    assert.strictEqual(formatPractitioners(people),
+        "Dr. Jane Smith (Dentist, owner); Tom Lee (Dental Hygienist); Sarah O'Neill (Practice Manager); Mark Jones (Oral Surgeon); Fiona MacLeod (Assistant)");
+    assert.strictEqual(formatPractitioners([]), '');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractPrices, summarizePrices, formatPrices, parseAmount } = require('../lib/price-list');
+
+const TREATMENTS = [[/botox/i, 'Botox'], [/filler/i, 'Dermal Fillers'], [/implant/i, 'Dental Implants'], [/whitening/i, 'Teeth Whitening']];
+const matchTreatment = text => TREATMENTS.find(([pattern]) => pattern.test(text))?.[1] || null;
+
+test('extracts exact, from and range prices with units, skipping finance offers', () => {
+    const text = [
+        'Botox from £199 per area',
+        'Dermal fillers £250 - £400 per syringe',
+        'Finance: Botox from £29 per month',
+        'Teeth whitening',
+        '350 euro',
+        'Implantaten vanaf € 1.250,-'
+    ].join('\n');
+
+    const prices = extractPrices([{ url: 'https://smile.example/prices', text }], { matchTreatment, country: 'GB' });
+
+    assert.deepStrictEqual(prices.map(({ treatment, amount, amount_max: max, currency, qualifier, unit }) => [treatment, amount, max, currency, qualifier, unit]), [
+        ['Botox', 199, undefined, 'GBP', 'from', 'per area'],
+        ['Dermal Fillers', 250, 400, 'GBP', 'range', 'per syringe'],
+        ['Teeth Whitening', 350, undefined, 'EUR', 'exact', undefined],
+        ['Dental Implants', 1250, undefined, 'EUR', 'from', undefined]
+    ]);
+    assert.strictEqual(formatPrices(prices), 'Botox: from GBP 199 per area; Dermal Fillers: GBP 250-400 per syringe; Teeth Whitening: EUR 350; Dental Implants: from EUR 1250');
+});
+
+test('prices without a known treatment and "$" outside the US are handled', () => {
+    assert.deepStrictEqual(extractPrices([{ url: 'u', text: 'Consultation £50' }], { matchTreatment }), []);
+    assert.strictEqual(extractPrices([{ url: 'u', text: 'Botox $300' }], { matchTreatment, country: 'CA' })[0].currency, 'CAD');
+});
+
+test('parseAmount reads European and English number formats', () => {
+    assert.strictEqual(parseAmount('1.250,00'), 1250);
+    assert.strictEqual(parseAmount('1,250.00'), 1250);
+    assert.strictEqual(parseAmount('199,-'), 199);
+    assert.strictEqual(parseAmount('49,95'), 49.95);
+    assert.strictEqual(parseAmount(''), null);
+});
+
+test('summarizePrices averages per treatment and region, counting ranges by their midpoint', () => {
+    const leads = [
+        { domain: 'a.example', practice_data: { address_country: 'GB', address_city: 'London', prices: [{ treatment: 'Botox', amount: 200, currency: 'GBP' }] } },
+        { domain: 'b.example', practice_data: { address_country: 'GB', address_city: 'London', prices: [{ treatment: 'Botox', amount: 250, amount_max: 350, currency: 'GBP' }] } },
+        { domain: 'c.example', practice_data: { address_country: 'NL', address_city: 'Utrecht', prices: [{ treatment: 'Botox', amount: 180, currency: 'EUR' }] } }
+    ];
+
+    assert.deepStrictEqual(summarizePrices(leads, { country: 'GB' }), [
+        { treatment: 'Botox', region: 'London', country: 'GB', currency: 'GBP', unit: null, average: 250, min: 200, max: 300, prices: 2, practices: 2 }
+    ]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { provenance, completeProvenance, fieldConfidence } = require('../lib/provenance');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-test-'));
+const { CompleteHealthcareAutomationAgent } = require('../autonomous-agent');
+const { NotionClient } = require('../lib/notion-client');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const PAGE_URL = 'https://smile-dental.co.uk/';
+const PAGE_HTML = `<html><head><title>Smile Dental | Dentist in London</title>
+    <script type="application/ld+json">{
+        "@context": "https://schema.org", "@type": "Dentist", "name": "Smile Dental Care",
+        "telephone": "+44 20 7946 0000",
+        "address": { "@type": "PostalAddress", "streetAddress": "12 High Street", "addressLocality": "London", "postalCode": "SW1A 1AA", "addressCountry": "GB" }
+    }</script></head>
+    <body><h1>Smile Dental Care</h1><p>Dental implants and teeth whitening.</p>
+    <p>Email us: hello@smile-dental.co.uk</p></body></html>`;
+
+test('provenance fills in the source confidence and flags fallbacks as placeholders', () => {
+    assert.deepStrictEqual(provenance('json-ld', { page: PAGE_URL }), { source: 'json-ld', page: PAGE_URL, confidence: 0.95 });
+    assert.deepStrictEqual(provenance('html', { pages: ['a', 'b'], confidence: 0.812 }), { source: 'html', pages: ['a', 'b'], confidence: 0.81 });
+    assert.deepStrictEqual(provenance('opengraph', { method: 'site_name', confidence: 3 }), { source: 'opengraph', method: 'site_name', confidence: 1 });
+    assert.deepStrictEqual(provenance('url-heuristic'), { source: 'url-heuristic', confidence: 0.3 });
+    assert.deepStrictEqual(provenance('fallback'), { source: 'fallback', confidence: 0, placeholder: true });
+    assert.strictEqual(provenance('something-new').confidence, 0.5);
+});
+
+test('completeProvenance marks untracked values as placeholders and drops empty fields', () => {
+    const data = { company: 'Smile Dental', phone: '', practice_type: 'healthcare', services: [], treatments: ['Botox'], geo: {} };
+    const result = completeProvenance(data, {
+        company: { source: 'json-ld', page: PAGE_URL },
+        phone: provenance('html'),
+        treatments: { source: 'html', pages: [PAGE_URL], confidence: 0.8 }
+    });
+
+    assert.deepStrictEqual(result.field_sources, {
+        company: { source: 'json-ld', page: PAGE_URL, confidence: 0.95 },
+        treatments: { source: 'html', pages: [PAGE_URL], confidence: 0.8 },
+        practice_type: { source: 'fallback', confidence: 0, placeholder: true }
+    });
+    assert.deepStrictEqual(result.placeholder_fields, ['practice_type']);
+});
+
+test('fieldConfidence reduces field sources to numbers', () => {
+    assert.deepStrictEqual(fieldConfidence({ company: { source: 'json-ld', confidence: 0.95 }, phone: { source: 'html' }, email: null }), { company: 0.95 });
+    assert.deepStrictEqual(fieldConfidence(undefined), {});
+});
+
+test('values read from JSON-LD and page text carry their source, page and confidence', async () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    agent.taxonomy.load();
+    const textPages = [{ url: PAGE_URL, text: agent.crawler.htmlToText(PAGE_HTML) }];
+
+    const data = await agent.extractHealthcareData(textPages, PAGE_URL, 'Smile Dental Healthcare', [{ url: PAGE_URL, html: PAGE_HTML }]);
+
+    assert.strictEqual(data.company, 'Smile Dental Care');
+    assert.strictEqual(data.field_sources.company.source, 'json-ld');
+    assert.strictEqual(data.phone, '+442079460000');
+    assert.deepStrictEqual(data.field_sources.phone, { source: 'json-ld', page: PAGE_URL, confidence: 0.95 });
+    assert.strictEqual(data.email, 'hello@smile-dental.co.uk');
+    assert.strictEqual(data.field_sources.email.source, 'html');
+    assert.strictEqual(data.field_sources.email.page, PAGE_URL);
+    assert.strictEqual(data.field_sources.address.source, 'json-ld');
+    assert.deepStrictEqual(data.field_sources.treatments, { source: 'html', pages: [PAGE_URL], confidence: 0.8 });
+});
+
+test('placeholder values are left out of the Notion record and the page properties', () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const practiceData = {
+        company: 'smile-dental.co.uk',
+        domain: 'smile-dental.co.uk',
+        url: PAGE_URL,
+        phone: '+44 20 7946 0000',
+        location: 'London',
+        address_street: '1 Placeholder Road',
+        address_city: 'London',
+        practice_type: 'healthcare',
+        treatments: ['Dental Implants'],
+        ...completeProvenance(
+            { company: 'x', phone: 'x', location: 'x', address: { city: 'London' }, practice_type: 'x', treatments: ['x'] },
+            { phone: provenance('html'), treatments: provenance('html') }
+        )
+    };
+    assert.deepStrictEqual(practiceData.placeholder_fields, ['company', 'location', 'address', 'practice_type']);
+
+    const record = agent.validateNotionData(practiceData);
+    const properties = new NotionClient({ apiKey: 'key', databaseId: 'db' }).buildProperties(record);
+
+    assert.strictEqual(record.company, 'smile-dental.co.uk', 'the title is required, so the company stays');
+    ['location', 'street', 'city', 'practice_type'].forEach(field => assert.strictEqual(record[field], undefined, field));
+    assert.strictEqual(record.phone, '+44 20 7946 0000');
+    assert.strictEqual(record.treatments, 'Dental Implants');
+    ['Location', 'Street', 'City', 'Practice Type'].forEach(name => assert.ok(!(name in properties), name));
+    assert.ok('Phone' in properties);
+});
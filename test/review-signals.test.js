@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractReviews, formatReviewSources, toFiveScale } = require('../lib/review-signals');
+const { extractStructuredData } = require('../lib/structured-data');
+const { SiteCrawler } = require('../lib/site-crawler');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'review-signals-test-'));
+const { CompleteHealthcareAutomationAgent } = require('../autonomous-agent');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+test.mock.method(console, 'log', () => {});
+
+const crawler = new SiteCrawler();
+const HOME_URL = 'https://smiledental.co.uk/';
+const REVIEWS_URL = 'https://smiledental.co.uk/reviews';
+
+// Homepage: JSON-LD AggregateRating on a 10-point scale and a rating line naming Google
+const HOME_HTML = `<html><head><script type="application/ld+json">{
+    "@context": "https://schema.org", "@type": "Dentist", "name": "Smile Dental",
+    "aggregateRating": { "@type": "AggregateRating", "ratingValue": "9.4", "bestRating": "10", "reviewCount": "212" }
+    }</script></head><body><h1>Smile Dental</h1><p>Rated 4.9 on Google from 1,250 reviews</p></body></html>`;
+
+// Reviews page: an Elfsight Google widget, a Trustpilot widget and a testimonial section
+const REVIEWS_HTML = `<html><body><h1>What our patients say</h1>
+    <blockquote>“The whole team made me feel at ease. I used to dread the dentist and now I actually look forward to my check-ups.”</blockquote>
+    <div class="elfsight-app-3f2c"></div><script src="https://static.elfsight.com/platform/platform.js"></script>
+    <div class="trustpilot-widget" data-template-id="5419b6a8b0d04a076446a9ad"></div>
+    <p>Trustpilot 4.7 out of 5 - 86 reviews</p></body></html>`;
+
+// Microdata rating on a German page
+const MICRODATA_HTML = `<html><body><div itemscope itemtype="https://schema.org/Dentist"><span itemprop="name">Praxis Müller</span>
+    <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+    <span itemprop="ratingValue">4,8</span> von <span itemprop="bestRating">5</span> (<span itemprop="reviewCount">97</span> Bewertungen)</div></div></body></html>`;
+
+const textPage = (url, html) => ({ url, text: crawler.htmlToText(html) });
+const jsonLdNodes = (url, html) => extractStructuredData(html).json_ld.map(node => ({ node, page: url, source: 'json-ld' }));
+
+test('rating text in English, Dutch, German and French is parsed with its count and scale', () => {
+    const parse = text => {
+        const reviews = extractReviews({ textPages: [{ url: HOME_URL, text }] });
+        return [reviews.rating, reviews.review_count];
+    };
+
+    assert.deepStrictEqual(parse('4.9 stars from 300 reviews'), [4.9, 300]);
+    assert.deepStrictEqual(parse('Rated 4.8/5 by 120 patients'), [4.8, 120]);
+    assert.deepStrictEqual(parse('4,8 sterren op basis van 1.250 beoordelingen'), [4.8, 1250]);
+    assert.deepStrictEqual(parse('9,2 uit 10 op basis van 85 beoordelingen'), [4.6, 85]);
+    assert.deepStrictEqual(parse('4,9 von 5 Sternen (120 Bewertungen)'), [4.9, 120]);
+    assert.deepStrictEqual(parse('Note : 4,7/5 - 96 avis'), [4.7, 96]);
+    assert.deepStrictEqual(parse('300 reviews with an average of 4.9.'), [4.9, 300]);
+    assert.deepStrictEqual(parse('Rated 4.9 out of 5'), [4.9, null]);
+});
+
+test('review counts written as "1.2k" are read as thousands', () => {
+    const reviews = extractReviews({ textPages: [{ url: HOME_URL, text: 'Google rating 4.9 ★★★★★ 1.2k reviews' }] });
+
+    assert.strictEqual(reviews.rating, 4.9);
+    assert.strictEqual(reviews.review_count, 1200);
+    assert.strictEqual(reviews.review_sources[0].provider, 'Google');
+});
+
+test('numbers that are not ratings are ignored', () => {
+    const parse = text => extractReviews({ textPages: [{ url: HOME_URL, text }] });
+
+    assert.strictEqual(parse('We have 3 dentists and 4000 patients').rating, null);
+    assert.strictEqual(parse('Join 10,000 happy patients').rating, null);
+    assert.strictEqual(parse('Over 2,000 5-star reviews on Google').rating, null);
+    assert.strictEqual(parse('Rated 7 by our patients').rating, null);
+});
+
+test('structured data wins over text, widgets and testimonials are listed as sources', () => {
+    const reviews = extractReviews({
+        structuredNodes: jsonLdNodes(HOME_URL, HOME_HTML),
+        textPages: [textPage(HOME_URL, HOME_HTML), textPage(REVIEWS_URL, REVIEWS_HTML)],
+        htmlPages: [{ url: HOME_URL, html: HOME_HTML }, { url: REVIEWS_URL, html: REVIEWS_HTML }]
+    });
+
+    assert.strictEqual(reviews.rating, 4.7);
+    assert.strictEqual(reviews.rating_page, HOME_URL);
+    assert.strictEqual(reviews.review_count, 1250);
+    assert.deepStrictEqual(reviews.review_sources, [
+        { source: 'json-ld', rating: 4.7, review_count: 212, page: HOME_URL },
+        { source: 'text', provider: 'Google', rating: 4.9, review_count: 1250, page: HOME_URL },
+        { source: 'text', provider: 'Trustpilot', rating: 4.7, review_count: 86, page: REVIEWS_URL },
+        { source: 'widget', provider: 'Google', page: REVIEWS_URL },
+        { source: 'widget', provider: 'Trustpilot', page: REVIEWS_URL },
+        { source: 'testimonials', page: REVIEWS_URL }
+    ]);
+    assert.strictEqual(formatReviewSources(reviews.review_sources),
+        'json-ld 4.7 (212), Google 4.9 (1250), Trustpilot 4.7 (86), Google widget, Trustpilot widget, testimonials');
+});
+
+test('without structured data the rating backed by the most reviews wins', () => {
+    const reviews = extractReviews({
+        textPages: [{ url: HOME_URL, text: 'Trustpilot 4.2 out of 5 - 40 reviews' }, { url: REVIEWS_URL, text: '4.8 stars from 900 Google reviews' }]
+    });
+
+    assert.strictEqual(reviews.rating, 4.8);
+    assert.strictEqual(reviews.rating_page, REVIEWS_URL);
+});
+
+test('a testimonial heading alone, such as a menu item, does not count', () => {
+    const reviews = extractReviews({ textPages: [{ url: HOME_URL, text: 'Home\nTreatments\nTestimonials\nContact' }] });
+
+    assert.deepStrictEqual(reviews, { rating: null, review_count: null, review_sources: [], rating_page: undefined });
+});
+
+test('ratings are normalized to five points and out-of-range values are dropped', () => {
+    assert.strictEqual(toFiveScale('9.4', '10'), 4.7);
+    assert.strictEqual(toFiveScale('4,8'), 4.8);
+    assert.strictEqual(toFiveScale('6', '5'), null);
+    assert.strictEqual(toFiveScale('0'), null);
+    assert.strictEqual(toFiveScale('n/a'), null);
+});
+
+test('the agent takes a microdata rating with its provenance', async () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const url = 'https://praxis-mueller.de/';
+
+    const data = await agent.extractHealthcareData([textPage(url, MICRODATA_HTML)], url, 'Praxis Müller', [{ url, html: MICRODATA_HTML }]);
+
+    assert.strictEqual(data.rating, 4.8);
+    assert.strictEqual(data.review_count, 97);
+    assert.strictEqual(data.field_sources.rating.source, 'microdata');
+    assert.strictEqual(data.field_sources.rating.page, url);
+});
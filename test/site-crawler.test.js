@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SiteCrawler } = require('../lib/site-crawler');
+const { decodeEntities } = require('../lib/html-entities');
+
+// Local static site: path → [status, content type, body, extra headers]
+const SITE = {
+    '/robots.txt': [200, 'text/plain', 'User-agent: *\nDisallow: /private\n'],
+    '/': [200, 'text/html', `<html><head><title>Smile &amp; Co</title></head><body>
+        <nav><a href="/contact-us">Contact</a> <a href="/private/fees">Fees</a> <a href="https://elsewhere.example/team">Team</a></nav>
+        <main><h1>Smile &amp; Co Dental</h1><p>Caf&eacute; &#233;t&#xE9; bad &#99999999; &#1114112; &#xD800; ok</p>
+        <script>var hidden = 1;</script></main></body></html>`],
+    '/contact-us': [200, 'text/html; charset=utf-8', '<html><body><address>12 High St<br>London</address></body></html>'],
+    '/services': [404, 'text/html', 'not found'],
+    '/treatments': [200, 'application/pdf', '%PDF'],
+    '/about': [200, 'text/html', '<p>Our team &mdash; Dr Smith</p>']
+};
+
+function startSite(site = SITE) {
+    const requested = [];
+    const server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const [status, type, body, headers] = site[req.url] || [404, 'text/html', 'not found'];
+        res.writeHead(status, { 'Content-Type': type, ...headers });
+        res.end(body);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requested, origin: `http://127.0.0.1:${server.address().port}` })));
+}
+
+test('crawls the homepage and same-origin subpages, respecting robots.txt', async (t) => {
+    const { server, requested, origin } = await startSite();
+    t.after(() => server.close());
+
+    const crawl = await new SiteCrawler({ maxPages: 6 }).crawl(`${origin}/`);
+    const byPath = Object.fromEntries(crawl.pages.map(page => [new URL(page.url).pathname, page]));
+
+    assert.deepStrictEqual(Object.keys(byPath).sort(), ['/', '/about', '/contact-us']);
+    assert.strictEqual(crawl.robots_found, true);
+    assert.strictEqual(byPath['/'].title, 'Smile & Co');
+    assert.match(byPath['/'].text, /Smile & Co Dental/);
+    assert.doesNotMatch(byPath['/'].text, /hidden/);
+    assert.strictEqual(byPath['/contact-us'].text, '12 High St\nLondon');
+    assert.strictEqual(byPath['/about'].text, 'Our team — Dr Smith');
+    assert.ok(!requested.some(url => url.startsWith('/private')), 'disallowed path was fetched');
+    assert.deepStrictEqual(crawl.errors.map(error => [new URL(error.url).pathname, error.error]).sort(), [
+        ['/private/fees', 'Disallowed by robots.txt'],
+        ['/services', 'HTTP 404'],
+        ['/treatments', 'Unsupported content type: application/pdf']
+    ]);
+});
+
+test('a malformed numeric entity does not drop the page', async (t) => {
+    const { server, origin } = await startSite();
+    t.after(() => server.close());
+
+    const crawl = await new SiteCrawler({ maxPages: 1 }).crawl(`${origin}/`);
+
+    assert.strictEqual(crawl.pages.length, 1);
+    assert.match(crawl.pages[0].text, /Caf&eacute; été bad &#99999999; &#1114112; &#xD800; ok/);
+});
+
+test('decodeEntities keeps out-of-range and surrogate code points as-is', () => {
+    assert.strictEqual(decodeEntities('&#1114111;'), String.fromCodePoint(0x10ffff));
+    assert.strictEqual(decodeEntities('&#1114112; &#x110000; &#55296;'), '&#1114112; &#x110000; &#55296;');
+    assert.strictEqual(decodeEntities('&amp;lt; &pound;5 &unknown;'), '&lt; £5 &unknown;');
+});
+
+const redirect = location => [301, 'text/html', '', { Location: location }];
+
+async function startSites(t, ...sites) {
+    const started = await Promise.all(sites.map(site => startSite(site)));
+    t.after(() => started.forEach(({ server }) => server.close()));
+    return started;
+}
+
+test('a Crawl-delay over the limit takes the homepage only instead of shortening the delay', async (t) => {
+    const [{ requested, origin }] = await startSites(t, { ...SITE, '/robots.txt': [200, 'text/plain', 'User-agent: *\nCrawl-delay: 30\n'] });
+
+    const startedAt = Date.now();
+    const crawl = await new SiteCrawler({ maxPages: 6 }).crawl(`${origin}/`);
+
+    assert.deepStrictEqual(crawl.pages.map(page => new URL(page.url).pathname), ['/']);
+    assert.deepStrictEqual(requested, ['/robots.txt', '/']);
+    assert.deepStrictEqual(crawl.errors, [{ url: origin, error: 'Crawl-delay 30s exceeds 5s, only the homepage was fetched' }]);
+    assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('a homepage redirect to another origin is checked against that origin\'s robots.txt', async (t) => {
+    const target = {
+        '/robots.txt': [200, 'text/plain', 'User-agent: *\nDisallow: /closed\n'],
+        '/': [200, 'text/html', '<a href="/contact">Contact</a>'],
+        '/contact': [200, 'text/html', '<p>12 High St</p>'],
+        '/closed': [200, 'text/html', 'never fetched']
+    };
+    const [other] = await startSites(t, target);
+    const [site] = await startSites(t, {
+        '/': redirect(`${other.origin}/`),
+        '/closed-home': redirect(`${other.origin}/closed`)
+    });
+
+    const crawl = await new SiteCrawler({ maxPages: 3 }).crawl(`${site.origin}/`);
+
+    assert.strictEqual(crawl.origin, other.origin);
+    assert.deepStrictEqual(crawl.pages.map(page => page.url), [`${other.origin}/`, `${other.origin}/contact`]);
+
+    const refused = await new SiteCrawler({ maxPages: 3 }).crawl(`${site.origin}/closed-home`);
+    assert.deepStrictEqual(refused.pages, []);
+    assert.deepStrictEqual(refused.errors, [{ url: `${site.origin}/closed-home`, error: `Redirect to ${other.origin}/closed disallowed by robots.txt` }]);
+    assert.ok(!other.requested.includes('/closed'));
+});
+
+test('subpages that redirect off-site or to disallowed paths are not followed', async (t) => {
+    const [other] = await startSites(t, { '/': [200, 'text/html', 'booking platform'] });
+    const [{ origin }] = await startSites(t, {
+        '/robots.txt': [200, 'text/plain', 'User-agent: *\nDisallow: /private\n'],
+        '/': [200, 'text/html', '<a href="/contact">Contact</a> <a href="/about">About</a>'],
+        '/contact': redirect(`${other.origin}/`),
+        '/about': redirect('/private/team')
+    });
+
+    const crawl = await new SiteCrawler({ maxPages: 6 }).crawl(`${origin}/`);
+
+    assert.deepStrictEqual(crawl.pages.map(page => new URL(page.url).pathname), ['/']);
+    assert.deepStrictEqual(other.requested, []);
+    const errors = Object.fromEntries(crawl.errors.map(error => [new URL(error.url).pathname, error.error]));
+    assert.strictEqual(errors['/contact'], `Redirected off-site to ${other.origin}`);
+    assert.strictEqual(errors['/about'], `Redirect to ${origin}/private/team disallowed by robots.txt`);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectSignals, formatSignals } = require('../lib/site-signals');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'site-signals-test-'));
+const { CompleteHealthcareAutomationAgent } = require('../autonomous-agent');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+test.mock.method(console, 'log', () => {});
+
+// WordPress homepage with a viewport tag, a tel: link, a search form and a newsletter signup
+const HOME_HTML = `<!doctype html><html><head>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <link rel="stylesheet" href="https://smiledental.co.uk/wp-content/themes/smile/style.css">
+    </head><body>
+    <a href="tel:+442071234567">020 7123 4567</a>
+    <form role="search" action="/"><input type="text" name="s"><textarea></textarea></form>
+    <form action="/newsletter"><input type="email" name="email"><input type="submit" value="Sign up"></form>
+    <script src="https://embed.tawk.to/5f1234/default" async></script>
+    </body></html>`;
+
+// Booking page embedding Calendly and a contact form with a message box
+const BOOKING_HTML = `<html><body>
+    <div class="calendly-inline-widget" data-url="https://calendly.com/smile-dental/checkup"></div>
+    <script src="https://assets.calendly.com/assets/external/widget.js"></script>
+    <form class="contact"><input name="name"><input type="email" name="email"><textarea name="message"></textarea><button>Send</button></form>
+    </body></html>`;
+
+// German practice on Wix with a Doctolib button; the viewport tag lists content before name
+const WIX_HTML = `<html><head>
+    <meta content="width=device-width, initial-scale=1" name="viewport">
+    <meta name="generator" content="Wix.com Website Builder">
+    <link href="https://static.wixstatic.com/frog/main.css" rel="stylesheet">
+    </head><body><a href="https://www.doctolib.de/zahnarzt/berlin/praxis-mueller">Termin online buchen</a>
+    <a href="https://wa.me/4930123456">WhatsApp</a></body></html>`;
+
+// Plain HTTP page: no widgets, no viewport, an unknown CMS only named by its generator tag
+const BARE_HTML = `<html><head><meta name="generator" content="Hugo 0.121.1"></head>
+    <body><p>Call us on 01234 567890.</p>
+    <form action="/contact"><input name="first"><input name="last"><input name="phone"><input type="email" name="email"></form>
+    </body></html>`;
+
+test('booking, chat, form and click-to-call are found across pages with the page they were on', () => {
+    const signals = detectSignals([
+        { url: 'https://smiledental.co.uk/', html: HOME_HTML },
+        { url: 'https://smiledental.co.uk/book', html: BOOKING_HTML }
+    ]);
+
+    assert.deepStrictEqual(signals, {
+        online_booking: true,
+        booking_providers: ['Calendly'],
+        live_chat: true,
+        chat_providers: ['Tawk.to'],
+        contact_form: true,
+        click_to_call: true,
+        cms: 'WordPress',
+        https: true,
+        mobile_viewport: true,
+        evidence: {
+            'Calendly': 'https://smiledental.co.uk/book',
+            'Tawk.to': 'https://smiledental.co.uk/',
+            contact_form: 'https://smiledental.co.uk/book',
+            click_to_call: 'https://smiledental.co.uk/'
+        },
+        pages_checked: 2
+    });
+});
+
+test('search and newsletter forms are not contact forms', () => {
+    const signals = detectSignals([{ url: 'https://smiledental.co.uk/', html: HOME_HTML }]);
+
+    assert.strictEqual(signals.contact_form, false);
+    assert.strictEqual(signals.evidence.contact_form, undefined);
+});
+
+test('a form with an email field and enough inputs counts without a message box', () => {
+    const signals = detectSignals([{ url: 'http://praxis-klein.de/', html: BARE_HTML }]);
+
+    assert.strictEqual(signals.contact_form, true);
+    assert.strictEqual(signals.online_booking, false);
+    assert.strictEqual(signals.live_chat, false);
+    assert.strictEqual(signals.click_to_call, false);
+    assert.strictEqual(signals.https, false);
+    assert.strictEqual(signals.mobile_viewport, false);
+    assert.strictEqual(signals.cms, 'Hugo');
+});
+
+test('site builders win over generic platforms and a reversed viewport tag still counts', () => {
+    const signals = detectSignals([{ url: 'https://praxis-mueller.de/', html: WIX_HTML }]);
+
+    assert.strictEqual(signals.cms, 'Wix');
+    assert.deepStrictEqual(signals.booking_providers, ['Doctolib']);
+    assert.deepStrictEqual(signals.chat_providers, ['WhatsApp']);
+    assert.strictEqual(signals.mobile_viewport, true);
+});
+
+test('embedded form builders count as contact forms', () => {
+    const html = '<div class="wpcf7"><div id="wpcf7-f12-o1"></div></div>';
+    assert.strictEqual(detectSignals([{ url: 'https://a.nl/', html }]).contact_form, true);
+});
+
+test('pages without HTML give no signals', () => {
+    assert.strictEqual(detectSignals([]), null);
+    assert.strictEqual(detectSignals([{ url: 'https://a.nl/', text: 'Exa text only' }]), null);
+    assert.strictEqual(formatSignals(null), '');
+});
+
+test('signals format as one line for text-only targets', () => {
+    const signals = detectSignals([
+        { url: 'https://smiledental.co.uk/', html: HOME_HTML },
+        { url: 'https://smiledental.co.uk/book', html: BOOKING_HTML }
+    ]);
+
+    assert.strictEqual(formatSignals(signals), 'booking: Calendly; chat: Tawk.to; contact form; click-to-call; CMS: WordPress; HTTPS; mobile viewport');
+    assert.strictEqual(formatSignals(detectSignals([{ url: 'http://praxis-klein.de/', html: '<p>Hi</p>' }])),
+        'no online booking; no chat; no contact form; no click-to-call; no HTTPS; no mobile viewport');
+});
+
+test('the agent reads signals from the fetched homepage next to Exa text and maps them to Notion', async () => {
+    const agent = new CompleteHealthcareAutomationAgent();
+    const textPages = [{ url: 'https://praxis-mueller.de/', text: 'Zahnarztpraxis Müller in Berlin. Termin online buchen.' }];
+
+    const data = await agent.extractHealthcareData(textPages, 'https://praxis-mueller.de', 'Praxis Müller', [{ url: 'https://praxis-mueller.de/', html: WIX_HTML }], { textSource: 'exa' });
+    const notion = agent.validateNotionData({ ...data, url: 'https://praxis-mueller.de' });
+
+    assert.deepStrictEqual(data.signals.booking_providers, ['Doctolib']);
+    assert.strictEqual(notion.booking_provider, 'Doctolib');
+    assert.strictEqual(notion.cms, 'Wix');
+    assert.strictEqual(notion.website_signals, formatSignals(data.signals));
+
+    const textOnly = await agent.extractHealthcareData(textPages, 'https://praxis-mueller.de', 'Praxis Müller', [], { textSource: 'exa' });
+    const empty = agent.validateNotionData({ ...textOnly, url: 'https://praxis-mueller.de' });
+
+    assert.strictEqual(textOnly.signals, null);
+    assert.strictEqual(empty.booking_provider, undefined);
+    assert.strictEqual(empty.website_signals, undefined);
+});
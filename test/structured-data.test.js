@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractStructuredData, toPracticeFacts } = require('../lib/structured-data');
+
+const PAGE = `<html><head>
+    <meta property="og:title" content="Smile &amp; Co &#99999999;">
+    <script type="application/ld+json">{"@context":"https://schema.org","@type":"Dentist","name":"Smile &amp; Co &#x110000;","telephone":"+44 20 7946 0000"}</script>
+</head><body>
+    <div itemscope itemtype="https://schema.org/Dentist"><span itemprop="name">Caf&#233; &#1114112; Dental</span></div>
+</body></html>`;
+
+test('out-of-range numeric entities are kept as-is instead of throwing', () => {
+    const data = extractStructuredData(PAGE);
+
+    assert.strictEqual(data.open_graph['og:title'], 'Smile & Co &#99999999;');
+    assert.strictEqual(data.microdata[0].name, 'Café &#1114112; Dental');
+    assert.deepStrictEqual(data.types, ['Dentist']);
+});
+
+test('JSON-LD wins over microdata and OpenGraph, with per-field sources', () => {
+    const { facts, sources } = toPracticeFacts([{ url: 'https://smile.example/', data: extractStructuredData(PAGE) }]);
+
+    assert.strictEqual(facts.name, 'Smile & Co &#x110000;');
+    assert.strictEqual(facts.telephone, '+44 20 7946 0000');
+    assert.strictEqual(facts.schema_type, 'Dentist');
+    assert.deepStrictEqual(sources.name, { source: 'json-ld', page: 'https://smile.example/' });
+});
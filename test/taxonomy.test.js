@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Taxonomy } = require('../lib/taxonomy');
+const { SiteCrawler } = require('../lib/site-crawler');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const CLINIC_HTML = `<html><head><title>Glow Aesthetics</title></head><body>
+    <nav><a href="/treatments">Treatments</a></nav>
+    <h2>Anti-wrinkle injections</h2><p>Botox from £199. Our botulinum toxin treatments take 20 minutes.</p>
+    <h2>Dermal fillers</h2><p>Lip filler and Juvederm cheek fillers. Every dermal filler treatment starts with a consultation.</p>
+    <h2>Skin</h2><p>HydraFacial and chemical peels for all skin types.</p>
+    <footer>Refillers and botoxed are not treatments.</footer>
+</body></html>`;
+
+const htmlText = html => new SiteCrawler().htmlToText(html);
+
+function loadedTaxonomy() {
+    const taxonomy = new Taxonomy();
+    taxonomy.load();
+    return taxonomy;
+}
+
+function tempFile(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'taxonomy.json');
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+}
+
+test('synonyms and plurals on a clinic page map to canonical treatments, most mentioned first', () => {
+    const taxonomy = loadedTaxonomy();
+
+    const matches = taxonomy.match(htmlText(CLINIC_HTML), 'treatments');
+
+    assert.deepStrictEqual(matches.map(match => [match.name, match.count]), [
+        ['Dermal Fillers', 5],
+        ['Botox', 3],
+        ['HydraFacial', 1],
+        ['Chemical Peel', 1],
+        ['Consultation', 1]
+    ]);
+    assert.deepStrictEqual(matches[0], { name: 'Dermal Fillers', category: 'aesthetic', practice_types: ['cosmetic'], count: 5 });
+    assert.deepStrictEqual(taxonomy.match(htmlText(CLINIC_HTML), 'treatments', 2).map(match => match.name), ['Dermal Fillers', 'Botox']);
+});
+
+test('normalize maps a single term to its canonical name', () => {
+    const taxonomy = loadedTaxonomy();
+
+    assert.strictEqual(taxonomy.normalize('fillers'), 'Dermal Fillers');
+    assert.strictEqual(taxonomy.normalize('Dermal Filler'), 'Dermal Fillers');
+    assert.strictEqual(taxonomy.normalize('anti-wrinkle injection'), 'Botox');
+    assert.strictEqual(taxonomy.normalize('gastroscopy'), null);
+    assert.strictEqual(taxonomy.normalize('botox clinic'), null, 'only whole terms count');
+    assert.strictEqual(taxonomy.normalize(''), null);
+});
+
+test('practice type and categories follow the matched entries', () => {
+    const taxonomy = loadedTaxonomy();
+    const dental = taxonomy.match('Dental implants, teeth whitening and Invisalign. Teeth whitening from £250.', 'treatments');
+
+    assert.strictEqual(taxonomy.inferPracticeType(dental), 'dental');
+    assert.deepStrictEqual(taxonomy.categoriesFor(dental), ['dental']);
+    assert.strictEqual(taxonomy.inferPracticeType(taxonomy.match(htmlText(CLINIC_HTML), 'treatments')), 'cosmetic');
+    assert.strictEqual(taxonomy.inferPracticeType([]), null);
+});
+
+test('a new term in the file is matched after reload, without a code change', (t) => {
+    const filePath = tempFile(t, {
+        version: 7,
+        categories: { aesthetic: { label: 'Aesthetic medicine' } },
+        treatments: [{ name: 'Profhilo', synonyms: ['skin booster'], category: 'aesthetic', practice_types: ['cosmetic'] }]
+    });
+    const taxonomy = new Taxonomy({ filePath });
+
+    const summary = taxonomy.load();
+
+    assert.strictEqual(summary.version, 7);
+    assert.strictEqual(summary.treatments, 1);
+    assert.strictEqual(summary.services, 0);
+    assert.deepStrictEqual(taxonomy.match('Profhilo and skin boosters', 'treatments').map(match => [match.name, match.count]), [['Profhilo', 2]]);
+});
+
+test('reload keeps the old taxonomy when the new file is invalid', (t) => {
+    const filePath = tempFile(t, { treatments: [{ name: 'Profhilo' }] });
+    const taxonomy = new Taxonomy({ filePath });
+    taxonomy.load();
+
+    fs.writeFileSync(filePath, JSON.stringify({ categories: {}, treatments: [{ name: 'Profhilo', category: 'unknown' }] }));
+    assert.throws(() => taxonomy.reload(), /unknown category "unknown"/);
+    fs.writeFileSync(filePath, JSON.stringify({ treatments: [{ synonyms: ['x'] }] }));
+    assert.throws(() => taxonomy.reload(), /treatments\[0\] is missing "name"/);
+    fs.writeFileSync(filePath, '{ not json');
+    assert.throws(() => taxonomy.reload(), SyntaxError);
+
+    assert.strictEqual(taxonomy.normalize('profhilo'), 'Profhilo');
+});
+
+test('a missing file is reported by load instead of throwing', () => {
+    const taxonomy = new Taxonomy({ filePath: path.join(os.tmpdir(), 'no-such-taxonomy.json') });
+
+    const summary = taxonomy.load();
+
+    assert.match(summary.error, /ENOENT/);
+    assert.strictEqual(summary.treatments, 0);
+    assert.deepStrictEqual(taxonomy.match('Botox', 'treatments'), []);
+});
@@ -0,0 +1,351 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TelegramBot, escapeHtml, leadsToCsv } = require('../lib/telegram-bot');
+const { TelegramAccess } = require('../lib/telegram-access');
+
+const ADMIN = 1001;
+const VIEWER = 2002;
+const STRANGER = 3003;
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+function lead(domain, score, overrides = {}) {
+    return {
+        domain,
+        company: `Clinic ${domain}`,
+        url: `https://${domain}`,
+        lead_score: score,
+        last_processed_at: '2024-05-01T10:00:00.000Z',
+        times_processed: 1,
+        notion: { synced: true, lead_id: `page-${domain}` },
+        practice_data: {},
+        ...overrides
+    };
+}
+
+// A bot wired to a fake agent; every Bot API call is recorded instead of sent
+function createBot(t, { leads = [], discovered = [], pageSize, maxBatchUrls, editIntervalMs } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-bot-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const access = new TelegramAccess({ dataDir, adminIds: String(ADMIN), viewerIds: String(VIEWER) }).load();
+    const byDomain = new Map(leads.map(item => [item.domain, item]));
+    const agent = {
+        batches: [],
+        store: {
+            listLeads: () => [...byDomain.values()],
+            getLead: domain => byDomain.get(domain) || null
+        },
+        normalizeDomain: domain => String(domain).toLowerCase().replace(/^www\./, ''),
+        discoverHealthcareLeads: async () => discovered,
+        submitBatchJob(source, urls, concurrency, hooks) {
+            this.batches.push(urls);
+            this.hooks = hooks;
+            return { id: `job-${this.batches.length}` };
+        }
+    };
+
+    const bot = new TelegramBot({ token: 'token', secretToken: 'secret', agent, access, pageSize, maxBatchUrls, editIntervalMs });
+    bot.calls = [];
+    bot.call = async (method, payload) => {
+        bot.calls.push({ method, ...payload });
+        return { message_id: bot.calls.length };
+    };
+    return { bot, agent, access };
+}
+
+const message = (from, text) => ({ message: { from: { id: from }, chat: { id: from }, text } });
+const button = (from, data, messageId = 50) => ({
+    callback_query: { id: `cb-${data}`, from: { id: from }, data, message: { message_id: messageId, chat: { id: from } } }
+});
+const sent = bot => bot.calls.filter(call => call.method === 'sendMessage');
+const answers = bot => bot.calls.filter(call => call.method === 'answerCallbackQuery').map(call => call.text);
+
+test('the webhook is refused when no secret is configured', () => {
+    const bot = new TelegramBot({ token: 'token' });
+
+    assert.strictEqual(bot.webhookEnabled(), false);
+    assert.strictEqual(bot.verifyWebhook(undefined), false);
+    assert.strictEqual(bot.verifyWebhook(''), false);
+    assert.strictEqual(bot.verifyWebhook('anything'), false);
+});
+
+test('the webhook secret header must match exactly', () => {
+    const bot = new TelegramBot({ token: 'token', secretToken: 's3cret-token' });
+
+    assert.strictEqual(bot.webhookEnabled(), true);
+    assert.strictEqual(bot.verifyWebhook('s3cret-token'), true);
+    assert.strictEqual(bot.verifyWebhook('s3cret-tokeN'), false);
+    assert.strictEqual(bot.verifyWebhook('s3cret'), false);
+    assert.strictEqual(bot.verifyWebhook(undefined), false);
+});
+
+test('the CSV export neutralises formulas and quotes separators', () => {
+    const csv = leadsToCsv([lead('smile.example', 70, {
+        company: '=HYPERLINK("http://evil.example","Click")',
+        practice_data: { phone: '+44 20 7946 0000', email: '@SUM(A1)', treatments: ['Botox', 'Fillers'], address_city: 'London\rEast' }
+    })]);
+    const [header, row] = csv.trimEnd().split('\n');
+
+    assert.strictEqual(header.split(',')[1], 'company');
+    assert.ok(row.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")"`));
+    assert.ok(row.includes(",'+44 20 7946 0000,'@SUM(A1),"));
+    assert.ok(row.includes(',"London\rEast",'));
+    assert.ok(row.includes(',Botox; Fillers,'));
+    assert.strictEqual(leadsToCsv([lead('a.example', 5, { company: '-1+1' })]).split('\n')[1].split(',')[1], "'-1+1");
+});
+
+test('escapeHtml escapes the characters Telegram HTML parses', () => {
+    assert.strictEqual(escapeHtml('<b>Tom & Jerry</b>'), '&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    assert.strictEqual(escapeHtml(null), '');
+});
+
+test('/help lists admin commands only for admins', async t => {
+    const { bot } = createBot(t);
+
+    await bot.handleUpdate(message(VIEWER, '/help'));
+    await bot.handleUpdate(message(ADMIN, '/help'));
+    const [viewerHelp, adminHelp] = sent(bot).map(call => call.text);
+
+    assert.ok(viewerHelp.includes('/leads'));
+    assert.ok(!viewerHelp.includes('/discover'));
+    assert.ok(adminHelp.includes('/discover'));
+    assert.ok(adminHelp.includes('/allow'));
+});
+
+test('commands are checked against the allowlist role', async t => {
+    const { bot } = createBot(t);
+
+    await bot.handleUpdate(message(STRANGER, '/leads'));
+    await bot.handleUpdate(message(VIEWER, '/discover botox in London'));
+    await bot.handleUpdate(message(VIEWER, 'https://smile.example'));
+    const texts = sent(bot).map(call => call.text);
+
+    assert.strictEqual(texts[0], `⛔ Not authorized. Ask an admin to run /allow ${STRANGER}`);
+    assert.strictEqual(texts[1], '⛔ Admins only.');
+    assert.strictEqual(texts[2], '⛔ Admins only.');
+    assert.strictEqual(bot.calls.length, 3);
+});
+
+test('/allow and /revoke manage the allowlist', async t => {
+    const { bot, access } = createBot(t);
+
+    await bot.handleUpdate(message(ADMIN, '/allow 4004 admin'));
+    assert.strictEqual(access.roleFor({ userId: 4004 }), 'admin');
+
+    await bot.handleUpdate(message(ADMIN, '/revoke 4004'));
+    assert.strictEqual(access.roleFor({ userId: 4004 }), null);
+
+    await bot.handleUpdate(message(ADMIN, '/allow someone'));
+    const texts = sent(bot).map(call => call.text);
+    assert.strictEqual(texts[0], '✅ <code>4004</code> allowed as admin');
+    assert.strictEqual(texts[1], '🗑 <code>4004</code> removed');
+    assert.ok(texts[2].startsWith('Usage: /allow'));
+});
+
+test('/lead shows one lead with scraped text HTML-escaped', async t => {
+    const { bot } = createBot(t, {
+        leads: [lead('smile.example', 80, {
+            company: 'Smile <Dental> & Co',
+            practice_data: { phone: '020 7946 0000', treatments: ['<script>'] }
+        })]
+    });
+
+    await bot.handleUpdate(message(VIEWER, '/lead www.Smile.example'));
+    const [reply] = sent(bot);
+
+    assert.strictEqual(reply.parse_mode, 'HTML');
+    assert.ok(reply.text.startsWith('🏥 <b>Smile &lt;Dental&gt; &amp; Co</b>'));
+    assert.ok(reply.text.includes('💊 Treatments: &lt;script&gt;'));
+    assert.ok(reply.text.includes('📞 Phone: 020 7946 0000'));
+    assert.ok(!reply.text.includes('<script>'));
+
+    await bot.handleUpdate(message(VIEWER, '/lead <unknown>'));
+    assert.strictEqual(sent(bot)[1].text, '❓ No stored lead for <code>&lt;unknown&gt;</code>');
+});
+
+test('/leads pages by score and the buttons edit the same message', async t => {
+    const leads = [10, 90, 50, 70, 30].map((score, i) => lead(`clinic${i}.example`, score));
+    const { bot } = createBot(t, { leads, pageSize: 2 });
+
+    await bot.handleUpdate(message(VIEWER, '/leads'));
+    const [first] = sent(bot);
+    assert.ok(first.text.startsWith('📋 <b>Leads</b> (page 1/3, 5 total)'));
+    assert.ok(first.text.indexOf('clinic1.example') < first.text.indexOf('clinic3.example'));
+    assert.ok(!first.text.includes('clinic2.example'));
+    assert.deepStrictEqual(first.reply_markup.inline_keyboard, [[{ text: 'Next ▶️', callback_data: 'leads:2' }]]);
+
+    await bot.handleUpdate(button(VIEWER, 'leads:2', 77));
+    const edit = bot.calls.find(call => call.method === 'editMessageText');
+    assert.strictEqual(edit.message_id, 77);
+    assert.ok(edit.text.includes('(page 2/3, 5 total)'));
+    assert.ok(edit.text.includes('3. <b>Clinic clinic2.example</b> - 50/100'));
+    assert.deepStrictEqual(edit.reply_markup.inline_keyboard[0].map(key => key.callback_data), ['leads:1', 'leads:3']);
+
+    // Out-of-range pages clamp to the last one
+    await bot.handleUpdate(message(VIEWER, '/leads 9'));
+    assert.ok(sent(bot)[1].text.includes('(page 3/3, 5 total)'));
+    assert.deepStrictEqual(sent(bot)[1].reply_markup.inline_keyboard, [[{ text: '◀️ Prev', callback_data: 'leads:2' }]]);
+});
+
+test('discovery buttons process, skip and process all pending results', async t => {
+    const discovered = ['a', 'b', 'c'].map(name => ({ url: `https://${name}.example`, domain: `${name}.example`, title: `Clinic <${name}>` }));
+    const { bot, agent } = createBot(t, { discovered });
+
+    await bot.handleUpdate(message(ADMIN, '/discover botox clinic in London'));
+    const results = sent(bot)[1];
+    assert.ok(results.text.startsWith('🔍 <b>botox clinic</b> in London: 3 practice(s)'));
+    assert.ok(results.text.includes('<b>Clinic &lt;a&gt;</b>'));
+    assert.deepStrictEqual(results.reply_markup.inline_keyboard.map(row => row.map(key => key.callback_data)), [
+        ['process:1:0', 'skip:1:0'],
+        ['process:1:1', 'skip:1:1'],
+        ['process:1:2', 'skip:1:2'],
+        ['all:1']
+    ]);
+
+    // Viewers may page leads but not start work
+    await bot.handleUpdate(button(VIEWER, 'process:1:0'));
+    assert.deepStrictEqual(answers(bot), ['⛔ Admins only.']);
+
+    await bot.handleUpdate(button(ADMIN, 'process:1:0'));
+    assert.deepStrictEqual(agent.batches, [['https://a.example']]);
+
+    await bot.handleUpdate(button(ADMIN, 'process:1:0'));
+    await bot.handleUpdate(button(ADMIN, 'skip:1:1'));
+    const skipEdit = bot.calls.filter(call => call.method === 'editMessageText').pop();
+    assert.ok(skipEdit.text.includes('⏭ 2.'));
+    assert.deepStrictEqual(skipEdit.reply_markup.inline_keyboard, [[
+        { text: '▶️ Process 3', callback_data: 'process:1:2' },
+        { text: '⏭ Skip 3', callback_data: 'skip:1:2' }
+    ]]);
+
+    await bot.handleUpdate(button(ADMIN, 'all:1'));
+    assert.deepStrictEqual(agent.batches, [['https://a.example'], ['https://c.example']]);
+
+    await bot.handleUpdate(button(ADMIN, 'all:1'));
+    await bot.handleUpdate(button(ADMIN, 'process:9:0'));
+    await bot.handleUpdate(button(ADMIN, 'bogus:1:0'));
+    assert.deepStrictEqual(answers(bot).slice(1), [
+        'Processing a.example',
+        'Already handled',
+        'Skipped b.example',
+        'Processing 1 lead(s)',
+        'Nothing left to process',
+        'These results have expired, run /discover again',
+        'Already handled'
+    ]);
+});
+
+// A job-queue snapshot with one item per status
+function snapshot(statuses, status = 'running') {
+    const items = statuses.map((itemStatus, i) => ({
+        url: `https://clinic${i}.example`,
+        status: itemStatus,
+        company: `Clinic ${i}`,
+        lead_score: itemStatus === 'succeeded' ? i : undefined,
+        action: itemStatus === 'succeeded' ? 'created' : undefined,
+        error: itemStatus === 'failed' ? 'HTTP 404' : undefined
+    }));
+    const count = name => statuses.filter(value => value === name).length;
+    const done = count('succeeded') + count('failed') + count('cancelled');
+    return {
+        id: 'job-1',
+        status,
+        items,
+        progress: {
+            total: items.length,
+            succeeded: count('succeeded'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            percent: Math.round(done / items.length * 100)
+        }
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const edits = bot => bot.calls.filter(call => call.method === 'editMessageText');
+
+test('batches over maxBatchUrls are cut off with a notice', async t => {
+    const { bot, agent } = createBot(t, { maxBatchUrls: 3 });
+    const urls = ['a', 'b', 'c', 'd', 'e'].map(name => `https://${name}.example`);
+
+    await bot.handleUpdate(message(ADMIN, urls.join('\n')));
+
+    assert.deepStrictEqual(agent.batches, [urls.slice(0, 3)]);
+    assert.strictEqual(sent(bot)[0].text, '📦 Queuing 3 URL(s)...\n⚠️ Only the first 3 are processed (2 dropped).');
+});
+
+test('progress edits the status message at most once per interval with the latest snapshot', async t => {
+    const { bot, agent } = createBot(t, { editIntervalMs: 200 });
+    await bot.processUrls(ADMIN, ['https://a.example', 'https://b.example', 'https://c.example']);
+    // The stubbed call answers the status message with message_id 1
+    const statusId = 1;
+
+    // Snapshots arriving together collapse into one edit
+    agent.hooks.onProgress(snapshot(['running', 'pending', 'pending']));
+    agent.hooks.onProgress(snapshot(['succeeded', 'running', 'pending']));
+    agent.hooks.onProgress(snapshot(['succeeded', 'failed', 'running']));
+    await wait(20);
+    assert.strictEqual(edits(bot).length, 1);
+    const [edit] = edits(bot);
+    assert.strictEqual(edit.message_id, statusId);
+    assert.ok(edit.text.startsWith('📦 <b>Processing 3 URL(s)</b>'));
+    assert.ok(edit.text.includes('67% (2/3)'));
+    assert.ok(edit.text.includes('❌ 2. Clinic 1 - HTTP 404'));
+
+    // The next one waits out the rest of the interval
+    agent.hooks.onProgress(snapshot(['succeeded', 'failed', 'succeeded']));
+    await wait(20);
+    assert.strictEqual(edits(bot).length, 1);
+    await wait(250);
+    assert.strictEqual(edits(bot).length, 2);
+    assert.ok(edits(bot)[1].text.includes('100% (3/3)'));
+
+    // Finishing drops the pending edit and replaces the status message with the summary
+    agent.hooks.onProgress(snapshot(['succeeded', 'failed', 'succeeded']));
+    agent.hooks.onFinish(snapshot(['succeeded', 'failed', 'succeeded'], 'completed'));
+    await wait(250);
+    assert.strictEqual(edits(bot).length, 3);
+    const summary = edits(bot)[2];
+    assert.strictEqual(summary.message_id, statusId);
+    assert.ok(summary.text.startsWith('🏁 <b>Batch completed</b>: 2/3 succeeded, 1 failed'));
+    assert.strictEqual(sent(bot).length, 1);
+});
+
+test('progress lists as many URLs as fit in one message', t => {
+    const { bot } = createBot(t);
+    const text = bot.progressText(snapshot(Array(300).fill('succeeded')));
+
+    assert.ok(text.length <= 4096);
+    assert.match(text, /… and \d+ more$/);
+});
+
+test('long summaries continue in follow-up messages, each with its own <pre> block', async t => {
+    const { bot } = createBot(t);
+    const job = snapshot([...Array(150).fill('succeeded'), ...Array(50).fill('failed')], 'completed');
+    const messages = bot.summaryMessages(job);
+
+    assert.ok(messages.length > 1);
+    messages.forEach((text, index) => {
+        assert.ok(text.length <= 4096, `message ${index + 1} is ${text.length} characters`);
+        assert.strictEqual(text.match(/<pre>/g).length, 1);
+        assert.ok(text.endsWith('</pre>'));
+        assert.ok(text.includes('Practice                   Score  Result'));
+        if (index > 0) assert.ok(text.startsWith(`(continued ${index + 1}/${messages.length})`));
+    });
+    assert.ok(messages[0].startsWith('🏁 <b>Batch completed</b>: 150/200 succeeded, 50 failed'));
+
+    // Every row appears once: best scores first, failures last
+    const rows = messages.flatMap(text => text.split('<pre>')[1].replace('</pre>', '').split('\n').slice(1));
+    assert.strictEqual(rows.length, 200);
+    assert.ok(rows[0].startsWith('Clinic 149'));
+    assert.ok(rows[199].endsWith('HTTP 404'));
+
+    await bot.sendSummary(ADMIN, 9, job);
+    assert.strictEqual(edits(bot)[0].text, messages[0]);
+    assert.deepStrictEqual(sent(bot).map(call => call.text), messages.slice(1));
+});